@@ -0,0 +1,56 @@
+// images.js
+// Uploaded images for the API server. The app (src/imageStore.js) posts an
+// already resized image and its thumbnail as data: URLs; both are written to
+// <dir>/<id>.<ext> and <id>.thumb.<ext> and served back by id.
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { isGeneratedId, newId } from "../src/ids.js";
+
+const TYPES = { "image/webp": "webp", "image/jpeg": "jpg", "image/png": "png" };
+
+export class ImageUploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ImageUploadError";
+    this.status = status;
+  }
+}
+
+function decodeDataUrl(value, field) {
+  const m = typeof value === "string" && value.match(/^data:([\w/+.-]+);base64,([A-Za-z0-9+/=]+)$/);
+  if (!m || !TYPES[m[1]]) {
+    throw new ImageUploadError(`${field} must be a WebP, JPEG or PNG data: URL`);
+  }
+  return { type: m[1], body: Buffer.from(m[2], "base64") };
+}
+
+export function createImageStore(dir) {
+  function file(id, ext, thumb) {
+    return join(dir, `${id}${thumb ? ".thumb" : ""}.${ext}`);
+  }
+
+  return {
+    /** Store { image, thumb } (data: URLs); returns the new image id */
+    save({ image, thumb }) {
+      const full = decodeDataUrl(image, "image");
+      const small = thumb ? decodeDataUrl(thumb, "thumb") : full;
+
+      const id = newId("images");
+      mkdirSync(dir, { recursive: true });
+      writeFileSync(file(id, TYPES[full.type], false), full.body);
+      writeFileSync(file(id, TYPES[small.type], true), small.body);
+      return id;
+    },
+
+    /** { body, type } for an image (or its thumbnail); 404s for unknown ids */
+    read(id, { thumb = false } = {}) {
+      if (isGeneratedId(id, "images")) {
+        for (const [type, ext] of Object.entries(TYPES)) {
+          const path = file(id, ext, thumb);
+          if (existsSync(path)) return { body: readFileSync(path), type };
+        }
+      }
+      throw new ImageUploadError(`image ${id} not found`, 404);
+    },
+  };
+}
@@ -0,0 +1,256 @@
+// index.js
+// Small REST API for LoopedIn (no framework, just node:http).
+//
+//   GET    /api/clubs | /api/vendors | /api/requests | /api/rsvps | /api/events
+//   GET    /api/<collection>/:id
+//   POST   /api/<collection>            (events and RSVPs need a club_id)
+//   PUT    /api/<collection>/:id        (PATCH works the same: shallow merge)
+//   DELETE /api/<collection>/:id
+//   POST   /api/requests/:id/responses  a vendor's owner responds to an open request
+//   POST   /api/images                  upload { image, thumb } (data: URLs)
+//   GET    /api/images/:id[?size=thumb] an uploaded image
+//
+// Only the browser that created a record (X-Owner-Token) may change or delete
+// it; the seed data is read-only. RSVP names are only sent to whoever made the
+// RSVP and the club's owner.
+//
+//   GET    /calendar.ics, /calendar/club-:id.ics   live .ics feeds
+//
+// Run with `npm run server` (PORT, DATA_FILE, IMAGE_DIR env vars are optional).
+import { createServer } from "node:http";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createFileStore, COLLECTIONS } from "./store.js";
+import { createImageStore } from "./images.js";
+import { clubToIcs, clubsToIcs } from "../src/ics.js";
+import { withOwnership } from "../src/owner.js";
+import { createResponse, isOpenForResponses, withResponse } from "../src/requestStatus.js";
+import { checkRecords, describeErrors, validateRecord } from "../src/schema.js";
+
+const PORT = Number(process.env.PORT ?? 8787);
+const DATA_FILE =
+  process.env.DATA_FILE ?? fileURLToPath(new URL("./data/db.json", import.meta.url));
+const IMAGE_DIR = process.env.IMAGE_DIR ?? join(dirname(DATA_FILE), "images");
+const MAX_BODY = 1024 * 1024;
+// images arrive resized (src/imagePipeline.js) but base64 adds a third
+const MAX_IMAGE_BODY = 8 * 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+// same rules as the app's forms (src/schema.js); patches only check what they change
+function validate(name, body, { partial = false } = {}) {
+  const errors = validateRecord(name, body, { partial });
+  if (name === "events" && !partial && body.club_id == null) errors.club_id = "Required.";
+  if (Object.keys(errors).length) {
+    const err = new HttpError(400, `Invalid ${name.slice(0, -1)}: ${describeErrors(errors)}`);
+    err.fields = errors;
+    throw err;
+  }
+}
+
+function readJson(req, limit = MAX_BODY) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      if (!raw) return resolve({});
+      try {
+        const body = JSON.parse(raw);
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+          throw new Error("not an object");
+        }
+        resolve(body);
+      } catch {
+        reject(new HttpError(400, "Body must be a JSON object"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// an id from the path; a malformed escape like %E0 is the client's mistake, not a 500
+function decodeParam(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    throw new HttpError(400, `Malformed URL segment "${part}"`);
+  }
+}
+
+function send(res, status, body, type = "application/json; charset=utf-8") {
+  res.writeHead(status, {
+    "Content-Type": type,
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET,POST,PUT,PATCH,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, X-Owner-Token",
+  });
+  res.end(type.startsWith("application/json") ? JSON.stringify(body) : body);
+}
+
+// records created with an X-Owner-Token can only be changed with the same token;
+// ones without an owner (the seed data) are read-only. Responses to requests go
+// through POST /api/requests/:id/responses instead.
+function assertOwner(record, token) {
+  if (!record.owner_token) throw new HttpError(403, "This record is read-only");
+  if (record.owner_token !== token) {
+    throw new HttpError(403, "Only the browser that created this record can change it");
+  }
+}
+
+// an RSVP's name is for the club owner's attendee list, not for everyone
+function rsvpView(store, rsvp, token) {
+  const seen = withOwnership(rsvp, token);
+  if (seen.owned || !seen.name) return seen;
+  const club = store.list("clubs").find((c) => String(c.id) === String(rsvp.club_id));
+  if (club?.owner_token && club.owner_token === token) return seen;
+  const { name: _name, ...rest } = seen;
+  return rest;
+}
+
+// client-computed fields are never stored
+function clean(body) {
+  const { owned: _owned, owner_token: _ownerToken, ...rest } = body;
+  return rest;
+}
+
+export function createApp(store, images = createImageStore(IMAGE_DIR)) {
+  async function handleCollection(req, name, id) {
+    const isEvents = name === "events";
+    const token = req.headers["x-owner-token"] || null;
+    const viewOne = (r) => (name === "rsvps" ? rsvpView(store, r, token) : withOwnership(r, token));
+    const view = (result) => (Array.isArray(result) ? result.map(viewOne) : viewOne(result));
+
+    if (req.method === "GET") {
+      if (isEvents) return { body: id ? store.getEvent(id) : store.listEvents() };
+      return { body: view(id ? store.get(name, id) : store.list(name)) };
+    }
+
+    if (req.method === "POST" && !id) {
+      const body = clean(await readJson(req));
+      validate(name, body);
+      if (isEvents) {
+        assertOwner(store.get("clubs", body.club_id), token);
+        return { status: 201, body: store.createEvent(body) };
+      }
+      if (name === "rsvps") store.get("clubs", body.club_id); // 404 for an unknown club
+      return { status: 201, body: view(store.create(name, { ...body, owner_token: token })) };
+    }
+
+    if ((req.method === "PUT" || req.method === "PATCH") && id) {
+      const body = clean(await readJson(req));
+      validate(name, body, { partial: true });
+      if (isEvents) {
+        assertOwner(store.get("clubs", store.getEvent(id).club_id), token);
+        return { body: store.updateEvent(id, body) };
+      }
+      assertOwner(store.get(name, id), token);
+      return { body: view(store.update(name, id, body)) };
+    }
+
+    if (req.method === "DELETE" && id) {
+      if (isEvents) {
+        assertOwner(store.get("clubs", store.getEvent(id).club_id), token);
+        return { body: store.removeEvent(id) };
+      }
+      assertOwner(store.get(name, id), token);
+      return { body: view(store.remove(name, id)) };
+    }
+
+    throw new HttpError(405, `${req.method} not allowed here`);
+  }
+
+  return async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    try {
+      if (req.method === "OPTIONS") return send(res, 204, "", "text/plain");
+
+      if (url.pathname === "/calendar.ics") {
+        const ics = clubsToIcs(store.list("clubs"), "UIC campus events");
+        return send(res, 200, ics, "text/calendar; charset=utf-8");
+      }
+      const feed = url.pathname.match(/^\/calendar\/club-([^/]+)\.ics$/);
+      if (feed) {
+        const ics = clubToIcs(store.get("clubs", feed[1]));
+        return send(res, 200, ics, "text/calendar; charset=utf-8");
+      }
+
+      if (url.pathname === "/api/images" && req.method === "POST") {
+        const id = images.save(await readJson(req, MAX_IMAGE_BODY));
+        return send(res, 201, { id });
+      }
+      const image = url.pathname.match(/^\/api\/images\/([^/]+)$/);
+      if (image && req.method === "GET") {
+        const thumb = url.searchParams.get("size") === "thumb";
+        const { body, type } = images.read(decodeParam(image[1]), { thumb });
+        return send(res, 200, body, type);
+      }
+
+      const resp = url.pathname.match(/^\/api\/requests\/([^/]+)\/responses\/?$/);
+      if (resp && req.method === "POST") {
+        const body = clean(await readJson(req));
+        if (!body.vendor_id || !body.message) {
+          throw new HttpError(400, "Missing required field(s): vendor_id, message");
+        }
+        const id = decodeParam(resp[1]);
+        const request = store.get("requests", id);
+        if (!isOpenForResponses(request)) {
+          throw new HttpError(409, "This request is no longer taking responses");
+        }
+        const token = req.headers["x-owner-token"] || null;
+        const vendor = store.get("vendors", body.vendor_id);
+        if (!vendor.owner_token || vendor.owner_token !== token) {
+          throw new HttpError(403, "Only the browser that created this vendor can respond as it");
+        }
+        // id, vendor name and time are the server's, not the client's
+        const { responses } = withResponse(request, createResponse(vendor, body));
+        return send(res, 201, withOwnership(store.update("requests", id, { responses }), token));
+      }
+
+      const m = url.pathname.match(/^\/api\/([a-z]+)(?:\/([^/]+))?\/?$/);
+      if (!m || ![...COLLECTIONS, "events"].includes(m[1])) {
+        throw new HttpError(404, `No route for ${url.pathname}`);
+      }
+
+      const { status = 200, body } = await handleCollection(
+        req,
+        m[1],
+        m[2] && decodeParam(m[2])
+      );
+      return send(res, status, body);
+    } catch (err) {
+      const status = err.status ?? 500;
+      if (status === 500) console.error(err);
+      if (status === 500) return send(res, status, { error: "Internal server error" });
+      return send(res, status, { error: err.message, ...(err.fields ? { fields: err.fields } : {}) });
+    }
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const store = createFileStore(DATA_FILE);
+  for (const name of COLLECTIONS) {
+    for (const p of checkRecords(name, store.list(name)).problems) {
+      console.warn(`Invalid ${name.slice(0, -1)} ${p.id ?? `#${p.index}`}: ${describeErrors(p.errors)}`);
+    }
+  }
+  createServer(createApp(store)).listen(PORT, () => {
+    console.log(`LoopedIn API on http://localhost:${PORT} (data: ${DATA_FILE})`);
+  });
+}
@@ -0,0 +1,162 @@
+// store.js
+// File-backed JSON store for the API server. The whole database is one JSON
+// file ({ clubs, vendors, requests, rsvps, meta }) that is seeded from
+// src/*.json on first run and rewritten atomically (tmp file + rename) after
+// every change.
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+import { isGeneratedId, newId } from "../src/ids.js";
+
+export const COLLECTIONS = ["clubs", "vendors", "requests", "rsvps"];
+
+export class NotFoundError extends Error {
+  constructor(what) {
+    super(`${what} not found`);
+    this.name = "NotFoundError";
+    this.status = 404;
+  }
+}
+
+function readSeed(name) {
+  return JSON.parse(readFileSync(new URL(`../src/${name}.json`, import.meta.url), "utf8"));
+}
+
+function seedDb() {
+  const db = {
+    clubs: readSeed("clubs"),
+    vendors: readSeed("vendors"),
+    requests: readSeed("requests"),
+    rsvps: [],
+  };
+
+  // events are embedded in clubs; give them ids so /api/events can address them
+  let nextEventId = 1;
+  for (const club of db.clubs) {
+    club.upcoming_events = (club.upcoming_events ?? []).map((ev) => ({ ...ev, id: nextEventId++ }));
+  }
+
+  db.meta = { nextEventId };
+  return db;
+}
+
+export function createFileStore(file) {
+  let db;
+  if (existsSync(file)) {
+    db = JSON.parse(readFileSync(file, "utf8"));
+    db.rsvps ??= []; // databases from before RSVPs
+  } else {
+    db = seedDb();
+    save();
+  }
+
+  function save() {
+    mkdirSync(dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    writeFileSync(tmp, JSON.stringify(db, null, 2));
+    renameSync(tmp, file);
+  }
+
+  function collection(name) {
+    if (!COLLECTIONS.includes(name)) throw new NotFoundError(`collection "${name}"`);
+    return db[name];
+  }
+
+  function find(name, id) {
+    const item = collection(name).find((x) => String(x.id) === String(id));
+    if (!item) throw new NotFoundError(`${name.slice(0, -1)} ${id}`);
+    return item;
+  }
+
+  function withEventIds(club) {
+    club.upcoming_events = (club.upcoming_events ?? []).map((ev) => ({
+      ...ev,
+      id: ev.id ?? db.meta.nextEventId++,
+    }));
+  }
+
+  function flatEvents() {
+    return db.clubs.flatMap((club) =>
+      (club.upcoming_events ?? []).map((ev) => ({ ...ev, club_id: club.id }))
+    );
+  }
+
+  function findEvent(id) {
+    for (const club of db.clubs) {
+      const idx = (club.upcoming_events ?? []).findIndex((ev) => String(ev.id) === String(id));
+      if (idx !== -1) return { club, idx };
+    }
+    throw new NotFoundError(`event ${id}`);
+  }
+
+  return {
+    list(name) {
+      return collection(name);
+    },
+
+    get(name, id) {
+      return find(name, id);
+    },
+
+    create(name, item) {
+      const items = collection(name);
+      // keep an id the client minted (ids.js) unless it's taken; anything else gets a fresh one
+      const taken = items.some((x) => String(x.id) === String(item.id));
+      const created = { ...item, id: isGeneratedId(item.id, name) && !taken ? item.id : newId(name) };
+      if (name === "clubs") withEventIds(created);
+      items.unshift(created);
+      save();
+      return created;
+    },
+
+    update(name, id, patch) {
+      const item = find(name, id);
+      Object.assign(item, patch, { id: item.id });
+      if (name === "clubs") withEventIds(item);
+      save();
+      return item;
+    },
+
+    remove(name, id) {
+      const items = collection(name);
+      const idx = items.findIndex((x) => String(x.id) === String(id));
+      if (idx === -1) throw new NotFoundError(`${name.slice(0, -1)} ${id}`);
+      const [removed] = items.splice(idx, 1);
+      save();
+      return removed;
+    },
+
+    listEvents() {
+      return flatEvents();
+    },
+
+    getEvent(id) {
+      const { club, idx } = findEvent(id);
+      return { ...club.upcoming_events[idx], club_id: club.id };
+    },
+
+    createEvent({ club_id, ...event }) {
+      const club = find("clubs", club_id);
+      const created = { ...event, id: db.meta.nextEventId++ };
+      club.upcoming_events = [...(club.upcoming_events ?? []), created];
+      save();
+      return { ...created, club_id: club.id };
+    },
+
+    updateEvent(id, patch) {
+      const { club, idx } = findEvent(id);
+      const current = club.upcoming_events[idx];
+      const next = { ...current, ...patch, id: current.id };
+      delete next.club_id; // events stay with their club
+      club.upcoming_events[idx] = next;
+      save();
+      return { ...club.upcoming_events[idx], club_id: club.id };
+    },
+
+    removeEvent(id) {
+      const { club, idx } = findEvent(id);
+      const [removed] = club.upcoming_events.splice(idx, 1);
+      save();
+      return { ...removed, club_id: club.id };
+    },
+  };
+}
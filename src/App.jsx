@@ -1,8 +1,105 @@
 // App.jsx
-import { useEffect, useMemo, useState } from "react";
-import clubsData from "./clubs.json";
-import vendorsData from "./vendors.json";
-import requestsData from "./requests.json";
+import { useEffect, useMemo, useState, useSyncExternalStore } from "react";
+import { useData } from "./useData.js";
+import { isSeedRecord, seedProblems } from "./dataSource.js";
+import {
+  searchItems,
+  highlightSegments,
+  CLUB_FIELDS,
+  VENDOR_FIELDS,
+  REQUEST_FIELDS,
+  EVENT_FIELDS,
+} from "./search.js";
+import { suggestVendors, suggestRequests } from "./matchmaking.js";
+import { useRoute, sameId, DISCOVER_MODES } from "./router.js";
+import { styles } from "./styles.js";
+import { collectEvents, filterEvents, validateEvent } from "./calendar.js";
+import {
+  requestStatus,
+  createResponse,
+  acceptPatch,
+  STATUS_LABELS,
+} from "./requestStatus.js";
+import CalendarView from "./components/CalendarView.jsx";
+import FacetPanel from "./components/FacetPanel.jsx";
+import RecommendedClubs from "./components/RecommendedClubs.jsx";
+import ImportExport from "./components/ImportExport.jsx";
+import ImageUploader from "./components/ImageUploader.jsx";
+import StoredImage from "./components/StoredImage.jsx";
+import Gallery from "./components/Gallery.jsx";
+import EventCard from "./components/EventCard.jsx";
+import EventEditor from "./components/EventEditor.jsx";
+import ScheduleEditor from "./components/ScheduleEditor.jsx";
+import FreeTimePicker from "./components/FreeTimePicker.jsx";
+import MyWeek from "./components/MyWeek.jsx";
+import MyRsvps from "./components/MyRsvps.jsx";
+import HeartedClubsToolbar from "./components/HeartedClubsToolbar.jsx";
+import HeartedClubDetails from "./components/HeartedClubDetails.jsx";
+import NotificationCenter from "./components/NotificationCenter.jsx";
+import CompareBar from "./components/CompareBar.jsx";
+import ClubComparison from "./components/ClubComparison.jsx";
+import { recommendClubs } from "./recommend.js";
+import { applyFacets, facetCounts, describeFilters, toggleFacetValue } from "./facets.js";
+import { canonicalTag, canonicalizeTags, countTags, tagMatches } from "./taxonomy.js";
+import { validateRecord, PRICE_RANGES, AVAILABILITY_OPTIONS } from "./schema.js";
+import { newId } from "./ids.js";
+import {
+  createCollection,
+  inCollection,
+  moveId,
+  sortHearted,
+  toggleInCollection,
+  withoutClub,
+} from "./hearts.js";
+import {
+  attendeesCsv,
+  countRsvps,
+  countsFor,
+  createRsvp,
+  eventRsvps,
+  findMyRsvp,
+  myRsvps,
+} from "./rsvp.js";
+import { downloadText } from "./transfer.js";
+import { MAX_COMPARE, MIN_COMPARE, toggleCompare } from "./compare.js";
+import {
+  canNotify,
+  checkForUpdates,
+  clearNotifications,
+  getNotifications,
+  markAllRead,
+  markRead,
+  requestNotifyPermission,
+  sendReminders,
+  subscribeNotifications,
+} from "./notifications.js";
+import {
+  compactSchedule,
+  describeSchedule,
+  filterByMeeting,
+  meetingText,
+  MEETS_FILTERS,
+  parseMeetingTime,
+  validateSchedule,
+} from "./schedule.js";
+import {
+  clearStorageProblem,
+  getStorageProblem,
+  readJson,
+  reportStorageProblem,
+  subscribeStorageProblems,
+  subscribeToKeys,
+  writeJson,
+} from "./storage.js";
+import {
+  clubToIcs,
+  clubsToIcs,
+  ICS_TYPE,
+  slugify,
+  webcalUrl,
+  clubFeedPath,
+  FEED_PATH,
+} from "./ics.js";
 
 // ✅ branding assets (put these files in /src/assets/)
 import logo from "./assets/loopedinlogo.webp";
@@ -10,193 +107,248 @@ import instagramlogo from "./assets/instagramlogo.webp";
 import discordlogo from "./assets/discordlogo.webp";
 
 /**
- * Simple localStorage hook (so hearts + registered clubs persist across refresh)
+ * localStorage-backed state (so hearts persist across refresh), kept in sync
+ * with other open tabs. Versioning, recovery and quota errors: see storage.js.
  */
 function useLocalStorageState(key, initialValue) {
-  const [value, setValue] = useState(() => {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : initialValue;
-    } catch {
-      return initialValue;
-    }
-  });
+  const [value, setValue] = useState(() => readJson(key, initialValue));
+  // first value seen, so a key removed in another tab resets to it
+  const [fallback] = useState(initialValue);
 
   useEffect(() => {
     try {
-      localStorage.setItem(key, JSON.stringify(value));
-    } catch {
-      // ignore
+      writeJson(key, value);
+    } catch (err) {
+      reportStorageProblem({ kind: err.kind, key, message: err.message });
     }
   }, [key, value]);
 
-  return [value, setValue];
-}
-
-function normalize(s) {
-  return (s ?? "").toString().trim().toLowerCase();
-}
-
-function matchesQueryClub(club, q) {
-  if (!q) return true;
-  const fields = [
-    club.name,
-    club.description,
-    ...(club.interests || []),
-    ...(club.vibes || []),
-    ...(club.collab_needs || []),
-
-    // ✅ extra profile fields (optional)
-    club.mission,
-    club.location,
-    club.meeting_time,
-    club.banner_url,
-    club.logo_url,
-    ...(club.flyers || []),
-    ...(club.photos || []),
-    ...(club.upcoming_events || []).flatMap((e) => [
-      e?.title,
-      e?.date,
-      e?.time,
-      e?.location,
-      e?.description,
-    ]),
-  ]
-    .filter(Boolean)
-    .join(" ")
-    .toLowerCase();
-
-  return fields.includes(q);
-}
-
-function matchesQueryVendor(vendor, q) {
-  if (!q) return true;
-  const fields = [
-    vendor.name,
-    vendor.description,
-    ...(vendor.services || []),
-    ...(vendor.vibes || []),
-    ...(vendor.tags || []),
-    ...(vendor.availability || []),
-    vendor.price_range,
-  ]
-    .filter(Boolean)
-    .join(" ")
-    .toLowerCase();
-
-  return fields.includes(q);
-}
+  useEffect(
+    () => subscribeToKeys([key], (_key, next) => setValue(next === undefined ? fallback : next)),
+    [key, fallback]
+  );
 
-function matchesQueryRequest(req, q) {
-  if (!q) return true;
-  const fields = [
-    req.club_name,
-    req.title,
-    req.description,
-    ...(req.needs || []),
-    req.budget,
-    req.date,
-    req.time_window,
-  ]
-    .filter(Boolean)
-    .join(" ")
-    .toLowerCase();
-
-  return fields.includes(q);
+  return [value, setValue];
 }
 
+// "cs" matches "computer science", "technology" matches cybersecurity clubs
 function clubMatchesSelectedTags(club, selectedTags) {
   if (!selectedTags || selectedTags.length === 0) return true;
 
-  const bag = new Set(
-    [
-      ...(club.interests || []),
-      ...(club.vibes || []),
-      ...(club.collab_needs || []),
-    ].map((t) => normalize(t))
-  );
-
-  return selectedTags.some((t) => bag.has(normalize(t)));
+  const bag = [...(club.interests || []), ...(club.vibes || []), ...(club.collab_needs || [])];
+  return selectedTags.some((t) => tagMatches(bag, t));
 }
 
-function pickRandomUnique(arr, n) {
-  const copy = [...arr];
-  for (let i = copy.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [copy[i], copy[j]] = [copy[j], copy[i]];
-  }
-  return copy.slice(0, n);
-}
+// how many theme chips Discover shows
+const THEME_COUNT = 12;
 
 export default function App() {
   const [heartedIds, setHeartedIds] = useLocalStorageState("heartedClubIds", []);
-  const [search, setSearch] = useState("");
-  const [discoverMode, setDiscoverMode] = useState("clubs"); // clubs | vendors | requests
-
-  // ✅ Full-screen profile modal state
-  const [activeClub, setActiveClub] = useState(null);
-  const [activeVendor, setActiveVendor] = useState(null);
-
-  const [userClubs, setUserClubs] = useLocalStorageState("userClubs", []);
-  const allClubs = [...clubsData, ...userClubs];
-  const allVendors = vendorsData;
-
-  // ✅ Requests state (seed + user-added)
-  const [userRequests, setUserRequests] = useLocalStorageState(
-    "userRequests",
-    []
+  // ✅ organizing Your Clubs: collections, private notes and sort (see hearts.js)
+  const [heartCollections, setHeartCollections] = useLocalStorageState("heartCollections", []);
+  const [clubNotes, setClubNotes] = useLocalStorageState("clubNotes", {});
+  const [heartSort, setHeartSort] = useLocalStorageState("heartSort", "manual");
+  const [activeCollectionId, setActiveCollectionId] = useState(null);
+  const [draggingId, setDraggingId] = useState(null);
+  // clubs picked for the side-by-side comparison (compare.js)
+  const [compareIds, setCompareIds] = useState([]);
+  const [isCompareOpen, setIsCompareOpen] = useState(false);
+  // ✅ recommendations: dismissed suggestions + optional quiz answers ({ interests, vibes })
+  const [dismissedIds, setDismissedIds] = useLocalStorageState("dismissedClubIds", []);
+  const [tasteQuiz, setTasteQuiz] = useLocalStorageState("tasteQuiz", null);
+  const [freeTime, setFreeTime] = useLocalStorageState("freeTime", []); // schedule.freeTimeKey()s
+  const [isFreeTimeOpen, setIsFreeTimeOpen] = useState(false);
+  const [classSchedule, setClassSchedule] = useLocalStorageState("classSchedule", []); // My Week
+  const [isWeekOpen, setIsWeekOpen] = useState(false);
+  const [rsvpName, setRsvpName] = useLocalStorageState("rsvpName", ""); // shown to club owners
+  // ✅ notification center (bell) + optional browser reminders ahead of events
+  const notifications = useSyncExternalStore(subscribeNotifications, getNotifications);
+  const [reminders, setReminders] = useLocalStorageState("eventReminders", {
+    enabled: false,
+    lead: 60, // minutes, see notifications.REMINDER_LEADS
+  });
+  const [isQuizOpen, setIsQuizOpen] = useState(false);
+  const [isTransferOpen, setIsTransferOpen] = useState(false);
+
+  // ✅ discover mode, search, tags and the open profile all live in the URL
+  const [route, navigate, canGoBack] = useRoute();
+  const discoverMode = route.mode; // clubs | vendors | requests | calendar
+  const search = route.q;
+  const selectedTags = route.tags;
+  const filters = route.filters; // vendor / request facets
+  // clubs: "meets on weekday evenings" / "fits my free time" (schedule.js)
+  const meets = useMemo(
+    () =>
+      discoverMode === "clubs" ? (filters.meets ?? []).filter((m) => m in MEETS_FILTERS) : [],
+    [discoverMode, filters]
   );
-  const allRequests = [...requestsData, ...userRequests];
+
+  // ✅ clubs / vendors / requests come from the data layer (demo localStorage or API)
+  const data = useData();
+  const allClubs = data.clubs;
+  const allVendors = data.vendors;
+  const allRequests = data.requests;
+  const allRsvps = data.rsvps;
   const [isRequestOpen, setIsRequestOpen] = useState(false);
 
   const [isRegisterOpen, setIsRegisterOpen] = useState(false);
-  const [selectedTags, setSelectedTags] = useState([]);
+  const [editingClub, setEditingClub] = useState(null);
+  const [isVendorFormOpen, setIsVendorFormOpen] = useState(false);
+  const [editingVendor, setEditingVendor] = useState(null);
+  const [onlyHearted, setOnlyHearted] = useState(false); // calendar filter
+  const [showExpired, setShowExpired] = useState(false); // requests filter
+  const [responding, setResponding] = useState(null); // { vendor, req }
+  // saved-data problems (storage full, unreadable data, …) from storage.js
+  const storageProblem = useSyncExternalStore(subscribeStorageProblems, getStorageProblem);
+  // dev only: seed JSON that failed schema.js (details are in the console)
+  const [showSeedProblems, setShowSeedProblems] = useState(
+    import.meta.env.DEV && seedProblems.length > 0
+  );
 
   const clubById = new Map(allClubs.map((c) => [c.id, c]));
   const heartedClubs = heartedIds.map((id) => clubById.get(id)).filter(Boolean);
+  const compareClubs = compareIds.map((id) => clubById.get(id)).filter(Boolean);
+  const activeCollection = heartCollections.find((c) => c.id === activeCollectionId) ?? null;
+  const shownHearted = sortHearted(
+    activeCollection
+      ? heartedClubs.filter((c) => inCollection(activeCollection, c.id))
+      : heartedClubs,
+    heartSort
+  );
 
-  const q = normalize(search);
-
-  const DISCOVER_TAGS = useMemo(
-    () => [
-      "technology",
-      "women",
-      "sports",
-      "service",
-      "business",
-      "engineering",
-      "creative",
-      "culture",
-      "career",
-      "health",
-      "computer science",
-      "math",
-      "cybersecurity",
-    ],
-    []
+  // ✅ Full-screen profile modal (from /clubs/:id or /vendors/:id)
+  const profile = route.profile;
+  const activeClub =
+    profile?.type === "club" ? allClubs.find((c) => sameId(c, profile.id)) ?? null : null;
+  const activeVendor =
+    profile?.type === "vendor"
+      ? allVendors.find((v) => sameId(v, profile.id)) ?? null
+      : null;
+  const isNotFound =
+    route.notFound ||
+    (data.status === "ready" && profile && !activeClub && !activeVendor);
+
+  const q = search.trim();
+
+  // ✅ theme chips: the most common club interests (child tags count toward parents)
+  const themeTags = useMemo(
+    () => countTags(allClubs, (c) => c.interests).slice(0, THEME_COUNT),
+    [allClubs]
   );
 
-  const [themeTags] = useState(() =>
-    pickRandomUnique(DISCOVER_TAGS, Math.min(10, DISCOVER_TAGS.length))
+  const recommendations = useMemo(
+    () => recommendClubs(allClubs, { heartedIds, dismissedIds, quiz: tasteQuiz }),
+    [allClubs, heartedIds, dismissedIds, tasteQuiz]
   );
+  const hasTaste =
+    heartedClubs.length > 0 || Boolean(tasteQuiz?.interests?.length || tasteQuiz?.vibes?.length);
+  const dismissedCount = allClubs.filter((c) => dismissedIds.includes(c.id)).length;
+
+  // My Week suggestions: recommended clubs first, then the rest not hearted or dismissed
+  const weekCandidates = useMemo(() => {
+    const recommended = recommendations.map((r) => r.club);
+    const rest = allClubs.filter(
+      (c) =>
+        !heartedIds.includes(c.id) && !dismissedIds.includes(c.id) && !recommended.includes(c)
+    );
+    return [...recommended, ...rest];
+  }, [recommendations, allClubs, heartedIds, dismissedIds]);
+
+  // what's new since this browser last looked (hearted clubs' events, requests, responses)
+  useEffect(() => {
+    if (data.status !== "ready") return;
+    checkForUpdates({ clubs: allClubs, requests: allRequests, heartedIds });
+  }, [data.status, allClubs, allRequests, heartedIds]);
+
+  // reminders are checked every minute while the app is open
+  useEffect(() => {
+    if (!reminders.enabled || data.status !== "ready") return;
+    const check = () =>
+      sendReminders({ clubs: allClubs, heartedIds, rsvps: allRsvps }, reminders.lead);
+    check();
+    const timer = setInterval(check, 60 * 1000);
+    return () => clearInterval(timer);
+  }, [reminders, data.status, allClubs, heartedIds, allRsvps]);
+
+  const rsvpCounts = useMemo(() => countRsvps(allRsvps), [allRsvps]);
+  const myRsvpItems = useMemo(() => myRsvps(allRsvps, allClubs), [allRsvps, allClubs]);
+
+  // picking the Expired status facet asks for expired requests too
+  const expiredPicked = (filters.status ?? []).includes("expired");
+  const includeExpired = showExpired || expiredPicked;
+
+  // ✅ what the facet panel counts over (vendors / requests modes)
+  const facetItems = useMemo(() => {
+    if (discoverMode === "vendors") return allVendors;
+    if (discoverMode === "requests") {
+      // past-date requests drop out of the default view
+      return includeExpired
+        ? allRequests
+        : allRequests.filter((req) => requestStatus(req) !== "expired");
+    }
+    return [];
+  }, [discoverMode, allVendors, allRequests, includeExpired]);
 
-  const discoverItems = useMemo(() => {
+  const facetOptions = useMemo(
+    () => facetCounts(facetItems, discoverMode, filters),
+    [facetItems, discoverMode, filters]
+  );
+
+  // ✅ ranked search results: [{ item, score, terms }] (terms = words to highlight)
+  const discoverResults = useMemo(() => {
     if (discoverMode === "clubs") {
-      return allClubs
-        .filter((club) => clubMatchesSelectedTags(club, selectedTags))
-        .filter((club) => matchesQueryClub(club, q));
+      const tagged = allClubs.filter((club) => clubMatchesSelectedTags(club, selectedTags));
+      return searchItems(filterByMeeting(tagged, meets, freeTime), q, CLUB_FIELDS);
     }
 
     if (discoverMode === "vendors") {
-      return allVendors.filter((vendor) => matchesQueryVendor(vendor, q));
+      return searchItems(applyFacets(facetItems, "vendors", filters), q, VENDOR_FIELDS);
     }
 
     if (discoverMode === "requests") {
-      return allRequests.filter((req) => matchesQueryRequest(req, q));
+      return searchItems(applyFacets(facetItems, "requests", filters), q, REQUEST_FIELDS);
+    }
+
+    if (discoverMode === "calendar") {
+      const entries = filterEvents(collectEvents(allClubs), {
+        tags: selectedTags,
+        onlyHearted,
+        heartedIds,
+      });
+      return searchItems(entries, q, EVENT_FIELDS);
     }
 
     return [];
-  }, [discoverMode, allClubs, allVendors, allRequests, selectedTags, q]);
+  }, [
+    discoverMode,
+    allClubs,
+    facetItems,
+    filters,
+    selectedTags,
+    q,
+    onlyHearted,
+    heartedIds,
+    meets,
+    freeTime,
+  ]);
+
+  // these modals show data.error themselves; the page banner would repeat it behind them
+  const modalShowsError =
+    isRegisterOpen ||
+    isRequestOpen ||
+    isTransferOpen ||
+    isVendorFormOpen ||
+    Boolean(editingClub || editingVendor || responding);
+
+  const expiredCount = allRequests.filter((req) => requestStatus(req) === "expired").length;
+
+  function exportHeartedClubs() {
+    downloadText(
+      "my-loopedin-clubs.ics",
+      clubsToIcs(heartedClubs, "My LoopedIn clubs", { meetings: heartedClubs }),
+      ICS_TYPE
+    );
+  }
 
   function toggleHeart(id) {
     setHeartedIds((prev) => {
@@ -206,27 +358,251 @@ export default function App() {
     });
   }
 
+  function toggleCompareClub(id) {
+    setCompareIds((prev) => toggleCompare(prev, id));
+  }
+
+  // false when the name is blank or already used
+  function addCollection(name) {
+    const created = createCollection(heartCollections, name);
+    if (!created) return false;
+    setHeartCollections((prev) => [...prev, created]);
+    return true;
+  }
+
+  function deleteCollection(collection) {
+    if (!window.confirm(`Delete the "${collection.name}" collection? Its clubs stay hearted.`)) {
+      return;
+    }
+    setHeartCollections((prev) => prev.filter((c) => c.id !== collection.id));
+    setActiveCollectionId(null);
+  }
+
+  // drag and drop (or the ↑ / ↓ buttons) in "My order"
+  function moveHeart(id, targetId) {
+    if (id === null || targetId === undefined) return;
+    setHeartedIds((prev) => moveId(prev, id, targetId));
+  }
+
+  function setClubNote(id, text) {
+    setClubNotes((prev) => {
+      const next = { ...prev };
+      if (text) next[id] = text;
+      else delete next[id];
+      return next;
+    });
+  }
+
+  // on failure the modal stays open; data.error shows what went wrong
   function addClub(newClub) {
-    setUserClubs((prev) => [newClub, ...prev]);
-    setIsRegisterOpen(false);
+    data
+      .create("clubs", newClub)
+      .then(() => setIsRegisterOpen(false))
+      .catch(() => {});
+  }
+
+  function saveClub(club) {
+    data
+      .update("clubs", club.id, club)
+      .then(() => setEditingClub(null))
+      .catch(() => {});
+  }
+
+  function deleteClub(club) {
+    if (!window.confirm(`Delete "${club.name}"? This can't be undone.`)) return;
+
+    data
+      .remove("clubs", club.id)
+      .then(() => {
+        // don't leave a dangling heart (or its note and collections) behind
+        setHeartedIds((prev) => prev.filter((id) => id !== club.id));
+        setHeartCollections((prev) => withoutClub(prev, club.id));
+        setClubNote(club.id, "");
+        setCompareIds((prev) => prev.filter((id) => id !== club.id));
+        navigate({ ...route, profile: null }, { replace: true });
+      })
+      .catch(() => {});
+  }
+
+  function addVendor(newVendor) {
+    data
+      .create("vendors", newVendor)
+      .then((created) => {
+        setIsVendorFormOpen(false);
+        openVendor(created);
+      })
+      .catch(() => {});
+  }
+
+  function saveVendor(vendor) {
+    data
+      .update("vendors", vendor.id, vendor)
+      .then(() => setEditingVendor(null))
+      .catch(() => {});
+  }
+
+  function deleteVendor(vendor) {
+    if (!window.confirm(`Delete "${vendor.name}"? This can't be undone.`)) return;
+
+    data
+      .remove("vendors", vendor.id)
+      .then(() => navigate({ ...route, profile: null }, { replace: true }))
+      .catch(() => {});
   }
 
   function addRequest(newReq) {
-    setUserRequests((prev) => [newReq, ...prev]);
-    setIsRequestOpen(false);
+    data
+      .create("requests", newReq)
+      .then(() => setIsRequestOpen(false))
+      .catch(() => {});
   }
 
-  function toggleTag(tag) {
-    setSelectedTags((prev) => {
-      const has = prev.some((t) => normalize(t) === normalize(tag));
-      if (has) return prev.filter((t) => normalize(t) !== normalize(tag));
-      return [tag, ...prev];
+  function submitResponse(fields) {
+    const { vendor, req } = responding;
+    data
+      .addResponse(req.id, createResponse(vendor, fields))
+      .then(() => setResponding(null))
+      .catch(() => {});
+  }
+
+  function acceptResponse(req, response) {
+    if (!window.confirm(`Accept ${response.vendor_name}'s response? This closes the request.`)) {
+      return;
+    }
+    data.update("requests", req.id, acceptPatch(response.id)).catch(() => {});
+  }
+
+  // turning reminders on asks for the browser's permission first
+  function changeReminders(next) {
+    if (!next.enabled || (canNotify() && window.Notification.permission === "granted")) {
+      setReminders(next);
+      return;
+    }
+    requestNotifyPermission().then((permission) =>
+      setReminders({ ...next, enabled: permission === "granted" })
+    );
+  }
+
+  function openNotification(notification) {
+    markRead(notification.id);
+    if (notification.club_id != null) {
+      navigate({ ...route, profile: { type: "club", id: notification.club_id } });
+      return;
+    }
+    // requests have no page of their own; search for it in the requests list
+    const req = allRequests.find((r) => sameId(r, notification.request_id));
+    navigate({
+      ...route,
+      mode: "requests",
+      q: req?.title ?? "",
+      tags: [],
+      filters: {},
+      profile: null,
+      notFound: false,
     });
   }
 
+  // picking the status you already have takes the RSVP back
+  function rsvpToEvent(club, event, status) {
+    const mine = findMyRsvp(allRsvps, club, event);
+    if (mine?.status === status) {
+      data.remove("rsvps", mine.id).catch(() => {});
+    } else if (mine) {
+      data.update("rsvps", mine.id, { status }).catch(() => {});
+    } else {
+      data.create("rsvps", createRsvp(club, event, status, rsvpName)).catch(() => {});
+    }
+  }
+
+  function cancelRsvp(rsvp) {
+    data.remove("rsvps", rsvp.id).catch(() => {});
+  }
+
+  // records this browser added, without the per-viewer `owned` flag
+  function ownedRecords(list) {
+    return list
+      .filter((r) => r.owned)
+      .map((r) => {
+        const { owned: _owned, ...rest } = r;
+        return rest;
+      });
+  }
+
+  /** Apply an import plan (transfer.planImport); resolves to the number of failed writes */
+  async function importData(plan) {
+    let failed = 0;
+    const clubIds = new Map(); // id in the plan -> id the data source assigned
+
+    for (const name of ["clubs", "requests"]) {
+      for (const record of plan[name].create) {
+        try {
+          const created = await data.create(name, record);
+          if (name === "clubs") clubIds.set(String(record.id), created.id);
+        } catch {
+          failed++;
+        }
+      }
+      for (const record of plan[name].update) {
+        await data.update(name, record.id, record).catch(() => failed++);
+      }
+    }
+
+    const hearts = plan.hearts.add.map((id) => clubIds.get(String(id)) ?? id);
+    setHeartedIds((prev) => [...prev, ...hearts.filter((id) => !prev.includes(id))]);
+    return failed;
+  }
+
+  function setSearch(value) {
+    // typing shouldn't add a history entry per keystroke
+    navigate({ ...route, q: value }, { replace: true });
+  }
+
+  function setDiscoverMode(mode) {
+    // facets differ per mode; tags carry over (clubs <-> calendar)
+    navigate({ ...route, mode, filters: {}, profile: null, notFound: false });
+  }
+
+  function toggleTag(tag) {
+    const same = (t) => canonicalTag(t) === canonicalTag(tag);
+    const tags = selectedTags.some(same)
+      ? selectedTags.filter((t) => !same(t))
+      : [tag, ...selectedTags];
+    navigate({ ...route, tags });
+  }
+
+  function toggleMeets(key) {
+    const next = meets.includes(key) ? meets.filter((m) => m !== key) : [...meets, key];
+    setFilters({ ...filters, meets: next });
+    // nothing to fit meetings into yet
+    if (next.includes("free") && freeTime.length === 0) setIsFreeTimeOpen(true);
+  }
+
   function clearFilters() {
-    setSelectedTags([]);
-    setSearch("");
+    navigate({ ...route, tags: [], filters: {}, q: "" });
+  }
+
+  function setFilters(next) {
+    navigate({ ...route, filters: next });
+  }
+
+  // unticking "Show expired" also drops an Expired status facet, which would keep them shown
+  function changeShowExpired(checked) {
+    setShowExpired(checked);
+    if (!checked && expiredPicked) setFilters(toggleFacetValue(filters, "status", "expired"));
+  }
+
+  function openClub(club) {
+    navigate({ ...route, profile: { type: "club", id: club.id } });
+  }
+
+  function openVendor(vendor) {
+    navigate({ ...route, profile: { type: "vendor", id: vendor.id } });
+  }
+
+  // back button closes the modal; a deep link opened fresh falls back to the list
+  function closeProfile() {
+    if (canGoBack()) window.history.back();
+    else navigate({ ...route, profile: null, notFound: false }, { replace: true });
   }
 
   return (
@@ -253,11 +629,19 @@ export default function App() {
             placeholder="Search clubs, vendors, requests… (ex: business, chai, networking)"
             style={styles.search}
           />
-          {search || selectedTags.length ? (
+          {search || selectedTags.length || meets.length ? (
             <button onClick={clearFilters} style={styles.clearBtn}>
               Clear
             </button>
           ) : null}
+          <NotificationCenter
+            notifications={notifications}
+            reminders={reminders}
+            onOpen={openNotification}
+            onMarkAllRead={markAllRead}
+            onClear={clearNotifications}
+            onRemindersChange={changeReminders}
+          />
         </div>
       </header>
 
@@ -266,46 +650,173 @@ export default function App() {
         <button style={styles.smallBtn} onClick={() => setIsRegisterOpen(true)}>
           ➕ Register a Club
         </button>
+        <button style={styles.smallBtn} onClick={() => setIsTransferOpen(true)}>
+          ⇅ Import / Export
+        </button>
       </div>
 
+      {data.error && !modalShowsError ? (
+        <ErrorBanner
+          message={data.error}
+          onRetry={data.status === "error" ? data.reload : null}
+          onDismiss={data.status === "error" ? null : data.clearError}
+        />
+      ) : null}
+
+      {storageProblem ? (
+        <ErrorBanner message={storageProblem.message} onDismiss={clearStorageProblem} />
+      ) : null}
+
+      {showSeedProblems ? (
+        <ErrorBanner
+          message={`${seedProblems.length} seed record(s) don't match the schema (see the console).`}
+          onDismiss={() => setShowSeedProblems(false)}
+        />
+      ) : null}
+
       <main style={styles.grid}>
         {/* LEFT */}
         <section style={styles.panel}>
           <div style={styles.panelHeader}>
             <h2 style={styles.h2}>❤️ Your Clubs</h2>
-            <span style={styles.countPill}>{heartedClubs.length}</span>
+            <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <button
+                type="button"
+                style={styles.smallBtn}
+                onClick={() => setIsWeekOpen(true)}
+                title="Your classes and clubs on one week, with conflicts and free time"
+              >
+                🗓️ My Week
+              </button>
+              {heartedClubs.some((c) => c.upcoming_events?.length) ? (
+                <button
+                  type="button"
+                  style={styles.smallBtn}
+                  onClick={exportHeartedClubs}
+                  title="Download your clubs' events as an .ics file"
+                >
+                  📅 Export
+                </button>
+              ) : null}
+              <span style={styles.countPill}>{heartedClubs.length}</span>
+            </div>
           </div>
 
           {heartedClubs.length === 0 ? (
             <p style={styles.muted}>Heart a club to pin it here.</p>
           ) : (
-            <div style={styles.list}>
-              {heartedClubs.map((club) => (
-                <ClubTile
-                  key={club.id}
-                  club={club}
-                  hearted
-                  onToggleHeart={toggleHeart}
-                  onOpenProfile={() => setActiveClub(club)}
-                />
-              ))}
-            </div>
+            <>
+              <HeartedClubsToolbar
+                collections={heartCollections}
+                heartedIds={heartedClubs.map((c) => c.id)}
+                active={activeCollection?.id ?? null}
+                sort={heartSort}
+                onPick={setActiveCollectionId}
+                onCreate={addCollection}
+                onDelete={deleteCollection}
+                onSortChange={setHeartSort}
+              />
+
+              {shownHearted.length === 0 ? (
+                <p style={styles.muted}>
+                  Nothing in “{activeCollection?.name}” yet. Use “add note / collection” on a
+                  club to file it here.
+                </p>
+              ) : null}
+
+              <div style={styles.list}>
+                {shownHearted.map((club, idx) => {
+                  const manual = heartSort === "manual";
+                  return (
+                    <div
+                      key={club.id}
+                      draggable={manual}
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = "move";
+                        e.dataTransfer.setData("text/plain", String(club.id));
+                        setDraggingId(club.id);
+                      }}
+                      onDragOver={(e) => {
+                        if (draggingId !== null) e.preventDefault();
+                      }}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        moveHeart(draggingId, club.id);
+                        setDraggingId(null);
+                      }}
+                      onDragEnd={() => setDraggingId(null)}
+                      style={{
+                        opacity: draggingId === club.id ? 0.5 : 1,
+                        cursor: manual ? "grab" : "default",
+                      }}
+                    >
+                      <ClubTile
+                        club={club}
+                        hearted
+                        onToggleHeart={toggleHeart}
+                        onOpenProfile={() => openClub(club)}
+                        compared={compareIds.includes(club.id)}
+                        compareFull={compareIds.length >= MAX_COMPARE}
+                        onToggleCompare={toggleCompareClub}
+                      >
+                        <HeartedClubDetails
+                          club={club}
+                          note={clubNotes[club.id] ?? ""}
+                          collections={heartCollections}
+                          onNoteChange={(text) => setClubNote(club.id, text)}
+                          onToggleCollection={(id) =>
+                            setHeartCollections((prev) => toggleInCollection(prev, id, club.id))
+                          }
+                          onMove={
+                            manual
+                              ? (dir) => moveHeart(club.id, shownHearted[idx + dir]?.id)
+                              : null
+                          }
+                        />
+                      </ClubTile>
+                    </div>
+                  );
+                })}
+              </div>
+            </>
           )}
+
+          {data.status === "ready" ? (
+            <MyRsvps
+              items={myRsvpItems}
+              name={rsvpName}
+              onNameChange={setRsvpName}
+              onOpenClub={openClub}
+              onCancel={cancelRsvp}
+            />
+          ) : null}
+
+          {data.status === "ready" ? (
+            <RecommendedClubs
+              recommendations={recommendations}
+              hasTaste={hasTaste}
+              dismissedCount={dismissedCount}
+              onOpenClub={openClub}
+              onHeart={toggleHeart}
+              onDismiss={(id) => setDismissedIds((prev) => [...prev, id])}
+              onResetDismissed={() => setDismissedIds([])}
+              onTakeQuiz={() => setIsQuizOpen(true)}
+            />
+          ) : null}
         </section>
 
         {/* RIGHT */}
         <section style={styles.panel}>
           <div style={styles.panelHeader}>
             <h2 style={styles.h2}>🔍 Discover</h2>
-            <span style={styles.countPill}>{discoverItems.length}</span>
+            <span style={styles.countPill}>{discoverResults.length}</span>
           </div>
 
           {/* mode toggle */}
           <div style={styles.modeToggle}>
-            {["clubs", "vendors", "requests"].map((m) => {
+            {DISCOVER_MODES.map((m) => {
               const active = discoverMode === m;
-              const label =
-                m === "clubs" ? "Clubs" : m === "vendors" ? "Vendors" : "Requests";
+              const label = m[0].toUpperCase() + m.slice(1);
 
               return (
                 <button
@@ -325,27 +836,68 @@ export default function App() {
             })}
           </div>
 
+          {/* vendor sign-up */}
+          {discoverMode === "vendors" ? (
+            <div style={{ marginTop: 10 }}>
+              <button style={styles.smallBtn} onClick={() => setIsVendorFormOpen(true)}>
+                ➕ Register as a Vendor
+              </button>
+            </div>
+          ) : null}
+
           {/* post request button */}
           {discoverMode === "requests" ? (
             <div style={{ marginTop: 10 }}>
               <button style={styles.smallBtn} onClick={() => setIsRequestOpen(true)}>
                 ➕ Post a Request
               </button>
+              <label style={styles.checkLine}>
+                <input
+                  type="checkbox"
+                  checked={includeExpired}
+                  onChange={(e) => changeShowExpired(e.target.checked)}
+                />
+                Show expired requests{expiredCount ? ` (${expiredCount})` : ""}
+              </label>
             </div>
           ) : null}
 
-          {/* club tags */}
-          {discoverMode === "clubs" ? (
+          {/* vendor / request facets */}
+          {discoverMode === "vendors" || discoverMode === "requests" ? (
+            <>
+              <FacetPanel
+                mode={discoverMode}
+                options={facetOptions}
+                filters={filters}
+                onChange={setFilters}
+              />
+
+              {describeFilters(discoverMode, filters).length ? (
+                <p style={styles.filterLine}>
+                  Filtering by:{" "}
+                  <span style={styles.filterTags}>
+                    {describeFilters(discoverMode, filters).join(" • ")}
+                  </span>{" "}
+                  <button type="button" style={styles.linkBtn} onClick={() => setFilters({})}>
+                    clear
+                  </button>
+                </p>
+              ) : null}
+            </>
+          ) : null}
+
+          {/* club tags (calendar filters events by their club's tags) */}
+          {discoverMode === "clubs" || discoverMode === "calendar" ? (
             <>
               <p style={styles.muted}>
-                Pick a theme to explore (these rotate). You can also search.
+                {discoverMode === "calendar"
+                  ? "Every club's upcoming events in one place. Filter by theme or search."
+                  : "Pick a popular theme to explore. You can also search."}
               </p>
 
               <div style={styles.chipsWrap}>
-                {themeTags.map((tag) => {
-                  const active = selectedTags.some(
-                    (t) => normalize(t) === normalize(tag)
-                  );
+                {themeTags.map(({ tag, count }) => {
+                  const active = selectedTags.some((t) => canonicalTag(t) === tag);
 
                   return (
                     <button
@@ -357,6 +909,7 @@ export default function App() {
                         background: active ? "#eaf2ff" : "white",
                         borderColor: active ? "#3d8cfb" : "#ddd",
                       }}
+                      title={`${count} club${count === 1 ? "" : "s"}`}
                     >
                       {tag}
                     </button>
@@ -364,41 +917,129 @@ export default function App() {
                 })}
               </div>
 
-              {selectedTags.length ? (
+              {discoverMode === "calendar" ? (
+                <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+                  <label style={styles.checkLine}>
+                    <input
+                      type="checkbox"
+                      checked={onlyHearted}
+                      onChange={(e) => setOnlyHearted(e.target.checked)}
+                    />
+                    Only my hearted clubs
+                  </label>
+                  <a href={webcalUrl(FEED_PATH)} style={{ ...styles.link, marginTop: 10, fontSize: 12 }}>
+                    📅 Subscribe to the campus feed
+                  </a>
+                </div>
+              ) : null}
+
+              {discoverMode === "clubs" ? (
+                <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+                  <span style={{ ...styles.formHint, marginTop: 10 }}>Meets:</span>
+                  {Object.entries(MEETS_FILTERS).map(([key, label]) => {
+                    const active = meets.includes(key);
+                    return (
+                      <button
+                        key={key}
+                        type="button"
+                        aria-pressed={active}
+                        onClick={() => toggleMeets(key)}
+                        style={{
+                          ...styles.chip,
+                          marginTop: 10,
+                          background: active ? "#eaf2ff" : "white",
+                          borderColor: active ? "#3d8cfb" : "#ddd",
+                        }}
+                      >
+                        {key === "evenings" ? "🌙" : "🕒"} {label}
+                      </button>
+                    );
+                  })}
+                  <button
+                    type="button"
+                    style={{ ...styles.linkBtn, marginTop: 10 }}
+                    onClick={() => setIsFreeTimeOpen((open) => !open)}
+                  >
+                    {isFreeTimeOpen
+                      ? "Done"
+                      : freeTime.length
+                        ? "Edit my free time"
+                        : "Set my free time"}
+                  </button>
+                </div>
+              ) : null}
+
+              {discoverMode === "clubs" && isFreeTimeOpen ? (
+                <FreeTimePicker value={freeTime} onChange={setFreeTime} />
+              ) : null}
+
+              {selectedTags.length || meets.length ? (
                 <p style={styles.filterLine}>
                   Filtering by:{" "}
-                  <span style={styles.filterTags}>{selectedTags.join(", ")}</span>
+                  <span style={styles.filterTags}>
+                    {[...selectedTags, ...meets.map((m) => MEETS_FILTERS[m])].join(", ")}
+                  </span>
+                  {meets.length ? " (clubs without a readable meeting time are hidden)" : null}
                 </p>
               ) : null}
             </>
           ) : null}
 
-          {discoverItems.length === 0 ? (
+          {data.status === "loading" ? (
+            <p style={styles.muted}>Loading…</p>
+          ) : data.status === "error" ? (
+            <p style={styles.muted}>(Couldn't load data — see the message above.)</p>
+          ) : discoverMode === "calendar" ? (
+            <CalendarView
+              entries={discoverResults.map((r) => r.item)}
+              counts={rsvpCounts}
+              onOpenClub={openClub}
+            />
+          ) : discoverResults.length === 0 ? (
             <p style={styles.muted}>(No matches yet — try a different search.)</p>
           ) : (
             <div style={styles.list}>
               {discoverMode === "clubs" &&
-                discoverItems.map((club) => (
+                discoverResults.map(({ item: club, terms }) => (
                   <ClubTile
                     key={club.id}
                     club={club}
+                    highlight={terms}
                     hearted={heartedIds.includes(club.id)}
                     onToggleHeart={toggleHeart}
-                    onOpenProfile={() => setActiveClub(club)}
+                    onOpenProfile={() => openClub(club)}
+                    compared={compareIds.includes(club.id)}
+                    compareFull={compareIds.length >= MAX_COMPARE}
+                    onToggleCompare={toggleCompareClub}
                   />
                 ))}
 
               {discoverMode === "vendors" &&
-                discoverItems.map((vendor) => (
+                discoverResults.map(({ item: vendor, terms }) => (
                   <VendorTile
                     key={vendor.id}
                     vendor={vendor}
-                    onOpenProfile={() => setActiveVendor(vendor)}
+                    highlight={terms}
+                    onOpenProfile={() => openVendor(vendor)}
                   />
                 ))}
 
               {discoverMode === "requests" &&
-                discoverItems.map((req) => <RequestTile key={req.id} req={req} />)}
+                discoverResults.map(({ item: req, terms }) => (
+                  <RequestTile
+                    key={req.id}
+                    req={req}
+                    highlight={terms}
+                    suggestions={suggestVendors(req, allVendors)}
+                    onOpenVendor={openVendor}
+                    // demo mode: anyone may manage seed requests (they have no owner)
+                    onAccept={
+                      req.owned || (data.kind === "local" && isSeedRecord("requests", req.id))
+                        ? (response) => acceptResponse(req, response)
+                        : null
+                    }
+                  />
+                ))}
             </div>
           )}
         </section>
@@ -414,17 +1055,183 @@ export default function App() {
             </button>
           </div>
           <p style={styles.modalSubtext}>
-            Add your org to the directory. Saved locally for demo.
+            Add your org to the directory.{" "}
+            {data.kind === "api" ? "Saved to the LoopedIn server." : "Saved locally for demo."}
           </p>
+          {data.error ? <ErrorBanner message={data.error} onDismiss={data.clearError} /> : null}
 
           <NewClubForm
-            existingIds={new Set(allClubs.map((c) => c.id))}
-            onAddClub={addClub}
+            onSave={addClub}
             onCancel={() => setIsRegisterOpen(false)}
           />
         </Modal>
       ) : null}
 
+      {/* edit club modal (owner only) */}
+      {editingClub ? (
+        <Modal onClose={() => setEditingClub(null)}>
+          <div style={styles.modalHeader}>
+            <h2 style={{ margin: 0, fontSize: 18 }}>✏️ Edit {editingClub.name}</h2>
+            <button onClick={() => setEditingClub(null)} style={styles.xBtn}>
+              ✕
+            </button>
+          </div>
+          <p style={styles.modalSubtext}>
+            {data.kind === "api" ? "Saved to the LoopedIn server." : "Saved locally for demo."}
+          </p>
+          {data.error ? <ErrorBanner message={data.error} onDismiss={data.clearError} /> : null}
+
+          <NewClubForm
+            key={editingClub.id}
+            initialClub={editingClub}
+            onSave={saveClub}
+            onCancel={() => setEditingClub(null)}
+          />
+        </Modal>
+      ) : null}
+
+      {/* import / export */}
+      {isTransferOpen ? (
+        <Modal onClose={() => setIsTransferOpen(false)}>
+          <div style={styles.modalHeader}>
+            <h2 style={{ margin: 0, fontSize: 18 }}>⇅ Import / Export</h2>
+            <button onClick={() => setIsTransferOpen(false)} style={styles.xBtn}>
+              ✕
+            </button>
+          </div>
+          <p style={styles.modalSubtext}>
+            Move your clubs, requests and hearts to another browser, or bulk-load a list of orgs.
+          </p>
+          {data.error ? <ErrorBanner message={data.error} onDismiss={data.clearError} /> : null}
+
+          <ImportExport
+            owned={{ clubs: ownedRecords(allClubs), requests: ownedRecords(allRequests) }}
+            heartedIds={heartedIds}
+            existing={{ clubs: allClubs, requests: allRequests, heartedIds }}
+            onImport={importData}
+            onClose={() => setIsTransferOpen(false)}
+          />
+        </Modal>
+      ) : null}
+
+      {/* My Week: classes + hearted clubs, conflicts and free time */}
+      {isWeekOpen ? (
+        <Modal onClose={() => setIsWeekOpen(false)}>
+          <div style={styles.modalHeader}>
+            <h2 style={{ margin: 0, fontSize: 18 }}>🗓️ My Week</h2>
+            <button onClick={() => setIsWeekOpen(false)} style={styles.xBtn}>
+              ✕
+            </button>
+          </div>
+          <p style={styles.modalSubtext}>
+            Your classes and your hearted clubs' meetings and events. Overlaps are flagged in red
+            and free time is shaded green.
+          </p>
+
+          <MyWeek
+            clubs={heartedClubs}
+            candidates={weekCandidates}
+            classes={Array.isArray(classSchedule) ? classSchedule : []}
+            onClassesChange={setClassSchedule}
+            onOpenClub={(club) => {
+              setIsWeekOpen(false);
+              openClub(club);
+            }}
+            onHeart={toggleHeart}
+          />
+        </Modal>
+      ) : null}
+
+      {isCompareOpen && compareClubs.length >= MIN_COMPARE ? (
+        <Modal wide onClose={() => setIsCompareOpen(false)}>
+          <div style={styles.modalHeader}>
+            <h2 style={{ margin: 0, fontSize: 18 }}>⚖️ Compare clubs</h2>
+            <button onClick={() => setIsCompareOpen(false)} style={styles.xBtn}>
+              ✕
+            </button>
+          </div>
+
+          <ClubComparison
+            clubs={compareClubs}
+            onOpenClub={(club) => {
+              setIsCompareOpen(false);
+              openClub(club);
+            }}
+            onRemove={(id) => {
+              // below two there's nothing to compare; back to the bar
+              if (compareClubs.length <= MIN_COMPARE) setIsCompareOpen(false);
+              toggleCompareClub(id);
+            }}
+          />
+        </Modal>
+      ) : null}
+
+      {compareClubs.length && !(isCompareOpen && compareClubs.length >= MIN_COMPARE) ? (
+        <CompareBar
+          clubs={compareClubs}
+          onCompare={() => setIsCompareOpen(true)}
+          onRemove={toggleCompareClub}
+          onClear={() => setCompareIds([])}
+        />
+      ) : null}
+
+      {/* recommendation quiz */}
+      {isQuizOpen ? (
+        <Modal onClose={() => setIsQuizOpen(false)}>
+          <div style={styles.modalHeader}>
+            <h2 style={{ margin: 0, fontSize: 18 }}>✨ What are you into?</h2>
+            <button onClick={() => setIsQuizOpen(false)} style={styles.xBtn}>
+              ✕
+            </button>
+          </div>
+          <p style={styles.modalSubtext}>
+            Pick anything that sounds like you. Your hearted clubs count too.
+          </p>
+
+          <TasteQuiz
+            interestOptions={countTags(allClubs, (c) => c.interests).map((t) => t.tag)}
+            vibeOptions={countTags(allClubs, (c) => c.vibes).map((t) => t.tag)}
+            initial={tasteQuiz}
+            onSave={(answers) => {
+              setTasteQuiz(answers);
+              setIsQuizOpen(false);
+            }}
+            onCancel={() => setIsQuizOpen(false)}
+          />
+        </Modal>
+      ) : null}
+
+      {/* register / edit vendor modal (edit: owner only) */}
+      {isVendorFormOpen || editingVendor ? (
+        <Modal onClose={() => (editingVendor ? setEditingVendor(null) : setIsVendorFormOpen(false))}>
+          <div style={styles.modalHeader}>
+            <h2 style={{ margin: 0, fontSize: 18 }}>
+              {editingVendor ? `✏️ Edit ${editingVendor.name}` : "➕ Register as a Vendor"}
+            </h2>
+            <button
+              onClick={() => (editingVendor ? setEditingVendor(null) : setIsVendorFormOpen(false))}
+              style={styles.xBtn}
+            >
+              ✕
+            </button>
+          </div>
+          {editingVendor ? null : (
+            <p style={styles.modalSubtext}>
+              List your business so clubs can find you.{" "}
+              {data.kind === "api" ? "Saved to the LoopedIn server." : "Saved locally for demo."}
+            </p>
+          )}
+          {data.error ? <ErrorBanner message={data.error} onDismiss={data.clearError} /> : null}
+
+          <NewVendorForm
+            key={editingVendor?.id ?? "new"}
+            initialVendor={editingVendor}
+            onSave={editingVendor ? saveVendor : addVendor}
+            onCancel={() => (editingVendor ? setEditingVendor(null) : setIsVendorFormOpen(false))}
+          />
+        </Modal>
+      ) : null}
+
       {/* request modal */}
       {isRequestOpen ? (
         <Modal onClose={() => setIsRequestOpen(false)}>
@@ -434,10 +1241,12 @@ export default function App() {
               ✕
             </button>
           </div>
-          <p style={styles.modalSubtext}>Saved locally for demo.</p>
+          <p style={styles.modalSubtext}>
+            {data.kind === "api" ? "Saved to the LoopedIn server." : "Saved locally for demo."}
+          </p>
+          {data.error ? <ErrorBanner message={data.error} onDismiss={data.clearError} /> : null}
 
           <NewRequestForm
-            existingIds={new Set(allRequests.map((r) => r.id))}
             onAddRequest={addRequest}
             onCancel={() => setIsRequestOpen(false)}
           />
@@ -446,23 +1255,108 @@ export default function App() {
 
       {/* full-screen modals */}
       {activeClub ? (
-        <FullScreenClubModal club={activeClub} onClose={() => setActiveClub(null)} />
+        <FullScreenClubModal
+          club={activeClub}
+          rsvps={allRsvps}
+          rsvpCounts={rsvpCounts}
+          onRsvp={rsvpToEvent}
+          onEdit={activeClub.owned ? () => setEditingClub(activeClub) : null}
+          onDelete={activeClub.owned ? () => deleteClub(activeClub) : null}
+          // in demo mode feeds only exist for seed clubs (user clubs live in this browser)
+          feedUrl={
+            data.kind === "api" || isSeedRecord("clubs", activeClub.id)
+              ? webcalUrl(clubFeedPath(activeClub))
+              : null
+          }
+          onClose={closeProfile}
+        />
       ) : null}
 
       {activeVendor ? (
-        <FullScreenVendorModal vendor={activeVendor} onClose={() => setActiveVendor(null)} />
+        <FullScreenVendorModal
+          vendor={activeVendor}
+          openRequests={suggestRequests(activeVendor, allRequests)}
+          onRespond={
+            activeVendor.owned ? (req) => setResponding({ vendor: activeVendor, req }) : null
+          }
+          onEdit={activeVendor.owned ? () => setEditingVendor(activeVendor) : null}
+          onDelete={activeVendor.owned ? () => deleteVendor(activeVendor) : null}
+          onClose={closeProfile}
+        />
+      ) : null}
+
+      {/* vendor responds to a request */}
+      {responding ? (
+        <Modal onClose={() => setResponding(null)}>
+          <div style={styles.modalHeader}>
+            <h2 style={{ margin: 0, fontSize: 18 }}>💬 Respond to “{responding.req.title}”</h2>
+            <button onClick={() => setResponding(null)} style={styles.xBtn}>
+              ✕
+            </button>
+          </div>
+          <p style={styles.modalSubtext}>
+            Responding as <b>{responding.vendor.name}</b> to {responding.req.club_name}.
+          </p>
+          {data.error ? <ErrorBanner message={data.error} onDismiss={data.clearError} /> : null}
+
+          <ResponseForm
+            previous={(responding.req.responses ?? []).find((r) =>
+              sameId(responding.vendor, r.vendor_id)
+            )}
+            onSubmit={submitResponse}
+            onCancel={() => setResponding(null)}
+          />
+        </Modal>
+      ) : null}
+
+      {/* unknown path or id */}
+      {isNotFound ? (
+        <Modal onClose={closeProfile}>
+          <div style={styles.modalHeader}>
+            <h2 style={{ margin: 0, fontSize: 18 }}>🔎 Not found</h2>
+            <button onClick={closeProfile} style={styles.xBtn}>
+              ✕
+            </button>
+          </div>
+          <p style={styles.modalSubtext}>
+            {profile
+              ? `We couldn't find a ${profile.type} with id "${profile.id}". It may have been removed.`
+              : "That page doesn't exist."}
+          </p>
+          <div style={styles.modalActions}>
+            <button type="button" onClick={closeProfile} style={styles.primaryBtn}>
+              Back to Discover
+            </button>
+          </div>
+        </Modal>
       ) : null}
 
       <footer style={styles.footer}>
         <span style={styles.footerText}>
-          MVP dataset: seed UIC orgs + user-added clubs + vendor requests • saved locally
+          MVP dataset: seed UIC orgs + user-added clubs, vendors + vendor requests •{" "}
+          {data.kind === "api" ? "shared via the LoopedIn server" : "saved locally"}
         </span>
       </footer>
     </div>
   );
 }
 
-function ClubTile({ club, hearted, onToggleHeart, onOpenProfile }) {
+/**
+ * A club card; `children` (e.g. the private notes on Your Clubs) go at the
+ * bottom. `onToggleCompare` adds a "Compare" checkbox, disabled once
+ * `compareFull` unless this club is already picked.
+ */
+function ClubTile({
+  club,
+  hearted,
+  highlight,
+  onToggleHeart,
+  onOpenProfile,
+  compared = false,
+  compareFull = false,
+  onToggleCompare = null,
+  children,
+}) {
   return (
     <article style={styles.card}>
       <div style={styles.cardTop}>
@@ -474,10 +1368,13 @@ function ClubTile({ club, hearted, onToggleHeart, onOpenProfile }) {
               style={styles.cardTitleButton}
               title="Open club profile"
             >
-              {club.name}
+              <Highlight text={club.name} terms={highlight} />
             </button>
+            {club.owned ? <span style={styles.ownerPill}>yours</span> : null}
           </div>
-          <p style={styles.cardDesc}>{club.description}</p>
+          <p style={styles.cardDesc}>
+            <Highlight text={club.description} terms={highlight} />
+          </p>
         </div>
 
         <button
@@ -494,9 +1391,9 @@ function ClubTile({ club, hearted, onToggleHeart, onOpenProfile }) {
       </div>
 
       <div style={styles.tagsArea}>
-        <TagRow label="Interests" items={club.interests} />
-        <TagRow label="Vibes" items={club.vibes} />
-        <TagRow label="Collab" items={club.collab_needs} />
+        <TagRow label="Interests" items={club.interests} highlight={highlight} />
+        <TagRow label="Vibes" items={club.vibes} highlight={highlight} />
+        <TagRow label="Collab" items={club.collab_needs} highlight={highlight} />
       </div>
 
       {/* ✅ icon contact buttons (wired correctly) */}
@@ -517,29 +1414,52 @@ function ClubTile({ club, hearted, onToggleHeart, onOpenProfile }) {
       ) : (
         <span style={styles.noLink}>No contact link provided</span>
       )}
+
+      {onToggleCompare ? (
+        <label
+          style={styles.checkLine}
+          title={compareFull && !compared ? `Compare up to ${MAX_COMPARE} clubs` : undefined}
+        >
+          <input
+            type="checkbox"
+            checked={compared}
+            disabled={compareFull && !compared}
+            onChange={() => onToggleCompare(club.id)}
+          />
+          Compare
+        </label>
+      ) : null}
+
+      {children}
     </article>
   );
 }
 
-function VendorTile({ vendor, onOpenProfile }) {
+function VendorTile({ vendor, highlight, onOpenProfile }) {
   return (
     <article style={styles.card}>
-      <button
-        type="button"
-        onClick={onOpenProfile}
-        style={styles.cardTitleButton}
-        title="Open vendor profile"
-      >
-        {vendor.name}
-      </button>
+      <div style={styles.cardTitleRow}>
+        <button
+          type="button"
+          onClick={onOpenProfile}
+          style={styles.cardTitleButton}
+          title="Open vendor profile"
+        >
+          <Highlight text={vendor.name} terms={highlight} />
+        </button>
+        {vendor.price_range ? <span style={styles.matchPill}>{vendor.price_range}</span> : null}
+        {vendor.owned ? <span style={styles.ownerPill}>yours</span> : null}
+      </div>
 
-      <p style={styles.cardDesc}>{vendor.description}</p>
+      <p style={styles.cardDesc}>
+        <Highlight text={vendor.description} terms={highlight} />
+      </p>
 
       <div style={styles.tagsArea}>
-        <TagRow label="Services" items={vendor.services} />
-        <TagRow label="Vibes" items={vendor.vibes} />
-        <TagRow label="Tags" items={vendor.tags} />
-        <TagRow label="Avail" items={vendor.availability} />
+        <TagRow label="Services" items={vendor.services} highlight={highlight} />
+        <TagRow label="Vibes" items={vendor.vibes} highlight={highlight} />
+        <TagRow label="Tags" items={vendor.tags} highlight={highlight} />
+        <TagRow label="Avail" items={vendor.availability} highlight={highlight} />
       </div>
 
       {vendor.contact ? (
@@ -553,16 +1473,30 @@ function VendorTile({ vendor, onOpenProfile }) {
   );
 }
 
-function RequestTile({ req }) {
+function RequestTile({ req, highlight, suggestions, onOpenVendor, onAccept }) {
+  const status = requestStatus(req);
+  const responses = req.responses ?? [];
+  const canAccept = onAccept && (status === "open" || status === "in_talks");
+
   return (
     <article style={styles.card}>
-      <h3 style={styles.cardTitle}>{req.title}</h3>
+      <div style={styles.cardTop}>
+        <h3 style={styles.cardTitle}>
+          <Highlight text={req.title} terms={highlight} />
+        </h3>
+        <span style={{ ...styles.statusPill, ...styles.statusColors[status] }}>
+          {STATUS_LABELS[status]}
+        </span>
+      </div>
       <p style={styles.cardDesc}>
-        <b>{req.club_name}</b> — {req.description}
+        <b>
+          <Highlight text={req.club_name} terms={highlight} />
+        </b>{" "}
+        — <Highlight text={req.description} terms={highlight} />
       </p>
 
       <div style={styles.tagsArea}>
-        <TagRow label="Needs" items={req.needs} />
+        <TagRow label="Needs" items={req.needs} highlight={highlight} />
       </div>
 
       <div style={{ marginTop: 10, fontSize: 12, color: "#666" }}>
@@ -572,243 +1506,633 @@ function RequestTile({ req }) {
         <div>
           <b>Date:</b> {req.date || "N/A"}
         </div>
-        <div>
-          <b>Time:</b> {req.time_window || "N/A"}
+        <div>
+          <b>Time:</b> {req.time_window || "N/A"}
+        </div>
+      </div>
+
+      {/* ✅ vendor responses (the posting club accepts one) */}
+      {responses.length ? (
+        <div style={styles.suggestBox}>
+          <div style={styles.suggestTitle}>
+            Responses ({responses.length})
+          </div>
+          {responses.map((r) => {
+            const accepted = r.id === req.accepted_response_id;
+            return (
+              <div key={r.id} style={accepted ? styles.acceptedRow : styles.responseRow}>
+                <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+                  <b>{r.vendor_name}</b>
+                  {r.quote ? <span style={styles.matchPill}>{r.quote}</span> : null}
+                  {accepted ? <span style={styles.ownerPill}>✅ accepted</span> : null}
+                  {canAccept ? (
+                    <button type="button" style={styles.smallBtn} onClick={() => onAccept(r)}>
+                      Accept
+                    </button>
+                  ) : null}
+                </div>
+                <div style={{ color: "#444", marginTop: 4 }}>{r.message}</div>
+                {r.availability ? (
+                  <div style={styles.suggestWhy}>Available: {r.availability}</div>
+                ) : null}
+              </div>
+            );
+          })}
+        </div>
+      ) : null}
+
+      {/* ✅ vendor matchmaking */}
+      {status !== "fulfilled" && suggestions?.length ? (
+        <div style={styles.suggestBox}>
+          <div style={styles.suggestTitle}>Suggested vendors</div>
+          {suggestions.map((m) => (
+            <div key={m.vendor.id} style={styles.suggestRow}>
+              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <button
+                  type="button"
+                  onClick={() => onOpenVendor(m.vendor)}
+                  style={{ ...styles.cardTitleButton, fontSize: 14 }}
+                  title="Open vendor profile"
+                >
+                  {m.vendor.name}
+                </button>
+                <span style={styles.matchPill}>{m.score}% match</span>
+              </div>
+              <div style={styles.suggestWhy}>{m.reasons.join(" • ")}</div>
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      {req.contact ? (
+        <a href={req.contact} target="_blank" rel="noreferrer" style={styles.link}>
+          Contact →
+        </a>
+      ) : (
+        <span style={styles.noLink}>No contact link provided</span>
+      )}
+    </article>
+  );
+}
+
+function TagRow({ label, items, highlight }) {
+  if (!items || items.length === 0) return null;
+  return (
+    <div style={styles.tagRow}>
+      <span style={styles.tagLabel}>{label}:</span>
+      <div style={styles.tagWrap}>
+        {items.map((t) => (
+          <span key={`${label}-${t}`} style={styles.tag}>
+            <Highlight text={t} terms={highlight} />
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/** Wraps the search-matched words of `text` in <mark> */
+function Highlight({ text, terms }) {
+  if (!terms || terms.length === 0) return text ?? null;
+  return highlightSegments(text, terms).map((seg, idx) =>
+    seg.match ? (
+      <mark key={idx} style={styles.mark}>
+        {seg.text}
+      </mark>
+    ) : (
+      seg.text
+    )
+  );
+}
+
+/** Data-layer error with optional retry / dismiss */
+function ErrorBanner({ message, onRetry, onDismiss }) {
+  return (
+    <div style={styles.errorBanner} role="alert">
+      <span>⚠️ {message}</span>
+      <div style={{ display: "flex", gap: 8 }}>
+        {onRetry ? (
+          <button type="button" style={styles.smallBtn} onClick={onRetry}>
+            Retry
+          </button>
+        ) : null}
+        {onDismiss ? (
+          <button type="button" style={styles.smallBtn} onClick={onDismiss}>
+            Dismiss
+          </button>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+/** Simple modal overlay */
+// `wide` for side-by-side content (the club comparison)
+function Modal({ children, onClose, wide = false }) {
+  return (
+    <div style={styles.overlay} onMouseDown={onClose}>
+      <div
+        style={wide ? { ...styles.modal, ...styles.modalWide } : styles.modal}
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        {children}
+      </div>
+    </div>
+  );
+}
+
+/** Onboarding quiz for recommendations: pick interests and vibes */
+function TasteQuiz({ interestOptions, vibeOptions, initial, onSave, onCancel }) {
+  const [interests, setInterests] = useState(initial?.interests ?? []);
+  const [vibes, setVibes] = useState(initial?.vibes ?? []);
+
+  const toggle = (setter, tag) =>
+    setter((prev) => (prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]));
+
+  const chips = (options, picked, setter) => (
+    <div style={styles.chipsWrap}>
+      {options.map((tag) => {
+        const active = picked.includes(tag);
+        return (
+          <button
+            key={tag}
+            type="button"
+            onClick={() => toggle(setter, tag)}
+            style={{
+              ...styles.chip,
+              background: active ? "#eaf2ff" : "white",
+              borderColor: active ? "#3d8cfb" : "#ddd",
+            }}
+          >
+            {tag}
+          </button>
+        );
+      })}
+    </div>
+  );
+
+  return (
+    <div style={styles.formGrid}>
+      <div>
+        <span style={styles.fieldLabel}>Interests</span>
+        {chips(interestOptions, interests, setInterests)}
+      </div>
+      <div>
+        <span style={styles.fieldLabel}>Vibes</span>
+        {chips(vibeOptions, vibes, setVibes)}
+      </div>
+
+      <div style={styles.modalActions}>
+        {initial ? (
+          <button type="button" onClick={() => onSave(null)} style={styles.secondaryBtn}>
+            Clear answers
+          </button>
+        ) : null}
+        <button type="button" onClick={onCancel} style={styles.secondaryBtn}>
+          Cancel
+        </button>
+        <button type="button" onClick={() => onSave({ interests, vibes })} style={styles.primaryBtn}>
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/** Comma-separated tag input -> canonical tags ("CS, tech" -> computer science, technology) */
+function splitTags(text) {
+  return canonicalizeTags(text.split(",").map((s) => s.trim()).filter(Boolean));
+}
+
+/** Shows how a tag input will be saved when the taxonomy rewrites any of it */
+function TagHint({ text }) {
+  const typed = text.split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+  const saved = splitTags(text);
+  if (saved.join() === typed.join()) return null;
+  return <span style={styles.formHint}>Saved as: {saved.join(", ")}</span>;
+}
+
+/** Input style, outlined in red when `field` has an error (see schema.validateRecord) */
+function fieldStyle(errors, field, base = styles.input) {
+  return errors[field] ? { ...base, ...styles.inputInvalid } : base;
+}
+
+function FieldError({ errors, field }) {
+  return errors[field] ? <span style={styles.fieldError}>{errors[field]}</span> : null;
+}
+
+/**
+ * Register a club, or edit one when `initialClub` is given (fields prefilled,
+ * id kept, form not cleared after saving).
+ */
+function NewClubForm({ initialClub, onSave, onCancel }) {
+  const init = initialClub ?? {};
+  const list = (arr) => (arr ?? []).join(", ");
+
+  const [name, setName] = useState(init.name ?? "");
+  const [description, setDescription] = useState(init.description ?? "");
+  const [interests, setInterests] = useState(list(init.interests));
+  const [vibes, setVibes] = useState(list(init.vibes));
+  const [collabNeeds, setCollabNeeds] = useState(list(init.collab_needs));
+  const [contact, setContact] = useState(init.contact ?? "");
+  const [discord, setDiscord] = useState(init.discord ?? "");
+
+  // ✅ extra profile fields
+  const [mission, setMission] = useState(init.mission ?? "");
+  const [location, setLocation] = useState(init.location ?? "");
+  const [meetingTime, setMeetingTime] = useState(init.meeting_time ?? ""); // free text
+  const [schedule, setSchedule] = useState(
+    () => init.meeting_schedule ?? parseMeetingTime(init.meeting_time) ?? EMPTY_SCHEDULE
+  );
+  const [logoUrl, setLogoUrl] = useState(init.logo_url ?? "");
+  const [bannerUrl, setBannerUrl] = useState(init.banner_url ?? "");
+  const [flyers, setFlyers] = useState(init.flyers ?? []);
+  const [photos, setPhotos] = useState(init.photos ?? []);
+  const [events, setEvents] = useState(init.upcoming_events ?? []);
+  const [errors, setErrors] = useState({});
+  const [eventErrors, setEventErrors] = useState([]);
+  const [scheduleErrors, setScheduleErrors] = useState({});
+
+  function handleSubmit(e) {
+    e.preventDefault();
+
+    // readable free text was loaded into `schedule`; only unreadable text is kept as written
+    const meeting = compactSchedule(schedule);
+    const keptText = parseMeetingTime(meetingTime) ? "" : meetingTime.trim();
+    const newClub = {
+      id: initialClub ? initialClub.id : newId("clubs"),
+      name: name.trim(),
+      description: description.trim() || "No description provided yet.",
+
+      mission: mission.trim(),
+      location: location.trim(),
+      meeting_time: meeting ? describeSchedule(meeting) : keptText,
+      meeting_schedule: meeting,
+
+      logo_url: logoUrl,
+      banner_url: bannerUrl,
+      flyers,
+      photos,
+      upcoming_events: events.map(cleanEvent),
+
+      interests: splitTags(interests),
+      vibes: splitTags(vibes),
+      collab_needs: splitTags(collabNeeds),
+      contact: contact.trim(),
+      discord: discord.trim(),
+    };
+
+    const found = validateRecord("clubs", newClub);
+    const perEvent = newClub.upcoming_events.map(validateEvent);
+    if (perEvent.some((errs) => Object.keys(errs).length)) {
+      found.upcoming_events = "Fix the highlighted event fields.";
+    }
+    const meetingErrors = meeting ? validateSchedule(meeting) : {};
+    if (Object.keys(meetingErrors).length) {
+      found.meeting_schedule = "Fix the highlighted meeting fields.";
+    }
+    setErrors(found);
+    setEventErrors(perEvent);
+    setScheduleErrors(meetingErrors);
+    if (Object.keys(found).length) return;
+
+    // the modal closes once it's saved; on failure everything typed stays put
+    onSave(newClub);
+  }
+
+  return (
+    <form onSubmit={handleSubmit} style={styles.formGrid} noValidate>
+      <div style={styles.field}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Club name (required)"
+          style={fieldStyle(errors, "name")}
+        />
+        <FieldError errors={errors} field="name" />
+      </div>
+
+      <textarea
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Short description"
+        rows={3}
+        style={styles.textarea}
+      />
+
+      <input
+        value={mission}
+        onChange={(e) => setMission(e.target.value)}
+        placeholder="Mission (optional)"
+        style={styles.input}
+      />
+
+      <input
+        value={location}
+        onChange={(e) => setLocation(e.target.value)}
+        placeholder="Location (optional) e.g. Student Center East"
+        style={styles.input}
+      />
+
+      <div style={styles.field}>
+        <ScheduleEditor
+          schedule={schedule}
+          errors={scheduleErrors}
+          legacyText={parseMeetingTime(meetingTime) ? "" : meetingTime.trim()}
+          onChange={setSchedule}
+          onClearLegacy={() => setMeetingTime("")}
+        />
+        <FieldError errors={errors} field="meeting_schedule" />
+      </div>
+
+      <div style={styles.twoCol}>
+        <div style={styles.field}>
+          <ImageUploader
+            kind="logo"
+            label="Logo (optional)"
+            images={logoUrl ? [logoUrl] : []}
+            onChange={(list) => setLogoUrl(list[0] ?? "")}
+          />
+          <FieldError errors={errors} field="logo_url" />
+        </div>
+        <div style={styles.field}>
+          <ImageUploader
+            kind="banner"
+            label="Banner (optional)"
+            images={bannerUrl ? [bannerUrl] : []}
+            onChange={(list) => setBannerUrl(list[0] ?? "")}
+          />
+          <FieldError errors={errors} field="banner_url" />
+        </div>
+      </div>
+
+      <div style={styles.field}>
+        <ImageUploader kind="flyer" label="Flyers" images={flyers} onChange={setFlyers} multiple />
+        <FieldError errors={errors} field="flyers" />
+      </div>
+
+      <div style={styles.field}>
+        <ImageUploader kind="photo" label="Photos" images={photos} onChange={setPhotos} multiple />
+        <FieldError errors={errors} field="photos" />
+      </div>
+
+      <div style={styles.field}>
+        <EventEditor
+          events={events}
+          errors={eventErrors}
+          clubName={name.trim()}
+          onChange={setEvents}
+        />
+        <FieldError errors={errors} field="upcoming_events" />
+      </div>
+
+      <div style={styles.twoCol}>
+        <div style={styles.field}>
+          <input
+            value={interests}
+            onChange={(e) => setInterests(e.target.value)}
+            placeholder="Interests (comma separated) e.g. tech, business, cricket"
+            style={styles.input}
+          />
+          <TagHint text={interests} />
+        </div>
+
+        <div style={styles.field}>
+          <input
+            value={vibes}
+            onChange={(e) => setVibes(e.target.value)}
+            placeholder="Vibes (comma separated) e.g. chill, professional"
+            style={styles.input}
+          />
+          <TagHint text={vibes} />
+        </div>
+      </div>
+
+      <div style={styles.field}>
+        <input
+          value={collabNeeds}
+          onChange={(e) => setCollabNeeds(e.target.value)}
+          placeholder="Collab needs (comma separated) e.g. speakers, sponsorship"
+          style={styles.input}
+        />
+        <TagHint text={collabNeeds} />
+      </div>
+
+      <div style={styles.twoCol}>
+        <div style={styles.field}>
+          <input
+            value={contact}
+            onChange={(e) => setContact(e.target.value)}
+            placeholder="Instagram link or mailto: (optional)"
+            style={fieldStyle(errors, "contact")}
+          />
+          <FieldError errors={errors} field="contact" />
+        </div>
+        <div style={styles.field}>
+          <input
+            value={discord}
+            onChange={(e) => setDiscord(e.target.value)}
+            placeholder="Discord link (optional)"
+            style={fieldStyle(errors, "discord")}
+          />
+          <FieldError errors={errors} field="discord" />
         </div>
       </div>
 
-      {req.contact ? (
-        <a href={req.contact} target="_blank" rel="noreferrer" style={styles.link}>
-          Contact →
-        </a>
-      ) : (
-        <span style={styles.noLink}>No contact link provided</span>
-      )}
-    </article>
-  );
-}
-
-function TagRow({ label, items }) {
-  if (!items || items.length === 0) return null;
-  return (
-    <div style={styles.tagRow}>
-      <span style={styles.tagLabel}>{label}:</span>
-      <div style={styles.tagWrap}>
-        {items.map((t) => (
-          <span key={`${label}-${t}`} style={styles.tag}>
-            {t}
-          </span>
-        ))}
+      <div style={styles.modalActions}>
+        <button type="button" onClick={onCancel} style={styles.secondaryBtn}>
+          Cancel
+        </button>
+        <button type="submit" style={styles.primaryBtn}>
+          {initialClub ? "Save Changes" : "Add Club"}
+        </button>
       </div>
-    </div>
+    </form>
   );
 }
 
-/** Simple modal overlay */
-function Modal({ children, onClose }) {
-  return (
-    <div style={styles.overlay} onMouseDown={onClose}>
-      <div style={styles.modal} onMouseDown={(e) => e.stopPropagation()}>
-        {children}
-      </div>
-    </div>
-  );
-}
+const EMPTY_SCHEDULE = {
+  days: [],
+  start: "",
+  end: "",
+  frequency: "weekly",
+  starts_on: "",
+  ends_on: "",
+};
 
-function NewClubForm({ existingIds, onAddClub, onCancel }) {
-  const [name, setName] = useState("");
-  const [description, setDescription] = useState("");
-  const [interests, setInterests] = useState("");
-  const [vibes, setVibes] = useState("");
-  const [collabNeeds, setCollabNeeds] = useState("");
-  const [contact, setContact] = useState("");
-  const [discord, setDiscord] = useState("");
+/** Trim an edited event and drop the optional fields left empty */
+function cleanEvent(event) {
+  const clean = {};
+  for (const [key, value] of Object.entries(event)) {
+    const trimmed = typeof value === "string" ? value.trim() : value;
+    if (trimmed !== "" && trimmed != null) clean[key] = trimmed;
+  }
+  return { title: "", ...clean };
+}
 
-  // ✅ extra profile fields
-  const [mission, setMission] = useState("");
-  const [location, setLocation] = useState("");
-  const [meetingTime, setMeetingTime] = useState("");
-  const [logoUrl, setLogoUrl] = useState("");
-  const [bannerUrl, setBannerUrl] = useState("");
-  const [flyers, setFlyers] = useState("");
-  const [photos, setPhotos] = useState("");
-  const [upcomingEvents, setUpcomingEvents] = useState("");
-
-  function nextId() {
-    let id = Math.floor(Math.random() * 1000000) + 1000;
-    while (existingIds.has(id)) id++;
-    return id;
+/**
+ * Register a vendor, or edit one when `initialVendor` is given. Errors show
+ * under each field; nothing is saved until the record is valid.
+ */
+function NewVendorForm({ initialVendor, onSave, onCancel }) {
+  const init = initialVendor ?? {};
+  const list = (arr) => (arr ?? []).join(", ");
+
+  const [name, setName] = useState(init.name ?? "");
+  const [description, setDescription] = useState(init.description ?? "");
+  const [services, setServices] = useState(list(init.services));
+  const [vibes, setVibes] = useState(list(init.vibes));
+  const [tags, setTags] = useState(list(init.tags));
+  const [priceRange, setPriceRange] = useState(init.price_range ?? "$$");
+  const [availability, setAvailability] = useState(init.availability ?? []);
+  const [contact, setContact] = useState(init.contact ?? "");
+  const [logoUrl, setLogoUrl] = useState(init.logo_url ?? "");
+  const [photos, setPhotos] = useState(init.photos ?? []);
+  const [errors, setErrors] = useState({});
+
+  function toggleAvailability(option) {
+    setAvailability((prev) =>
+      prev.includes(option) ? prev.filter((a) => a !== option) : [...prev, option]
+    );
   }
 
   function handleSubmit(e) {
     e.preventDefault();
-    const cleanName = name.trim();
-    if (!cleanName) return;
 
-    const newClub = {
-      id: nextId(),
-      name: cleanName,
+    const vendor = {
+      id: initialVendor ? initialVendor.id : newId("vendors"),
+      name: name.trim(),
       description: description.trim() || "No description provided yet.",
-
-      mission: mission.trim(),
-      location: location.trim(),
-      meeting_time: meetingTime.trim(),
-
-      logo_url: logoUrl.trim(),
-      banner_url: bannerUrl.trim(),
-      flyers: flyers
-        .split(",")
-        .map((s) => s.trim())
-        .filter(Boolean),
-      photos: photos
-        .split(",")
-        .map((s) => s.trim())
-        .filter(Boolean),
-      upcoming_events: parseUpcomingEvents(upcomingEvents),
-
-      interests: interests.split(",").map((s) => s.trim()).filter(Boolean),
-      vibes: vibes.split(",").map((s) => s.trim()).filter(Boolean),
-      collab_needs: collabNeeds.split(",").map((s) => s.trim()).filter(Boolean),
+      services: splitTags(services),
+      vibes: splitTags(vibes),
+      tags: splitTags(tags),
+      price_range: priceRange,
+      // keep the seed data's order (weekdays, weekends, evenings)
+      availability: AVAILABILITY_OPTIONS.filter((a) => availability.includes(a)),
       contact: contact.trim(),
-      discord: discord.trim(),
+      logo_url: logoUrl,
+      photos,
     };
 
-    onAddClub(newClub);
-
-    setName("");
-    setDescription("");
-    setInterests("");
-    setVibes("");
-    setCollabNeeds("");
-    setContact("");
-    setDiscord("");
-    setMission("");
-    setLocation("");
-    setMeetingTime("");
-    setLogoUrl("");
-    setBannerUrl("");
-    setFlyers("");
-    setPhotos("");
-    setUpcomingEvents("");
+    const found = validateRecord("vendors", vendor);
+    setErrors(found);
+    if (Object.keys(found).length) return;
+
+    onSave(vendor);
   }
 
+  const inputStyle = (field) => fieldStyle(errors, field);
+  const fieldError = (field) => <FieldError errors={errors} field={field} />;
+
   return (
-    <form onSubmit={handleSubmit} style={styles.formGrid}>
-      <input
-        value={name}
-        onChange={(e) => setName(e.target.value)}
-        placeholder="Club name (required)"
-        style={styles.input}
-      />
+    <form onSubmit={handleSubmit} style={styles.formGrid} noValidate>
+      <div style={styles.field}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Business name (required)"
+          style={inputStyle("name")}
+        />
+        {fieldError("name")}
+      </div>
 
       <textarea
         value={description}
         onChange={(e) => setDescription(e.target.value)}
-        placeholder="Short description"
+        placeholder="What do you offer? Who do you usually work with?"
         rows={3}
         style={styles.textarea}
       />
 
-      <input
-        value={mission}
-        onChange={(e) => setMission(e.target.value)}
-        placeholder="Mission (optional)"
-        style={styles.input}
-      />
-
-      <div style={styles.twoCol}>
-        <input
-          value={location}
-          onChange={(e) => setLocation(e.target.value)}
-          placeholder="Location (optional) e.g. Student Center East"
-          style={styles.input}
-        />
+      <div style={styles.field}>
         <input
-          value={meetingTime}
-          onChange={(e) => setMeetingTime(e.target.value)}
-          placeholder="Meeting time (optional) e.g. Fridays 5pm"
-          style={styles.input}
+          value={services}
+          onChange={(e) => setServices(e.target.value)}
+          placeholder="Services (comma separated, required) e.g. catering, desserts"
+          style={inputStyle("services")}
         />
+        {errors.services ? fieldError("services") : <TagHint text={services} />}
       </div>
 
       <div style={styles.twoCol}>
-        <input
-          value={logoUrl}
-          onChange={(e) => setLogoUrl(e.target.value)}
-          placeholder='Logo URL (optional) e.g. "/images/clubs/msa.jpg"'
-          style={styles.input}
-        />
-        <input
-          value={bannerUrl}
-          onChange={(e) => setBannerUrl(e.target.value)}
-          placeholder='Banner URL (optional) e.g. "/images/banners/msa-banner.jpg"'
-          style={styles.input}
-        />
+        <div style={styles.field}>
+          <input
+            value={vibes}
+            onChange={(e) => setVibes(e.target.value)}
+            placeholder="Vibes (comma separated) e.g. cozy, professional"
+            style={styles.input}
+          />
+          <TagHint text={vibes} />
+        </div>
+        <div style={styles.field}>
+          <input
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Tags (comma separated) e.g. halal, student-owned"
+            style={styles.input}
+          />
+          <TagHint text={tags} />
+        </div>
       </div>
 
-      <input
-        value={flyers}
-        onChange={(e) => setFlyers(e.target.value)}
-        placeholder='Flyer image URLs (comma separated) e.g. "/images/flyers/f1.jpg, /images/flyers/f2.jpg"'
-        style={styles.input}
-      />
-
-      <input
-        value={photos}
-        onChange={(e) => setPhotos(e.target.value)}
-        placeholder='Photos URLs (comma separated) e.g. "/images/clubs/p1.jpg, /images/clubs/p2.jpg"'
-        style={styles.input}
-      />
-
-      <textarea
-        value={upcomingEvents}
-        onChange={(e) => setUpcomingEvents(e.target.value)}
-        placeholder={
-          'Upcoming events (optional)\n' +
-          'Option 1: JSON array like:\n' +
-          '[{"title":"Game Night","date":"2026-03-10","time":"6pm","location":"SCE","link":""}]\n' +
-          "Option 2: One per line: Title | 2026-03-10 | 6pm | SCE | https://..."
-        }
-        rows={5}
-        style={styles.textarea}
-      />
-
       <div style={styles.twoCol}>
-        <input
-          value={interests}
-          onChange={(e) => setInterests(e.target.value)}
-          placeholder="Interests (comma separated) e.g. tech, business, cricket"
-          style={styles.input}
-        />
+        <div style={styles.field}>
+          <span style={styles.fieldLabel}>Price range</span>
+          <select
+            value={priceRange}
+            onChange={(e) => setPriceRange(e.target.value)}
+            style={inputStyle("price_range")}
+          >
+            {PRICE_RANGES.map((p) => (
+              <option key={p} value={p}>
+                {p}
+              </option>
+            ))}
+          </select>
+          {fieldError("price_range")}
+        </div>
 
-        <input
-          value={vibes}
-          onChange={(e) => setVibes(e.target.value)}
-          placeholder="Vibes (comma separated) e.g. chill, professional"
-          style={styles.input}
-        />
+        <div style={styles.field}>
+          <span style={styles.fieldLabel}>Available</span>
+          <div style={styles.checkGroup}>
+            {AVAILABILITY_OPTIONS.map((option) => (
+              <label key={option} style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                <input
+                  type="checkbox"
+                  checked={availability.includes(option)}
+                  onChange={() => toggleAvailability(option)}
+                />
+                {option}
+              </label>
+            ))}
+          </div>
+          {fieldError("availability")}
+        </div>
       </div>
 
-      <input
-        value={collabNeeds}
-        onChange={(e) => setCollabNeeds(e.target.value)}
-        placeholder="Collab needs (comma separated) e.g. speakers, sponsorship"
-        style={styles.input}
-      />
-
-      <div style={styles.twoCol}>
+      <div style={styles.field}>
         <input
           value={contact}
           onChange={(e) => setContact(e.target.value)}
-          placeholder="Instagram link (optional)"
-          style={styles.input}
+          placeholder="Contact link (optional) e.g. Instagram or website"
+          style={inputStyle("contact")}
         />
-        <input
-          value={discord}
-          onChange={(e) => setDiscord(e.target.value)}
-          placeholder="Discord link (optional)"
-          style={styles.input}
+        {fieldError("contact")}
+      </div>
+
+      <div style={styles.field}>
+        <ImageUploader
+          kind="logo"
+          label="Logo (optional)"
+          images={logoUrl ? [logoUrl] : []}
+          onChange={(list) => setLogoUrl(list[0] ?? "")}
         />
+        {fieldError("logo_url")}
+      </div>
+
+      <div style={styles.field}>
+        <ImageUploader kind="photo" label="Photos" images={photos} onChange={setPhotos} multiple />
+        {fieldError("photos")}
       </div>
 
       <div style={styles.modalActions}>
@@ -816,52 +2140,14 @@ function NewClubForm({ existingIds, onAddClub, onCancel }) {
           Cancel
         </button>
         <button type="submit" style={styles.primaryBtn}>
-          Add Club
+          {initialVendor ? "Save Changes" : "Register Vendor"}
         </button>
       </div>
-
-      <p style={styles.formHint}>
-        Saved locally for demo. In production, this would submit to a database.
-      </p>
     </form>
   );
 }
 
-function parseUpcomingEvents(text) {
-  const raw = (text ?? "").trim();
-  if (!raw) return [];
-
-  // If it's JSON, try parse
-  if (raw.startsWith("[") || raw.startsWith("{")) {
-    try {
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) return parsed;
-      return [parsed];
-    } catch {
-      // fall through to line parser
-    }
-  }
-
-  // Line format: Title | 2026-03-10 | 6pm | Location | https://...
-  const lines = raw
-    .split("\n")
-    .map((l) => l.trim())
-    .filter(Boolean);
-
-  return lines.map((line) => {
-    const parts = line.split("|").map((p) => p.trim());
-    const [title, date, time, location, link] = parts;
-    return {
-      title: title || "Untitled event",
-      date: date || "",
-      time: time || "",
-      location: location || "",
-      link: link || "",
-    };
-  });
-}
-
-function NewRequestForm({ existingIds, onAddRequest, onCancel }) {
+function NewRequestForm({ onAddRequest, onCancel }) {
   const [clubName, setClubName] = useState("");
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
@@ -870,56 +2156,54 @@ function NewRequestForm({ existingIds, onAddRequest, onCancel }) {
   const [date, setDate] = useState("");
   const [timeWindow, setTimeWindow] = useState("");
   const [contact, setContact] = useState("");
-
-  function nextId() {
-    let id = Math.floor(Math.random() * 1000000) + 300;
-    while (existingIds.has(id)) id++;
-    return id;
-  }
+  const [errors, setErrors] = useState({});
 
   function handleSubmit(e) {
     e.preventDefault();
-    if (!clubName.trim() || !title.trim()) return;
 
     const newReq = {
-      id: nextId(),
+      id: newId("requests"),
       club_name: clubName.trim(),
       title: title.trim(),
       description: description.trim() || "No description provided yet.",
-      needs: needs.split(",").map((s) => s.trim()).filter(Boolean),
+      needs: splitTags(needs),
       budget: budget.trim(),
       date: date.trim(),
       time_window: timeWindow.trim(),
       contact: contact.trim(),
+      status: "open",
+      responses: [],
     };
 
-    onAddRequest(newReq);
+    const found = validateRecord("requests", newReq);
+    setErrors(found);
+    if (Object.keys(found).length) return;
 
-    setClubName("");
-    setTitle("");
-    setDescription("");
-    setNeeds("");
-    setBudget("$$");
-    setDate("");
-    setTimeWindow("");
-    setContact("");
+    // the modal closes once it's saved; on failure everything typed stays put
+    onAddRequest(newReq);
   }
 
   return (
-    <form onSubmit={handleSubmit} style={styles.formGrid}>
-      <input
-        value={clubName}
-        onChange={(e) => setClubName(e.target.value)}
-        placeholder="Club name (required)"
-        style={styles.input}
-      />
+    <form onSubmit={handleSubmit} style={styles.formGrid} noValidate>
+      <div style={styles.field}>
+        <input
+          value={clubName}
+          onChange={(e) => setClubName(e.target.value)}
+          placeholder="Club name (required)"
+          style={fieldStyle(errors, "club_name")}
+        />
+        <FieldError errors={errors} field="club_name" />
+      </div>
 
-      <input
-        value={title}
-        onChange={(e) => setTitle(e.target.value)}
-        placeholder="Request title (required)"
-        style={styles.input}
-      />
+      <div style={styles.field}>
+        <input
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="Request title (required)"
+          style={fieldStyle(errors, "title")}
+        />
+        <FieldError errors={errors} field="title" />
+      </div>
 
       <textarea
         value={description}
@@ -929,39 +2213,107 @@ function NewRequestForm({ existingIds, onAddRequest, onCancel }) {
         style={styles.textarea}
       />
 
-      <input
-        value={needs}
-        onChange={(e) => setNeeds(e.target.value)}
-        placeholder="Needs (comma separated) e.g. chai, halal, photography"
-        style={styles.input}
-      />
+      <div style={styles.field}>
+        <input
+          value={needs}
+          onChange={(e) => setNeeds(e.target.value)}
+          placeholder="Needs (comma separated) e.g. chai, halal, photography"
+          style={styles.input}
+        />
+        <TagHint text={needs} />
+      </div>
+
+      <div style={styles.twoCol}>
+        <div style={styles.field}>
+          <select
+            value={budget}
+            onChange={(e) => setBudget(e.target.value)}
+            style={fieldStyle(errors, "budget")}
+          >
+            <option value="">Budget: not sure</option>
+            {PRICE_RANGES.map((p) => (
+              <option key={p} value={p}>
+                Budget: {p}
+              </option>
+            ))}
+          </select>
+          <FieldError errors={errors} field="budget" />
+        </div>
+        <div style={styles.field}>
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            title="Date (optional)"
+            style={fieldStyle(errors, "date")}
+          />
+          <FieldError errors={errors} field="date" />
+        </div>
+      </div>
 
       <input
-        value={budget}
-        onChange={(e) => setBudget(e.target.value)}
-        placeholder="Budget e.g. $, $$, $$$"
+        value={timeWindow}
+        onChange={(e) => setTimeWindow(e.target.value)}
+        placeholder="Time window (optional) e.g. 6pm–10pm"
         style={styles.input}
       />
 
+      <div style={styles.field}>
+        <input
+          value={contact}
+          onChange={(e) => setContact(e.target.value)}
+          placeholder="Contact link or mailto: (optional)"
+          style={fieldStyle(errors, "contact")}
+        />
+        <FieldError errors={errors} field="contact" />
+      </div>
+
+      <div style={styles.modalActions}>
+        <button type="button" onClick={onCancel} style={styles.secondaryBtn}>
+          Cancel
+        </button>
+        <button type="submit" style={styles.primaryBtn}>
+          Post
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/** A vendor's quote/message/availability for one request (prefilled when updating) */
+function ResponseForm({ previous, onSubmit, onCancel }) {
+  const [quote, setQuote] = useState(previous?.quote ?? "");
+  const [availability, setAvailability] = useState(previous?.availability ?? "");
+  const [message, setMessage] = useState(previous?.message ?? "");
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (!message.trim()) return;
+    onSubmit({ quote, availability, message });
+  }
+
+  return (
+    <form onSubmit={handleSubmit} style={styles.formGrid}>
       <input
-        value={date}
-        onChange={(e) => setDate(e.target.value)}
-        placeholder="Date (optional) e.g. 2026-03-10"
+        value={quote}
+        onChange={(e) => setQuote(e.target.value)}
+        placeholder="Quote (optional) e.g. $250 for 40 people"
         style={styles.input}
       />
 
       <input
-        value={timeWindow}
-        onChange={(e) => setTimeWindow(e.target.value)}
-        placeholder="Time window (optional) e.g. 6pm–10pm"
+        value={availability}
+        onChange={(e) => setAvailability(e.target.value)}
+        placeholder="Availability (optional) e.g. free that evening from 5pm"
         style={styles.input}
       />
 
-      <input
-        value={contact}
-        onChange={(e) => setContact(e.target.value)}
-        placeholder="Contact link (optional)"
-        style={styles.input}
+      <textarea
+        value={message}
+        onChange={(e) => setMessage(e.target.value)}
+        placeholder="Message to the club (required)"
+        rows={4}
+        style={styles.textarea}
       />
 
       <div style={styles.modalActions}>
@@ -969,7 +2321,7 @@ function NewRequestForm({ existingIds, onAddRequest, onCancel }) {
           Cancel
         </button>
         <button type="submit" style={styles.primaryBtn}>
-          Post
+          {previous ? "Update response" : "Send response"}
         </button>
       </div>
     </form>
@@ -977,7 +2329,16 @@ function NewRequestForm({ existingIds, onAddRequest, onCancel }) {
 }
 
 /** ✅ Full-screen club profile modal (banner + events + flyers + photos) */
-function FullScreenClubModal({ club, onClose }) {
+function FullScreenClubModal({
+  club,
+  rsvps,
+  rsvpCounts,
+  feedUrl,
+  onRsvp,
+  onEdit,
+  onDelete,
+  onClose,
+}) {
   useEffect(() => {
     function onKeyDown(e) {
       if (e.key === "Escape") onClose();
@@ -997,14 +2358,14 @@ function FullScreenClubModal({ club, onClose }) {
       <div style={styles.fullModal} onMouseDown={(e) => e.stopPropagation()}>
         {banner ? (
           <div style={styles.bannerWrap}>
-            <img src={banner} alt="Club banner" style={styles.bannerImg} />
+            <StoredImage src={banner} alt="Club banner" style={styles.bannerImg} />
           </div>
         ) : null}
 
         <div style={styles.fullTopBar}>
           <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
             {logoUrl ? (
-              <img src={logoUrl} alt={`${club.name} logo`} style={styles.clubLogo} />
+              <StoredImage src={logoUrl} thumb alt={`${club.name} logo`} style={styles.clubLogo} />
             ) : (
               <div style={styles.clubLogoFallback}>No logo</div>
             )}
@@ -1015,63 +2376,87 @@ function FullScreenClubModal({ club, onClose }) {
                 {club.mission ?? club.description ?? ""}
               </p>
 
-              {club.location || club.meeting_time ? (
+              {club.location || meetingText(club) ? (
                 <div style={styles.metaLine}>
                   {club.location ? (
                     <span style={styles.metaPill}>📍 {club.location}</span>
                   ) : null}
-                  {club.meeting_time ? (
-                    <span style={styles.metaPill}>🗓️ {club.meeting_time}</span>
+                  {meetingText(club) ? (
+                    <span style={styles.metaPill}>🗓️ {meetingText(club)}</span>
                   ) : null}
                 </div>
               ) : null}
             </div>
           </div>
 
-          <button onClick={onClose} style={styles.fullCloseBtn} aria-label="Close">
-            ✕
-          </button>
+          <div style={{ display: "flex", gap: 8 }}>
+            {onEdit ? (
+              <button onClick={onEdit} style={styles.fullCloseBtn}>
+                ✏️ Edit
+              </button>
+            ) : null}
+            {onDelete ? (
+              <button onClick={onDelete} style={{ ...styles.fullCloseBtn, color: "#b42318" }}>
+                🗑 Delete
+              </button>
+            ) : null}
+            <button onClick={onClose} style={styles.fullCloseBtn} aria-label="Close">
+              ✕
+            </button>
+          </div>
         </div>
 
         <div style={styles.fullContent}>
           <section style={styles.fullSection}>
-            <h3 style={styles.fullH3}>Upcoming Events</h3>
+            <div style={styles.sectionHeader}>
+              <h3 style={{ ...styles.fullH3, margin: 0 }}>Upcoming Events</h3>
+              {events.length ? (
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                  <button
+                    type="button"
+                    style={styles.smallBtn}
+                    onClick={() =>
+                      downloadText(`${slugify(club.name)}.ics`, clubToIcs(club), ICS_TYPE)
+                    }
+                  >
+                    📅 Export all (.ics)
+                  </button>
+                  {club.owned ? (
+                    <button
+                      type="button"
+                      style={styles.smallBtn}
+                      onClick={() =>
+                        downloadText(
+                          `${slugify(club.name)}-attendees.csv`,
+                          attendeesCsv(club, rsvps),
+                          "text/csv"
+                        )
+                      }
+                      title="Everyone who RSVP'd to this club's events"
+                    >
+                      🙋 Attendees (.csv)
+                    </button>
+                  ) : null}
+                  {feedUrl ? (
+                    <a href={feedUrl} style={{ ...styles.smallBtn, textDecoration: "none" }}>
+                      🔔 Subscribe
+                    </a>
+                  ) : null}
+                </div>
+              ) : null}
+            </div>
             {events.length ? (
               <div style={styles.eventsList}>
                 {events.map((ev, idx) => (
-                  <div key={`${ev.title || "event"}-${idx}`} style={styles.eventCard}>
-                    <div style={{ display: "flex", justifyContent: "space-between", gap: 10 }}>
-                      <div style={{ fontWeight: 700 }}>{ev.title || "Untitled event"}</div>
-                      {ev.date || ev.time ? (
-                        <div style={{ color: "#666", fontSize: 12 }}>
-                          {[ev.date, ev.time].filter(Boolean).join(" • ")}
-                        </div>
-                      ) : null}
-                    </div>
-
-                    {ev.location ? (
-                      <div style={{ color: "#666", fontSize: 12, marginTop: 4 }}>
-                        📍 {ev.location}
-                      </div>
-                    ) : null}
-
-                    {ev.description ? (
-                      <div style={{ color: "#444", marginTop: 6, lineHeight: 1.4 }}>
-                        {ev.description}
-                      </div>
-                    ) : null}
-
-                    {ev.link ? (
-                      <a
-                        href={ev.link}
-                        target="_blank"
-                        rel="noreferrer"
-                        style={{ ...styles.link, marginTop: 8 }}
-                      >
-                        Event link →
-                      </a>
-                    ) : null}
-                  </div>
+                  <EventCard
+                    key={`${ev.title || "event"}-${idx}`}
+                    club={club}
+                    event={ev}
+                    counts={countsFor(rsvpCounts, club, ev)}
+                    myStatus={findMyRsvp(rsvps, club, ev)?.status ?? null}
+                    onRsvp={(status) => onRsvp(club, ev, status)}
+                    attendees={club.owned ? eventRsvps(rsvps, club, ev) : null}
+                  />
                 ))}
               </div>
             ) : (
@@ -1102,13 +2487,7 @@ function FullScreenClubModal({ club, onClose }) {
           <section style={styles.fullSection}>
             <h3 style={styles.fullH3}>Flyers</h3>
             {flyers.length ? (
-              <div style={styles.mediaGrid}>
-                {flyers.map((url) => (
-                  <a key={url} href={url} target="_blank" rel="noreferrer" style={{ textDecoration: "none" }}>
-                    <img src={url} alt="Flyer" style={styles.mediaImg} />
-                  </a>
-                ))}
-              </div>
+              <Gallery images={flyers} label="Flyer" owner={club.name} />
             ) : (
               <p style={{ margin: 0, color: "#777" }}>No flyers posted yet.</p>
             )}
@@ -1117,13 +2496,7 @@ function FullScreenClubModal({ club, onClose }) {
           <section style={styles.fullSection}>
             <h3 style={styles.fullH3}>Photos</h3>
             {photos.length ? (
-              <div style={styles.mediaGrid}>
-                {photos.map((url) => (
-                  <a key={url} href={url} target="_blank" rel="noreferrer" style={{ textDecoration: "none" }}>
-                    <img src={url} alt="Club" style={styles.mediaImg} />
-                  </a>
-                ))}
-              </div>
+              <Gallery images={photos} label="Photo" owner={club.name} />
             ) : (
               <p style={{ margin: 0, color: "#777" }}>No photos posted yet.</p>
             )}
@@ -1154,7 +2527,7 @@ function FullScreenClubModal({ club, onClose }) {
 }
 
 /** ✅ Full-screen vendor profile modal */
-function FullScreenVendorModal({ vendor, onClose }) {
+function FullScreenVendorModal({ vendor, openRequests, onRespond, onEdit, onDelete, onClose }) {
   useEffect(() => {
     function onKeyDown(e) {
       if (e.key === "Escape") onClose();
@@ -1172,7 +2545,7 @@ function FullScreenVendorModal({ vendor, onClose }) {
         <div style={styles.fullTopBar}>
           <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
             {logoUrl ? (
-              <img src={logoUrl} alt={`${vendor.name} logo`} style={styles.clubLogo} />
+              <StoredImage src={logoUrl} thumb alt={`${vendor.name} logo`} style={styles.clubLogo} />
             ) : (
               <div style={styles.clubLogoFallback}>No logo</div>
             )}
@@ -1185,9 +2558,21 @@ function FullScreenVendorModal({ vendor, onClose }) {
             </div>
           </div>
 
-          <button onClick={onClose} style={styles.fullCloseBtn} aria-label="Close">
-            ✕
-          </button>
+          <div style={{ display: "flex", gap: 8 }}>
+            {onEdit ? (
+              <button onClick={onEdit} style={styles.fullCloseBtn}>
+                ✏️ Edit
+              </button>
+            ) : null}
+            {onDelete ? (
+              <button onClick={onDelete} style={{ ...styles.fullCloseBtn, color: "#b42318" }}>
+                🗑 Delete
+              </button>
+            ) : null}
+            <button onClick={onClose} style={styles.fullCloseBtn} aria-label="Close">
+              ✕
+            </button>
+          </div>
         </div>
 
         <div style={styles.fullContent}>
@@ -1217,16 +2602,55 @@ function FullScreenVendorModal({ vendor, onClose }) {
             </div>
           </section>
 
+          <section style={styles.fullSection}>
+            <h3 style={styles.fullH3}>Open requests you could serve</h3>
+            {openRequests?.length ? (
+              <div style={styles.eventsList}>
+                {openRequests.map((m) => (
+                  <div key={m.req.id} style={styles.eventCard}>
+                    <div style={{ display: "flex", justifyContent: "space-between", gap: 10 }}>
+                      <div style={{ fontWeight: 700 }}>{m.req.title}</div>
+                      <span style={styles.matchPill}>{m.score}% match</span>
+                    </div>
+                    <div style={{ color: "#666", fontSize: 12, marginTop: 4 }}>
+                      {[m.req.club_name, m.req.date, m.req.time_window, m.req.budget]
+                        .filter(Boolean)
+                        .join(" • ")}
+                    </div>
+                    <div style={styles.suggestWhy}>{m.reasons.join(" • ")}</div>
+
+                    <div style={{ display: "flex", alignItems: "center", gap: 12, marginTop: 8 }}>
+                      {onRespond ? (
+                        <button
+                          type="button"
+                          style={styles.smallBtn}
+                          onClick={() => onRespond(m.req)}
+                        >
+                          {(m.req.responses ?? []).some((r) => sameId(vendor, r.vendor_id))
+                            ? "✏️ Update response"
+                            : "💬 Respond"}
+                        </button>
+                      ) : null}
+                      {m.req.contact ? (
+                        <a href={m.req.contact} target="_blank" rel="noreferrer" style={styles.link}>
+                          Contact club →
+                        </a>
+                      ) : null}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p style={{ margin: 0, color: "#777" }}>
+                No open requests match this vendor right now.
+              </p>
+            )}
+          </section>
+
           {photos.length ? (
             <section style={styles.fullSection}>
               <h3 style={styles.fullH3}>Photos</h3>
-              <div style={styles.mediaGrid}>
-                {photos.map((url) => (
-                  <a key={url} href={url} target="_blank" rel="noreferrer" style={{ textDecoration: "none" }}>
-                    <img src={url} alt="Vendor" style={styles.mediaImg} />
-                  </a>
-                ))}
-              </div>
+              <Gallery images={photos} label="Photo" owner={vendor.name} />
             </section>
           ) : null}
 
@@ -1245,407 +2669,3 @@ function FullScreenVendorModal({ vendor, onClose }) {
     </div>
   );
 }
-
-const styles = {
-  page: {
-    width: "100%",
-    minHeight: "100vh",
-    margin: 0,
-    padding: 20,
-    boxSizing: "border-box",
-    color: "#111827",
-    fontFamily:
-      "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial",
-    background: "#ffffff",
-  },
-
-  header: {
-    display: "flex",
-    flexWrap: "wrap",
-    gap: 16,
-    alignItems: "flex-end",
-    justifyContent: "space-between",
-    marginBottom: 10,
-  },
-
-  // ✅ branding
-  brandTitle: {
-    margin: 0,
-    fontSize: 32,
-    display: "flex",
-    alignItems: "center",
-    gap: 10,
-  },
-  brandLogo: { height: 60, width: "auto" },
-  subtitle: { margin: "8px 0 0 0", color: "#3d8cfb" },
-
-  topActions: {
-    display: "flex",
-    justifyContent: "flex-end",
-    marginBottom: 14,
-  },
-  smallBtn: {
-    padding: "6px 10px",
-    borderRadius: 999,
-    border: "1px solid #ddd",
-    background: "white",
-    color: "#111827",
-    cursor: "pointer",
-    fontSize: 12,
-  },
-
-  searchWrap: {
-    display: "flex",
-    gap: 10,
-    alignItems: "center",
-    minWidth: 320,
-    flex: 1,
-    justifyContent: "flex-end",
-  },
-  search: {
-    width: "100%",
-    maxWidth: 520,
-    padding: "10px 12px",
-    borderRadius: 12,
-    border: "1px solid #ddd",
-    outline: "none",
-    background: "white",
-    color: "#111827",
-  },
-  clearBtn: {
-    padding: "10px 12px",
-    borderRadius: 12,
-    color: "#111827",
-    border: "1px solid #ddd",
-    background: "white",
-    cursor: "pointer",
-  },
-
-  grid: {
-    display: "grid",
-    gridTemplateColumns: "1fr 1.6fr",
-    gap: 16,
-    alignItems: "start",
-  },
-
-  panel: {
-    border: "1px solid #eee",
-    borderRadius: 16,
-    padding: 14,
-    background: "#fff",
-  },
-
-  panelHeader: {
-    display: "flex",
-    alignItems: "center",
-    justifyContent: "space-between",
-  },
-  h2: { margin: 0, fontSize: 18 },
-  countPill: {
-    fontSize: 12,
-    padding: "4px 8px",
-    borderRadius: 999,
-    border: "1px solid #eee",
-    background: "#fafafa",
-  },
-  muted: { margin: "10px 0 0 0", color: "#666" },
-
-  modeToggle: {
-    display: "flex",
-    gap: 8,
-    marginTop: 10,
-    flexWrap: "wrap",
-  },
-
-  chipsWrap: {
-    marginTop: 10,
-    display: "flex",
-    flexWrap: "wrap",
-    gap: 8,
-  },
-  chip: {
-    padding: "6px 10px",
-    borderRadius: 999,
-    border: "1px solid #ddd",
-    background: "white",
-    cursor: "pointer",
-    fontSize: 12,
-    color: "black",
-  },
-  filterLine: { margin: "10px 0 0 0", fontSize: 12, color: "#666" },
-  filterTags: { color: "#111827", fontWeight: 600 },
-
-  list: { marginTop: 12, display: "grid", gap: 12 },
-
-  card: {
-    border: "1px solid #e7e7e7",
-    borderRadius: 16,
-    padding: 14,
-    background: "white",
-  },
-  cardTop: {
-    display: "flex",
-    gap: 12,
-    alignItems: "flex-start",
-    justifyContent: "space-between",
-  },
-  cardTitleRow: { display: "flex", alignItems: "center", gap: 8 },
-  cardTitle: { margin: 0, fontSize: 16 },
-  cardDesc: { margin: "6px 0 0 0", color: "#555", lineHeight: 1.35 },
-
-  cardTitleButton: {
-    border: "none",
-    padding: 0,
-    background: "transparent",
-    cursor: "pointer",
-    fontSize: 16,
-    fontWeight: 700,
-    color: "#111827",
-    textAlign: "left",
-  },
-
-  heartBtn: {
-    border: "1px solid #ddd",
-    borderRadius: 999,
-    padding: "8px 10px",
-    cursor: "pointer",
-    fontSize: 16,
-    lineHeight: 1,
-    outline: "none",
-  },
-
-  tagsArea: { marginTop: 12, display: "grid", gap: 8 },
-  tagRow: { display: "flex", gap: 10, alignItems: "flex-start" },
-  tagLabel: { fontSize: 12, color: "#666", width: 70 },
-  tagWrap: { display: "flex", flexWrap: "wrap", gap: 6 },
-  tag: {
-    fontSize: 12,
-    padding: "4px 8px",
-    borderRadius: 999,
-    border: "1px solid #eee",
-    background: "#fafafa",
-  },
-
-  link: {
-    display: "inline-block",
-    marginTop: 12,
-    color: "#3d8cfb",
-    textDecoration: "none",
-    wordBreak: "break-word",
-  },
-  noLink: { display: "inline-block", marginTop: 12, color: "#999", fontSize: 12 },
-
-  // ✅ icon-link styles
-  iconLinksRow: { display: "flex", gap: 10, marginTop: 12, alignItems: "center" },
-  iconLinkImg: { height: 20, width: "auto", cursor: "pointer" },
-
-  overlay: {
-    position: "fixed",
-    inset: 0,
-    background: "rgba(0,0,0,0.35)",
-    display: "flex",
-    alignItems: "center",
-    justifyContent: "center",
-    padding: 16,
-    zIndex: 9999,
-  },
-  modal: {
-    width: "100%",
-    maxWidth: 680,
-    background: "white",
-    borderRadius: 16,
-    border: "1px solid #eee",
-    padding: 14,
-  },
-  modalHeader: {
-    display: "flex",
-    alignItems: "center",
-    justifyContent: "space-between",
-    gap: 10,
-  },
-  xBtn: {
-    border: "1px solid #ddd",
-    background: "white",
-    color: "#111827",
-    borderRadius: 10,
-    padding: "6px 10px",
-    cursor: "pointer",
-    fontSize: 12,
-  },
-  modalSubtext: { margin: "10px 0 0 0", color: "#666" },
-
-  formGrid: { marginTop: 12, display: "grid", gap: 10 },
-  twoCol: {
-    display: "grid",
-    gridTemplateColumns: "1fr 1fr",
-    gap: 10,
-  },
-  input: {
-    padding: "10px 12px",
-    borderRadius: 12,
-    border: "1px solid #ddd",
-    background: "white",
-    color: "#111827",
-    outline: "none",
-  },
-  textarea: {
-    padding: "10px 12px",
-    borderRadius: 12,
-    border: "1px solid #ddd",
-    background: "white",
-    color: "#111827",
-    outline: "none",
-    resize: "vertical",
-  },
-  modalActions: {
-    display: "flex",
-    justifyContent: "flex-end",
-    gap: 10,
-    marginTop: 6,
-  },
-  primaryBtn: {
-    padding: "9px 12px",
-    borderRadius: 12,
-    border: "1px solid #3d8cfb",
-    background: "#3d8cfb",
-    color: "white",
-    cursor: "pointer",
-    fontWeight: 600,
-  },
-  secondaryBtn: {
-    padding: "9px 12px",
-    borderRadius: 12,
-    border: "1px solid #ddd",
-    background: "white",
-    color: "#111827",
-    cursor: "pointer",
-    fontWeight: 600,
-  },
-
-  formHint: { margin: 0, fontSize: 12, color: "#666" },
-
-  footer: { marginTop: 18, paddingTop: 10, borderTop: "1px solid #eee" },
-  footerText: { color: "#888", fontSize: 12 },
-
-  fullOverlay: {
-    position: "fixed",
-    inset: 0,
-    background: "rgba(0,0,0,0.45)",
-    zIndex: 10000,
-    display: "flex",
-    justifyContent: "center",
-    alignItems: "stretch",
-    padding: 0,
-  },
-
-  fullModal: {
-    width: "100%",
-    height: "100%",
-    background: "white",
-    borderRadius: 0,
-    border: "none",
-    overflow: "hidden",
-    display: "flex",
-    flexDirection: "column",
-  },
-
-  bannerWrap: {
-    width: "100%",
-    height: 180,
-    borderBottom: "1px solid #eee",
-    background: "#f3f4f6",
-  },
-  bannerImg: {
-    width: "100%",
-    height: "100%",
-    objectFit: "cover",
-    display: "block",
-  },
-
-  fullTopBar: {
-    display: "flex",
-    alignItems: "center",
-    justifyContent: "space-between",
-    gap: 12,
-    padding: 16,
-    borderBottom: "1px solid #eee",
-  },
-
-  fullCloseBtn: {
-    border: "1px solid #ddd",
-    background: "white",
-    color: "#111827",
-    borderRadius: 12,
-    padding: "8px 12px",
-    cursor: "pointer",
-    fontSize: 14,
-  },
-
-  clubLogo: {
-    width: 56,
-    height: 56,
-    objectFit: "cover",
-    borderRadius: 14,
-    border: "1px solid #eee",
-    background: "#fff",
-  },
-  clubLogoFallback: {
-    width: 56,
-    height: 56,
-    borderRadius: 14,
-    border: "1px solid #eee",
-    display: "grid",
-    placeItems: "center",
-    color: "#777",
-    fontSize: 12,
-    background: "#fafafa",
-  },
-
-  metaLine: {
-    marginTop: 8,
-    display: "flex",
-    gap: 8,
-    flexWrap: "wrap",
-  },
-  metaPill: {
-    fontSize: 12,
-    padding: "4px 8px",
-    borderRadius: 999,
-    border: "1px solid #eee",
-    background: "#fafafa",
-    color: "#444",
-  },
-
-  fullContent: {
-    padding: 16,
-    overflowY: "auto",
-    maxWidth: 1000,
-    width: "100%",
-    margin: "0 auto",
-  },
-
-  fullSection: { marginTop: 18 },
-  fullH3: { margin: "0 0 8px 0", fontSize: 16 },
-
-  eventsList: { display: "grid", gap: 10 },
-  eventCard: {
-    border: "1px solid #eee",
-    borderRadius: 14,
-    padding: 12,
-    background: "#fff",
-  },
-
-  mediaGrid: {
-    display: "grid",
-    gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))",
-    gap: 12,
-  },
-
-  mediaImg: {
-    width: "100%",
-    height: 240,
-    objectFit: "cover",
-    borderRadius: 16,
-    border: "1px solid #eee",
-  },
-};
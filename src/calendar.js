@@ -0,0 +1,262 @@
+// calendar.js
+// Aggregates clubs' upcoming_events into one campus calendar (repeating events
+// expanded into their occurrences), and normalizes free-text times ("12pm",
+// "6:30 PM", "noon", "6pm–10pm") into real times.
+
+import { tagMatches } from "./taxonomy.js";
+import { validateRecord } from "./schema.js";
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+export const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+/** event.repeat -> days between occurrences */
+export const REPEAT_INTERVALS = { weekly: 7, biweekly: 14 };
+// a repeating event without repeat_until runs for about a semester
+export const MAX_OCCURRENCES = 16;
+
+function normalize(s) {
+  return (s ?? "").toString().trim().toLowerCase();
+}
+
+/** "12pm" / "6:30 PM" / "18:00" / "noon" -> { hours, minutes }, or null */
+export function parseTime(text) {
+  const raw = normalize(text).replace(/\./g, "");
+  if (!raw) return null;
+  if (raw === "noon") return { hours: 12, minutes: 0 };
+  if (raw === "midnight") return { hours: 0, minutes: 0 };
+
+  const m = raw.match(/^(\d{1,2})(?::?(\d{2}))?\s*(am|pm|a|p)?$/);
+  if (!m) return null;
+
+  let hours = Number(m[1]);
+  const minutes = Number(m[2] ?? 0);
+  const meridiem = m[3]?.[0];
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === "p" && hours < 12) hours += 12;
+    if (meridiem === "a" && hours === 12) hours = 0;
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+/** { hours: 18, minutes: 30 } -> "6:30pm" ("6pm" on the hour) */
+export function formatTime({ hours, minutes }) {
+  const h = hours % 12 || 12;
+  const suffix = hours < 12 ? "am" : "pm";
+  return minutes ? `${h}:${String(minutes).padStart(2, "0")}${suffix}` : `${h}${suffix}`;
+}
+
+/** { hours, minutes } -> "18:30" for <input type="time">; "" for null */
+export function timeInputValue(time) {
+  if (!time) return "";
+  return `${String(time.hours).padStart(2, "0")}:${String(time.minutes).padStart(2, "0")}`;
+}
+
+/** Start / end from time pickers ("18:00") -> the stored text, e.g. "6pm–8pm" */
+export function timeRangeText(start, end) {
+  const from = parseTime(start);
+  if (!from) return "";
+  const to = parseTime(end);
+  return to ? `${formatTime(from)}–${formatTime(to)}` : formatTime(from);
+}
+
+/**
+ * "6pm–10pm" / "6-8pm" / "12pm" -> { start, end } (end may be null).
+ * A missing meridiem on the start borrows the end's ("6-8pm" = 6pm–8pm),
+ * unless that puts the start after the end; then it takes the other one
+ * ("11-1pm" = 11am–1pm, "10-2am" = 10pm–2am).
+ */
+export function parseTimeRange(text) {
+  const parts = normalize(text)
+    .split(/\s*(?:–|—|-|to)\s*/)
+    .filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const end = parts[1] ? parseTime(parts[1]) : null;
+  let start = parseTime(parts[0]);
+
+  const endMeridiem = parts[1]?.match(/(am|pm|a|p)$/)?.[0];
+  if (start && end && endMeridiem && !/[ap]m?$/.test(parts[0])) {
+    const minutes = (t) => t.hours * 60 + t.minutes;
+    const same = parseTime(parts[0] + endMeridiem);
+    const other = parseTime(parts[0] + (endMeridiem[0] === "a" ? "pm" : "am"));
+    start = (same && minutes(same) < minutes(end) ? same : other) ?? start;
+  }
+
+  return start ? { start, end } : null;
+}
+
+/** "2026-02-11" -> local Date at midnight, or null */
+export function parseDate(iso) {
+  const m = (iso ?? "").toString().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+export function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+export function addDays(date, n) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + n);
+}
+
+export function startOfWeek(date) {
+  return addDays(startOfDay(date), -date.getDay());
+}
+
+export function startOfMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+export function addMonths(date, n) {
+  return new Date(date.getFullYear(), date.getMonth() + n, 1);
+}
+
+/** Local "YYYY-MM-DD" */
+export function dayKey(date) {
+  const mm = String(date.getMonth() + 1).padStart(2, "0");
+  const dd = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${mm}-${dd}`;
+}
+
+/** 6 weeks x 7 days covering the month that contains `date` */
+export function monthMatrix(date) {
+  const first = startOfWeek(startOfMonth(date));
+  return Array.from({ length: 6 }, (_, w) =>
+    Array.from({ length: 7 }, (_, d) => addDays(first, w * 7 + d))
+  );
+}
+
+function withTime(day, time) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), time.hours, time.minutes);
+}
+
+/**
+ * Days a (possibly repeating) event happens on, first to last. Repeats stop
+ * at repeat_until, or after MAX_OCCURRENCES.
+ */
+export function eventDays(event) {
+  const first = parseDate(event?.date);
+  if (!first) return [];
+
+  const interval = REPEAT_INTERVALS[event.repeat];
+  if (!interval) return [first];
+
+  const until = parseDate(event.repeat_until);
+  const days = [];
+  for (let day = first; days.length < MAX_OCCURRENCES; day = addDays(day, interval)) {
+    if (until && day > until) break;
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * One calendar entry per occurrence of each club event that has a usable date:
+ * { key, club, event, day, start, end, allDay, occurrence }, sorted by start.
+ * `occurrence` counts from 0 for repeating events. Events without a parsable
+ * time are all-day.
+ */
+export function collectEvents(clubs) {
+  const out = [];
+
+  for (const club of clubs) {
+    (club.upcoming_events ?? []).forEach((event, idx) => {
+      const range = parseTimeRange(event?.time);
+
+      eventDays(event).forEach((day, occurrence) => {
+        const start = range ? withTime(day, range.start) : day;
+        let end = range?.end ? withTime(day, range.end) : null;
+        if (end && end <= start) end = addDays(end, 1); // e.g. 10pm–1am
+
+        out.push({
+          key: occurrence ? `${club.id}-${idx}-${occurrence}` : `${club.id}-${idx}`,
+          club,
+          event,
+          day,
+          start,
+          end,
+          allDay: !range,
+          occurrence,
+        });
+      });
+    });
+  }
+
+  return out.sort((a, b) => a.start - b.start);
+}
+
+/** "Every Friday until Dec 12" / "Every other Tuesday", or "" for one-off events */
+export function describeRepeat(event) {
+  const first = parseDate(event?.date);
+  if (!first || !REPEAT_INTERVALS[event.repeat]) return "";
+
+  const weekday = WEEKDAY_NAMES[first.getDay()];
+  const every = event.repeat === "biweekly" ? `Every other ${weekday}` : `Every ${weekday}`;
+  const until = parseDate(event.repeat_until);
+  if (!until) return every;
+  return `${every} until ${until.toLocaleDateString([], { month: "short", day: "numeric" })}`;
+}
+
+/**
+ * Field -> message for one event: the schema's rules (schema.js) plus the ones
+ * that need several fields (a time we can read, repeats ending after they start).
+ */
+export function validateEvent(event) {
+  const errors = validateRecord("events", event);
+  if (event.time && !parseTimeRange(event.time)) {
+    errors.time = "Use a time like 6pm or 6:30pm–8pm.";
+  }
+  const first = parseDate(event.date);
+  const until = parseDate(event.repeat_until);
+  if (event.repeat_until && !event.repeat) {
+    errors.repeat_until = "Only repeating events have an end date.";
+  } else if (first && until && until < first) {
+    errors.repeat_until = "Should be on or after the first date.";
+  }
+  return errors;
+}
+
+/**
+ * Narrow calendar entries by the club's interest/vibe/collab tags (any match,
+ * synonyms and child tags included) and optionally to hearted clubs only.
+ */
+export function filterEvents(entries, { tags = [], onlyHearted = false, heartedIds = [] } = {}) {
+  return entries.filter(({ club }) => {
+    if (onlyHearted && !heartedIds.includes(club.id)) return false;
+    if (tags.length === 0) return true;
+
+    const bag = [...(club.interests || []), ...(club.vibes || []), ...(club.collab_needs || [])];
+    return tags.some((t) => tagMatches(bag, t));
+  });
+}
+
+/** Map of dayKey -> entries for that day */
+export function groupByDay(entries) {
+  const map = new Map();
+  for (const entry of entries) {
+    const key = dayKey(entry.day);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  }
+  return map;
+}
+
+/** "12:00 PM" style label, or "All day" */
+export function formatEntryTime(entry) {
+  if (entry.allDay) return "All day";
+  const fmt = (d) => d.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+  return entry.end ? `${fmt(entry.start)} – ${fmt(entry.end)}` : fmt(entry.start);
+}
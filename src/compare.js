@@ -0,0 +1,56 @@
+// compare.js
+// Side-by-side club comparison (2–4 clubs picked from Discover or Your
+// Clubs): which of their tags they share and which set each one apart, plus
+// what's coming up. Tags are matched by their canonical form (taxonomy.js),
+// so "CS" on one club and "computer science" on another count as shared.
+import { collectEvents, startOfDay } from "./calendar.js";
+import { canonicalTag } from "./taxonomy.js";
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+/** Tag rows of the comparison: [field, label] */
+export const COMPARE_TAG_FIELDS = [
+  ["interests", "Interests"],
+  ["vibes", "Vibes"],
+  ["collab_needs", "Collab needs"],
+];
+
+/** `ids` with `id` taken out, or added at the end while there's room */
+export function toggleCompare(ids, id) {
+  const same = (x) => String(x) === String(id);
+  if (ids.some(same)) return ids.filter((x) => !same(x));
+  return ids.length < MAX_COMPARE ? [...ids, id] : ids;
+}
+
+/**
+ * One tag field across the clubs: each club's tags marked `shared` (another
+ * picked club has it too) or not (distinctive), and the tags all of them
+ * have. { byClub: Map(club.id -> [{ tag, shared }]), common: [tag] }
+ */
+export function compareTags(clubs, field) {
+  const owners = new Map(); // canonical tag -> number of clubs with it
+  for (const club of clubs) {
+    for (const tag of new Set((club[field] ?? []).map(canonicalTag))) {
+      owners.set(tag, (owners.get(tag) ?? 0) + 1);
+    }
+  }
+
+  const byClub = new Map(
+    clubs.map((club) => [
+      club.id,
+      (club[field] ?? []).map((tag) => ({ tag, shared: owners.get(canonicalTag(tag)) > 1 })),
+    ])
+  );
+  const common = [...owners].filter(([, n]) => n === clubs.length).map(([tag]) => tag);
+  return { byClub, common };
+}
+
+/** A club's next few event occurrences from today on: [{ key, event, day }] */
+export function upcomingEvents(club, now = new Date(), limit = 3) {
+  const today = startOfDay(now);
+  return collectEvents([club])
+    .filter((e) => e.day >= today)
+    .slice(0, limit)
+    .map(({ key, event, day }) => ({ key, event, day }));
+}
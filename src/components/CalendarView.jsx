@@ -0,0 +1,336 @@
+import { useState } from "react";
+import { styles } from "../styles.js";
+import {
+  WEEKDAYS,
+  addDays,
+  addMonths,
+  dayKey,
+  formatEntryTime,
+  groupByDay,
+  monthMatrix,
+  startOfDay,
+  startOfMonth,
+  startOfWeek,
+} from "../calendar.js";
+import { countsFor, describeCounts } from "../rsvp.js";
+
+const VIEWS = ["month", "week", "agenda"];
+const MAX_PER_CELL = 3;
+
+/**
+ * Campus calendar (month / week / agenda) over entries from collectEvents,
+ * with RSVP numbers from rsvp.countRsvps (`counts`)
+ */
+export default function CalendarView({ entries, counts = new Map(), onOpenClub }) {
+  const [view, setView] = useState("month");
+  const [cursor, setCursor] = useState(() => startOfDay(new Date()));
+
+  const byDay = groupByDay(entries);
+  const todayKey = dayKey(new Date());
+
+  function step(dir) {
+    setCursor((d) => (view === "week" ? addDays(d, dir * 7) : addMonths(d, dir)));
+  }
+
+  const title =
+    view === "week"
+      ? `Week of ${startOfWeek(cursor).toLocaleDateString([], {
+          month: "short",
+          day: "numeric",
+          year: "numeric",
+        })}`
+      : cursor.toLocaleDateString([], { month: "long", year: "numeric" });
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={calStyles.toolbar}>
+        <div style={{ display: "flex", gap: 6 }}>
+          <button type="button" style={styles.smallBtn} onClick={() => step(-1)}>
+            ←
+          </button>
+          <button
+            type="button"
+            style={styles.smallBtn}
+            onClick={() => setCursor(startOfDay(new Date()))}
+          >
+            Today
+          </button>
+          <button type="button" style={styles.smallBtn} onClick={() => step(1)}>
+            →
+          </button>
+        </div>
+
+        <strong style={{ fontSize: 14 }}>{title}</strong>
+
+        <div style={{ display: "flex", gap: 6 }}>
+          {VIEWS.map((v) => (
+            <button
+              key={v}
+              type="button"
+              onClick={() => setView(v)}
+              style={{
+                ...styles.chip,
+                background: view === v ? "#eaf2ff" : "white",
+                borderColor: view === v ? "#3d8cfb" : "#ddd",
+                fontWeight: view === v ? 700 : 500,
+              }}
+            >
+              {v[0].toUpperCase() + v.slice(1)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {view === "month" ? (
+        <MonthGrid
+          cursor={cursor}
+          byDay={byDay}
+          todayKey={todayKey}
+          counts={counts}
+          onOpenClub={onOpenClub}
+        />
+      ) : null}
+
+      {view === "week" ? (
+        <WeekColumns
+          cursor={cursor}
+          byDay={byDay}
+          todayKey={todayKey}
+          counts={counts}
+          onOpenClub={onOpenClub}
+        />
+      ) : null}
+
+      {view === "agenda" ? (
+        <Agenda
+          entries={entries.filter((e) => e.day >= startOfMonth(cursor))}
+          counts={counts}
+          onOpenClub={onOpenClub}
+        />
+      ) : null}
+    </div>
+  );
+}
+
+function MonthGrid({ cursor, byDay, todayKey, counts, onOpenClub }) {
+  const month = cursor.getMonth();
+
+  return (
+    <div style={calStyles.monthGrid}>
+      {WEEKDAYS.map((d) => (
+        <div key={d} style={calStyles.weekdayHead}>
+          {d}
+        </div>
+      ))}
+
+      {monthMatrix(cursor)
+        .flat()
+        .map((day) => {
+          const key = dayKey(day);
+          const dayEntries = byDay.get(key) ?? [];
+          const extra = dayEntries.length - MAX_PER_CELL;
+
+          return (
+            <div
+              key={key}
+              style={{
+                ...calStyles.cell,
+                background: day.getMonth() === month ? "white" : "#fafafa",
+                borderColor: key === todayKey ? "#3d8cfb" : "#eee",
+              }}
+            >
+              <div style={calStyles.cellDate}>{day.getDate()}</div>
+              {dayEntries.slice(0, MAX_PER_CELL).map((entry) => (
+                <EventChip
+                  key={entry.key}
+                  entry={entry}
+                  going={countsFor(counts, entry.club, entry.event).going}
+                  onOpenClub={onOpenClub}
+                />
+              ))}
+              {extra > 0 ? <div style={calStyles.more}>+{extra} more</div> : null}
+            </div>
+          );
+        })}
+    </div>
+  );
+}
+
+function WeekColumns({ cursor, byDay, todayKey, counts, onOpenClub }) {
+  const first = startOfWeek(cursor);
+  const days = Array.from({ length: 7 }, (_, i) => addDays(first, i));
+
+  return (
+    <div style={calStyles.weekGrid}>
+      {days.map((day) => {
+        const key = dayKey(day);
+        const dayEntries = byDay.get(key) ?? [];
+
+        return (
+          <div
+            key={key}
+            style={{
+              ...calStyles.weekCol,
+              borderColor: key === todayKey ? "#3d8cfb" : "#eee",
+            }}
+          >
+            <div style={calStyles.weekdayHead}>
+              {WEEKDAYS[day.getDay()]} {day.getDate()}
+            </div>
+            {dayEntries.length ? (
+              dayEntries.map((entry) => (
+                <EventChip
+                  key={entry.key}
+                  entry={entry}
+                  going={countsFor(counts, entry.club, entry.event).going}
+                  onOpenClub={onOpenClub}
+                  showTime
+                />
+              ))
+            ) : (
+              <div style={calStyles.more}>—</div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function Agenda({ entries, counts, onOpenClub }) {
+  if (entries.length === 0) {
+    return <p style={styles.muted}>No events from this month on.</p>;
+  }
+
+  const byDay = groupByDay(entries);
+
+  return (
+    <div style={styles.list}>
+      {[...byDay.entries()].map(([key, dayEntries]) => (
+        <div key={key}>
+          <div style={calStyles.agendaDay}>
+            {dayEntries[0].day.toLocaleDateString([], {
+              weekday: "long",
+              month: "short",
+              day: "numeric",
+            })}
+          </div>
+
+          <div style={styles.eventsList}>
+            {dayEntries.map((entry) => {
+              const rsvps = describeCounts(countsFor(counts, entry.club, entry.event));
+              return (
+                <div key={entry.key} style={styles.eventCard}>
+                  <div style={{ display: "flex", justifyContent: "space-between", gap: 10 }}>
+                    <div style={{ fontWeight: 700 }}>
+                      {entry.event.title || "Untitled event"}
+                    </div>
+                    <div style={{ color: "#666", fontSize: 12 }}>{formatEntryTime(entry)}</div>
+                  </div>
+
+                  <button
+                    type="button"
+                    onClick={() => onOpenClub(entry.club)}
+                    style={{ ...styles.cardTitleButton, fontSize: 12, color: "#3d8cfb" }}
+                  >
+                    {entry.club.name}
+                  </button>
+
+                  {entry.event.location ? (
+                    <div style={{ color: "#666", fontSize: 12, marginTop: 4 }}>
+                      📍 {entry.event.location}
+                    </div>
+                  ) : null}
+
+                  {rsvps ? (
+                    <div style={{ color: "#666", fontSize: 12, marginTop: 4 }}>🙋 {rsvps}</div>
+                  ) : null}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function EventChip({ entry, going, onOpenClub, showTime }) {
+  const goingText = going ? ` (${going} going)` : "";
+  return (
+    <button
+      type="button"
+      onClick={() => onOpenClub(entry.club)}
+      style={calStyles.eventChip}
+      title={`${entry.event.title || "Untitled event"} — ${entry.club.name}${goingText}`}
+    >
+      {!entry.allDay ? (
+        <span style={{ color: "#3d8cfb", marginRight: 4 }}>
+          {showTime
+            ? formatEntryTime(entry)
+            : entry.start.toLocaleTimeString([], { hour: "numeric" })}
+        </span>
+      ) : null}
+      {entry.event.title || "Untitled event"}
+      {going ? <span style={calStyles.going}> · {going}🙋</span> : null}
+    </button>
+  );
+}
+
+const calStyles = {
+  toolbar: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 10,
+  },
+  monthGrid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(7, 1fr)",
+    gap: 4,
+  },
+  weekGrid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(7, minmax(0, 1fr))",
+    gap: 6,
+  },
+  weekdayHead: { fontSize: 12, color: "#666", fontWeight: 600, padding: "2px 4px" },
+  cell: {
+    minHeight: 78,
+    border: "1px solid #eee",
+    borderRadius: 10,
+    padding: 4,
+    display: "grid",
+    alignContent: "start",
+    gap: 3,
+    overflow: "hidden",
+  },
+  cellDate: { fontSize: 11, color: "#666" },
+  weekCol: {
+    minHeight: 160,
+    border: "1px solid #eee",
+    borderRadius: 12,
+    padding: 6,
+    display: "grid",
+    alignContent: "start",
+    gap: 4,
+  },
+  eventChip: {
+    border: "none",
+    background: "#f1f6ff",
+    borderRadius: 6,
+    padding: "2px 6px",
+    fontSize: 11,
+    textAlign: "left",
+    cursor: "pointer",
+    color: "#111827",
+    whiteSpace: "nowrap",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+  },
+  more: { fontSize: 11, color: "#888" },
+  going: { color: "#666" },
+  agendaDay: { fontSize: 12, fontWeight: 700, color: "#666", margin: "4px 0 6px 0" },
+};
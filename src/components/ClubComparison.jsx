@@ -0,0 +1,149 @@
+import { Fragment } from "react";
+import { styles } from "../styles.js";
+import { COMPARE_TAG_FIELDS, compareTags, upcomingEvents } from "../compare.js";
+import { meetingText } from "../schedule.js";
+
+const DATE_FORMAT = { weekday: "short", month: "short", day: "numeric" };
+
+/**
+ * Picked clubs side by side (compare.js): tag rows with shared tags in blue
+ * and distinctive ones in amber, then meeting time, location and upcoming
+ * events.
+ */
+export default function ClubComparison({ clubs, onOpenClub, onRemove }) {
+  const tagRows = COMPARE_TAG_FIELDS.map(([field, label]) => ({
+    field,
+    label,
+    ...compareTags(clubs, field),
+  }));
+  const common = [...new Set(tagRows.flatMap((row) => row.common))];
+  const columns = { gridTemplateColumns: `120px repeat(${clubs.length}, minmax(170px, 1fr))` };
+
+  return (
+    <div>
+      <p style={styles.formHint}>
+        {common.length
+          ? `All ${clubs.length} have in common: ${common.join(", ")}.`
+          : `These ${clubs.length} clubs don't share a tag across the board.`}{" "}
+        <span style={{ ...compareStyles.tag, ...compareStyles.shared }}>shared</span>{" "}
+        <span style={{ ...compareStyles.tag, ...compareStyles.distinct }}>only this club</span>
+      </p>
+
+      <div style={compareStyles.scroll}>
+        <div style={{ ...compareStyles.grid, ...columns }}>
+          <span />
+          {clubs.map((club) => (
+            <div key={club.id} style={compareStyles.head}>
+              <button
+                type="button"
+                onClick={() => onOpenClub(club)}
+                style={{ ...styles.cardTitleButton, fontSize: 15 }}
+                title="Open club profile"
+              >
+                {club.name}
+              </button>
+              <button
+                type="button"
+                style={styles.linkBtn}
+                onClick={() => onRemove(club.id)}
+                aria-label={`Remove ${club.name} from the comparison`}
+              >
+                remove
+              </button>
+            </div>
+          ))}
+
+          {tagRows.map((row) => (
+            <Fragment key={row.field}>
+              <span style={compareStyles.rowHead}>{row.label}</span>
+              {clubs.map((club) => {
+                const tags = row.byClub.get(club.id);
+                return (
+                  <div key={club.id} style={compareStyles.cell}>
+                    {tags.length ? (
+                      tags.map(({ tag, shared }) => (
+                        <span
+                          key={tag}
+                          style={{
+                            ...compareStyles.tag,
+                            ...(shared ? compareStyles.shared : compareStyles.distinct),
+                          }}
+                        >
+                          {tag}
+                        </span>
+                      ))
+                    ) : (
+                      <span style={compareStyles.none}>—</span>
+                    )}
+                  </div>
+                );
+              })}
+            </Fragment>
+          ))}
+
+          <span style={compareStyles.rowHead}>Meets</span>
+          {clubs.map((club) => (
+            <div key={club.id} style={compareStyles.cell}>
+              {meetingText(club) || <span style={compareStyles.none}>—</span>}
+            </div>
+          ))}
+
+          <span style={compareStyles.rowHead}>Location</span>
+          {clubs.map((club) => (
+            <div key={club.id} style={compareStyles.cell}>
+              {club.location || <span style={compareStyles.none}>—</span>}
+            </div>
+          ))}
+
+          <span style={compareStyles.rowHead}>Upcoming events</span>
+          {clubs.map((club) => {
+            const events = upcomingEvents(club);
+            return (
+              <div key={club.id} style={{ ...compareStyles.cell, display: "grid", gap: 4 }}>
+                {events.length ? (
+                  events.map(({ key, event, day }) => (
+                    <div key={key}>
+                      <div style={{ fontWeight: 600 }}>{event.title || "Untitled event"}</div>
+                      <div style={compareStyles.none}>
+                        {day.toLocaleDateString([], DATE_FORMAT)}
+                        {event.time ? ` • ${event.time}` : ""}
+                      </div>
+                    </div>
+                  ))
+                ) : (
+                  <span style={compareStyles.none}>Nothing posted</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const compareStyles = {
+  scroll: { overflowX: "auto", marginTop: 10 },
+  grid: { display: "grid", gap: 8, alignItems: "start" },
+  head: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "baseline",
+    gap: 6,
+    paddingBottom: 6,
+    borderBottom: "2px solid #eee",
+  },
+  rowHead: { fontSize: 12, fontWeight: 700, color: "#444", paddingTop: 4 },
+  cell: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 4,
+    fontSize: 13,
+    paddingBottom: 8,
+    borderBottom: "1px solid #f3f3f3",
+  },
+  tag: { fontSize: 12, padding: "2px 8px", borderRadius: 999, border: "1px solid" },
+  shared: { background: "#eaf2ff", borderColor: "#3d8cfb", color: "#1d4ed8" },
+  distinct: { background: "#fff7e6", borderColor: "#f5c26b", color: "#8a5a00" },
+  none: { color: "#888", fontSize: 12 },
+};
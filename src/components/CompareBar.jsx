@@ -0,0 +1,79 @@
+import { styles } from "../styles.js";
+import { MAX_COMPARE, MIN_COMPARE } from "../compare.js";
+
+/** Bottom bar listing the clubs picked for comparison, with the Compare button */
+export default function CompareBar({ clubs, onCompare, onRemove, onClear }) {
+  const ready = clubs.length >= MIN_COMPARE;
+
+  return (
+    <div style={barStyles.bar} role="region" aria-label="Clubs to compare">
+      <strong style={{ fontSize: 13 }}>
+        Compare ({clubs.length}/{MAX_COMPARE})
+      </strong>
+      {clubs.map((club) => (
+        <span key={club.id} style={barStyles.pick}>
+          {club.name}
+          <button
+            type="button"
+            onClick={() => onRemove(club.id)}
+            style={barStyles.removeBtn}
+            aria-label={`Remove ${club.name}`}
+          >
+            ✕
+          </button>
+        </span>
+      ))}
+      {!ready ? <span style={styles.formHint}>Pick at least {MIN_COMPARE} clubs.</span> : null}
+      <div style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+        <button type="button" style={styles.linkBtn} onClick={onClear}>
+          clear
+        </button>
+        <button
+          type="button"
+          style={{ ...styles.smallBtn, opacity: ready ? 1 : 0.5 }}
+          disabled={!ready}
+          onClick={onCompare}
+        >
+          ⚖️ Compare
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const barStyles = {
+  bar: {
+    position: "fixed",
+    left: "50%",
+    bottom: 16,
+    transform: "translateX(-50%)",
+    zIndex: 50,
+    display: "flex",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: 8,
+    width: "min(760px, calc(100% - 32px))",
+    padding: "10px 14px",
+    border: "1px solid #ddd",
+    borderRadius: 16,
+    background: "white",
+    boxShadow: "0 10px 30px rgba(0,0,0,0.15)",
+  },
+  pick: {
+    display: "inline-flex",
+    alignItems: "center",
+    gap: 4,
+    fontSize: 12,
+    padding: "4px 4px 4px 10px",
+    borderRadius: 999,
+    background: "#eaf2ff",
+    color: "#1d4ed8",
+  },
+  removeBtn: {
+    border: "none",
+    background: "none",
+    cursor: "pointer",
+    fontSize: 11,
+    color: "#1d4ed8",
+  },
+};
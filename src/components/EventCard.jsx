@@ -0,0 +1,130 @@
+import { styles } from "../styles.js";
+import { describeRepeat } from "../calendar.js";
+import { ICS_TYPE, eventToIcs, slugify } from "../ics.js";
+import { RSVP_LABELS, describeCounts } from "../rsvp.js";
+import { RSVP_STATUSES } from "../schema.js";
+import { downloadText } from "../transfer.js";
+
+/**
+ * One event as it appears on a club profile; `preview` leaves out the buttons.
+ * RSVP buttons show when `onRsvp(status)` is given (picking the current
+ * `myStatus` again takes the RSVP back). `attendees` (RSVPs, for the club's
+ * owner) adds the list of who's coming.
+ */
+export default function EventCard({
+  club,
+  event: ev,
+  preview = false,
+  counts = null,
+  myStatus = null,
+  onRsvp = null,
+  attendees = null,
+}) {
+  const repeat = describeRepeat(ev);
+  const countText = counts ? describeCounts(counts) : "";
+
+  return (
+    <div style={styles.eventCard}>
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 10 }}>
+        <div style={{ fontWeight: 700 }}>{ev.title || "Untitled event"}</div>
+        {ev.date || ev.time ? (
+          <div style={{ color: "#666", fontSize: 12 }}>
+            {[ev.date, ev.time].filter(Boolean).join(" • ")}
+          </div>
+        ) : null}
+      </div>
+
+      {repeat ? (
+        <div style={{ color: "#666", fontSize: 12, marginTop: 4 }}>🔁 {repeat}</div>
+      ) : null}
+
+      {ev.location ? (
+        <div style={{ color: "#666", fontSize: 12, marginTop: 4 }}>📍 {ev.location}</div>
+      ) : null}
+
+      {ev.description ? (
+        <div style={{ color: "#444", marginTop: 6, lineHeight: 1.4 }}>{ev.description}</div>
+      ) : null}
+
+      <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+        {ev.link ? (
+          <a
+            href={preview ? undefined : ev.link}
+            target="_blank"
+            rel="noreferrer"
+            style={{ ...styles.link, marginTop: 8 }}
+          >
+            Event link →
+          </a>
+        ) : null}
+        {ev.date && !preview ? (
+          <button
+            type="button"
+            style={{ ...styles.smallBtn, marginTop: 8 }}
+            onClick={() =>
+              downloadText(
+                `${slugify(ev.title) || "event"}-${ev.date}.ics`,
+                eventToIcs(club, ev),
+                ICS_TYPE
+              )
+            }
+          >
+            📅 Add to calendar
+          </button>
+        ) : null}
+      </div>
+
+      {onRsvp && !preview ? (
+        <div style={cardStyles.rsvpRow}>
+          {RSVP_STATUSES.map((status) => {
+            const active = myStatus === status;
+            return (
+              <button
+                key={status}
+                type="button"
+                aria-pressed={active}
+                onClick={() => onRsvp(status)}
+                style={{
+                  ...styles.chip,
+                  background: active ? "#eaf2ff" : "white",
+                  borderColor: active ? "#3d8cfb" : "#ddd",
+                }}
+              >
+                {active ? "✓ " : ""}
+                {RSVP_LABELS[status]}
+              </button>
+            );
+          })}
+          {countText ? <span style={cardStyles.counts}>{countText}</span> : null}
+        </div>
+      ) : countText ? (
+        <div style={{ ...cardStyles.counts, marginTop: 8 }}>{countText}</div>
+      ) : null}
+
+      {attendees && !preview ? (
+        <details style={{ marginTop: 8 }}>
+          <summary style={cardStyles.summary}>Attendees ({attendees.length})</summary>
+          {attendees.length ? (
+            <ul style={cardStyles.attendees}>
+              {attendees.map((r) => (
+                <li key={r.id}>
+                  {r.name || "Anonymous"}{" "}
+                  <span style={{ color: "#666" }}>· {RSVP_LABELS[r.status] ?? r.status}</span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p style={styles.formHint}>No RSVPs yet.</p>
+          )}
+        </details>
+      ) : null}
+    </div>
+  );
+}
+
+const cardStyles = {
+  rsvpRow: { display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", marginTop: 8 },
+  counts: { color: "#666", fontSize: 12 },
+  summary: { cursor: "pointer", fontSize: 12, fontWeight: 700, color: "#444" },
+  attendees: { margin: "6px 0 0 0", paddingLeft: 18, fontSize: 13, lineHeight: 1.6 },
+};
@@ -0,0 +1,203 @@
+import { styles } from "../styles.js";
+import { EVENT_REPEATS } from "../schema.js";
+import { parseTimeRange, timeInputValue, timeRangeText } from "../calendar.js";
+import EventCard from "./EventCard.jsx";
+
+const REPEAT_LABELS = { "": "Doesn't repeat", weekly: "Every week", biweekly: "Every other week" };
+
+const EMPTY_EVENT = {
+  title: "",
+  date: "",
+  time: "",
+  location: "",
+  description: "",
+  link: "",
+  repeat: "",
+  repeat_until: "",
+};
+
+/**
+ * Repeatable editor for a club's upcoming_events, each with a live preview of
+ * its profile card. `errors[i]` are calendar.validateEvent messages for event i.
+ */
+export default function EventEditor({ events, errors = [], clubName, onChange }) {
+  function update(idx, patch) {
+    onChange(events.map((ev, i) => (i === idx ? { ...ev, ...patch } : ev)));
+  }
+
+  return (
+    <div style={styles.field}>
+      <span style={styles.fieldLabel}>Upcoming events (optional)</span>
+
+      {events.map((ev, idx) => (
+        <EventRow
+          key={idx}
+          index={idx}
+          event={ev}
+          errors={errors[idx] ?? {}}
+          clubName={clubName}
+          onChange={(patch) => update(idx, patch)}
+          onRemove={() => onChange(events.filter((_, i) => i !== idx))}
+        />
+      ))}
+
+      <div>
+        <button
+          type="button"
+          style={styles.smallBtn}
+          onClick={() => onChange([...events, { ...EMPTY_EVENT }])}
+        >
+          ➕ Add event
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function EventRow({ index, event: ev, errors, clubName, onChange, onRemove }) {
+  const range = parseTimeRange(ev.time);
+  const start = timeInputValue(range?.start);
+  const end = timeInputValue(range?.end);
+
+  const inputStyle = (field, base = styles.input) =>
+    errors[field] ? { ...base, ...styles.inputInvalid } : base;
+  const fieldError = (field) =>
+    errors[field] ? <span style={styles.fieldError}>{errors[field]}</span> : null;
+
+  return (
+    <div style={editorStyles.row}>
+      <div style={styles.panelHeader}>
+        <b style={{ fontSize: 13 }}>Event {index + 1}</b>
+        <button type="button" style={styles.xBtn} onClick={onRemove} aria-label="Remove event">
+          ✕
+        </button>
+      </div>
+
+      <div style={styles.field}>
+        <input
+          value={ev.title ?? ""}
+          onChange={(e) => onChange({ title: e.target.value })}
+          placeholder="Event title (required)"
+          style={inputStyle("title")}
+        />
+        {fieldError("title")}
+      </div>
+
+      <div style={styles.twoCol}>
+        <label style={styles.field}>
+          <span style={styles.formHint}>Date</span>
+          <input
+            type="date"
+            value={ev.date ?? ""}
+            onChange={(e) => onChange({ date: e.target.value })}
+            style={inputStyle("date")}
+          />
+          {fieldError("date")}
+        </label>
+        <label style={styles.field}>
+          <span style={styles.formHint}>Repeats</span>
+          <select
+            value={ev.repeat ?? ""}
+            onChange={(e) =>
+              onChange(
+                e.target.value ? { repeat: e.target.value } : { repeat: "", repeat_until: "" }
+              )
+            }
+            style={inputStyle("repeat")}
+          >
+            {["", ...EVENT_REPEATS].map((r) => (
+              <option key={r} value={r}>
+                {REPEAT_LABELS[r]}
+              </option>
+            ))}
+          </select>
+          {fieldError("repeat")}
+        </label>
+      </div>
+
+      <div style={styles.twoCol}>
+        <label style={styles.field}>
+          <span style={styles.formHint}>Starts</span>
+          <input
+            type="time"
+            value={start}
+            onChange={(e) => onChange({ time: timeRangeText(e.target.value, end) })}
+            style={inputStyle("time")}
+          />
+        </label>
+        <label style={styles.field}>
+          <span style={styles.formHint}>Ends (optional)</span>
+          <input
+            type="time"
+            value={end}
+            disabled={!start}
+            onChange={(e) => onChange({ time: timeRangeText(start, e.target.value) })}
+            style={inputStyle("time")}
+          />
+        </label>
+      </div>
+      {ev.time && !range ? (
+        <span style={styles.formHint}>
+          Saved time “{ev.time}” isn't a time we can read; pick one.
+        </span>
+      ) : null}
+      {fieldError("time")}
+
+      {ev.repeat ? (
+        <label style={styles.field}>
+          <span style={styles.formHint}>Last date (optional, otherwise about a semester)</span>
+          <input
+            type="date"
+            value={ev.repeat_until ?? ""}
+            min={ev.date || undefined}
+            onChange={(e) => onChange({ repeat_until: e.target.value })}
+            style={inputStyle("repeat_until")}
+          />
+          {fieldError("repeat_until")}
+        </label>
+      ) : null}
+
+      <div style={styles.twoCol}>
+        <input
+          value={ev.location ?? ""}
+          onChange={(e) => onChange({ location: e.target.value })}
+          placeholder="Location (optional)"
+          style={inputStyle("location")}
+        />
+        <div style={styles.field}>
+          <input
+            value={ev.link ?? ""}
+            onChange={(e) => onChange({ link: e.target.value })}
+            placeholder="Link (optional) https://…"
+            style={inputStyle("link")}
+          />
+          {fieldError("link")}
+        </div>
+      </div>
+
+      <textarea
+        value={ev.description ?? ""}
+        onChange={(e) => onChange({ description: e.target.value })}
+        placeholder="Description (optional)"
+        rows={2}
+        style={inputStyle("description", styles.textarea)}
+      />
+
+      <div style={styles.field}>
+        <span style={styles.formHint}>Preview</span>
+        <EventCard club={{ name: clubName || "Your club" }} event={ev} preview />
+      </div>
+    </div>
+  );
+}
+
+const editorStyles = {
+  row: {
+    display: "grid",
+    gap: 8,
+    padding: 12,
+    border: "1px solid #eee",
+    borderRadius: 14,
+    background: "#fcfcfd",
+  },
+};
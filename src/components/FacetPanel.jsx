@@ -0,0 +1,122 @@
+import { styles } from "../styles.js";
+import {
+  DATE_RANGE_FIELD,
+  FACETS,
+  MATCH_PARAM,
+  RANGE_PARAMS,
+  setDateRange,
+  toggleFacetMatch,
+  toggleFacetValue,
+} from "../facets.js";
+
+/** Facet chips with counts for the vendors / requests lists (see facets.js) */
+export default function FacetPanel({ mode, options, filters, onChange }) {
+  const facets = FACETS[mode] ?? [];
+  const matchAll = filters[MATCH_PARAM] ?? [];
+  const [from] = filters[RANGE_PARAMS.from] ?? [];
+  const [to] = filters[RANGE_PARAMS.to] ?? [];
+
+  return (
+    <div style={facetStyles.panel}>
+      {facets.map((facet) => {
+        const facetOptions = options[facet.key] ?? [];
+        if (!facetOptions.length) return null;
+        const all = matchAll.includes(facet.key);
+
+        return (
+          <div key={facet.key} style={facetStyles.row}>
+            <div style={facetStyles.head}>
+              <span style={styles.tagLabel}>{facet.label}</span>
+              {facet.multi ? (
+                <button
+                  type="button"
+                  onClick={() => onChange(toggleFacetMatch(filters, facet.key))}
+                  style={facetStyles.matchBtn}
+                  title={
+                    all
+                      ? "Showing items with ALL picked values"
+                      : "Showing items with ANY picked value"
+                  }
+                >
+                  {all ? "AND" : "OR"}
+                </button>
+              ) : null}
+            </div>
+
+            <div style={styles.tagWrap}>
+              {facetOptions.map((o) => (
+                <button
+                  key={o.value}
+                  type="button"
+                  onClick={() => onChange(toggleFacetValue(filters, facet.key, o.value))}
+                  disabled={!o.count && !o.selected}
+                  style={{
+                    ...styles.chip,
+                    background: o.selected ? "#eaf2ff" : "white",
+                    borderColor: o.selected ? "#3d8cfb" : "#ddd",
+                    opacity: !o.count && !o.selected ? 0.45 : 1,
+                    cursor: !o.count && !o.selected ? "default" : "pointer",
+                  }}
+                >
+                  {o.label} <span style={facetStyles.count}>{o.count}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+
+      {DATE_RANGE_FIELD[mode] ? (
+        <div style={facetStyles.row}>
+          <div style={facetStyles.head}>
+            <span style={styles.tagLabel}>Date</span>
+          </div>
+          <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap" }}>
+            <input
+              type="date"
+              value={from ?? ""}
+              max={to || undefined}
+              onChange={(e) => onChange(setDateRange(filters, { from: e.target.value }))}
+              style={facetStyles.date}
+              aria-label="From date"
+            />
+            <span style={{ fontSize: 12, color: "#666" }}>to</span>
+            <input
+              type="date"
+              value={to ?? ""}
+              min={from || undefined}
+              onChange={(e) => onChange(setDateRange(filters, { to: e.target.value }))}
+              style={facetStyles.date}
+              aria-label="To date"
+            />
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+const facetStyles = {
+  panel: { marginTop: 10, display: "grid", gap: 8 },
+  row: { display: "grid", gridTemplateColumns: "110px 1fr", gap: 8, alignItems: "start" },
+  head: { display: "flex", alignItems: "center", gap: 6, paddingTop: 5 },
+  matchBtn: {
+    padding: "1px 6px",
+    borderRadius: 6,
+    border: "1px solid #ddd",
+    background: "white",
+    color: "#1d4ed8",
+    cursor: "pointer",
+    fontSize: 10,
+    fontWeight: 700,
+  },
+  count: { color: "#888", fontSize: 11 },
+  date: {
+    padding: "5px 8px",
+    borderRadius: 10,
+    border: "1px solid #ddd",
+    background: "white",
+    color: "#111827",
+    fontSize: 12,
+  },
+};
@@ -0,0 +1,89 @@
+import { Fragment } from "react";
+import { styles } from "../styles.js";
+import { WEEKDAYS } from "../calendar.js";
+import { DAY_PARTS, freeTimeKey } from "../schedule.js";
+
+// Monday first, like the schedule editor
+const DAY_COLUMNS = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Week grid of mornings / afternoons / evenings the user is usually free,
+ * for the Discover "fits my free time" filter. `value` is a list of
+ * schedule.freeTimeKey()s.
+ */
+export default function FreeTimePicker({ value, onChange }) {
+  const free = new Set(value);
+
+  function toggle(key) {
+    onChange(free.has(key) ? value.filter((k) => k !== key) : [...value, key]);
+  }
+
+  return (
+    <div style={pickerStyles.wrap}>
+      <p style={styles.formHint}>
+        Tap the times you're usually free (saved in this browser).{" "}
+        {value.length ? (
+          <button type="button" style={styles.linkBtn} onClick={() => onChange([])}>
+            clear
+          </button>
+        ) : null}
+      </p>
+
+      <div style={pickerStyles.grid} role="group" aria-label="My free time">
+        <span />
+        {DAY_COLUMNS.map((day) => (
+          <span key={day} style={pickerStyles.head}>
+            {WEEKDAYS[day]}
+          </span>
+        ))}
+
+        {DAY_PARTS.map((part) => (
+          <Fragment key={part.key}>
+            <span style={pickerStyles.rowHead}>{part.label}</span>
+            {DAY_COLUMNS.map((day) => {
+              const key = freeTimeKey(day, part.key);
+              const on = free.has(key);
+              return (
+                <button
+                  key={key}
+                  type="button"
+                  aria-pressed={on}
+                  aria-label={`${WEEKDAYS[day]} ${part.label.toLowerCase()}`}
+                  onClick={() => toggle(key)}
+                  style={{ ...pickerStyles.cell, ...(on ? pickerStyles.cellOn : null) }}
+                >
+                  {on ? "✓" : ""}
+                </button>
+              );
+            })}
+          </Fragment>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const pickerStyles = {
+  wrap: {
+    display: "grid",
+    gap: 8,
+    marginTop: 10,
+    padding: 12,
+    border: "1px solid #eee",
+    borderRadius: 14,
+    background: "#fcfcfd",
+    maxWidth: 460,
+  },
+  grid: { display: "grid", gridTemplateColumns: "80px repeat(7, 1fr)", gap: 4 },
+  head: { fontSize: 11, fontWeight: 700, color: "#666", textAlign: "center" },
+  rowHead: { fontSize: 12, color: "#444", alignSelf: "center" },
+  cell: {
+    height: 28,
+    borderRadius: 8,
+    border: "1px solid #ddd",
+    background: "white",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+  cellOn: { background: "#eaf2ff", borderColor: "#3d8cfb", color: "#1d4ed8" },
+};
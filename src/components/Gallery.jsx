@@ -0,0 +1,249 @@
+import { useEffect, useRef, useState } from "react";
+import { styles } from "../styles.js";
+import StoredImage from "./StoredImage.jsx";
+
+// px a touch has to travel sideways to count as a swipe
+const SWIPE_DISTANCE = 50;
+const ZOOM = 2.5;
+
+/**
+ * Grid of lazily loaded thumbnails (flyers, photos) that opens an in-app
+ * lightbox. `label` ("Flyer") and `owner` (club / vendor name) make the captions.
+ */
+export default function Gallery({ images, label, owner }) {
+  const [openIndex, setOpenIndex] = useState(null);
+
+  const items = images.map((src, idx) => ({
+    src,
+    caption: `${owner ? `${owner} — ` : ""}${label} ${idx + 1} of ${images.length}`,
+  }));
+
+  return (
+    <>
+      <div style={styles.mediaGrid}>
+        {items.map((item, idx) => (
+          <button
+            key={item.src}
+            type="button"
+            onClick={() => setOpenIndex(idx)}
+            style={galleryStyles.tile}
+            aria-label={`Open ${item.caption}`}
+          >
+            <StoredImage
+              src={item.src}
+              thumb
+              loading="lazy"
+              alt={item.caption}
+              style={styles.mediaImg}
+            />
+          </button>
+        ))}
+      </div>
+
+      {openIndex !== null && items[openIndex] ? (
+        <Lightbox
+          items={items}
+          index={openIndex}
+          onIndexChange={setOpenIndex}
+          onClose={() => setOpenIndex(null)}
+        />
+      ) : null}
+    </>
+  );
+}
+
+/** One image at a time: ←/→ or swipe to move, click or Z to zoom, Esc to close */
+function Lightbox({ items, index, onIndexChange, onClose }) {
+  const [zoom, setZoom] = useState(null); // { index, x, y } origin in % while zoomed
+  const touchStart = useRef(null);
+  const closeBtn = useRef(null);
+
+  const item = items[index];
+  const zoomed = zoom?.index === index;
+  const hasMany = items.length > 1;
+
+  function go(step) {
+    onIndexChange((index + step + items.length) % items.length);
+  }
+
+  function toggleZoom(x = 50, y = 50) {
+    setZoom(zoomed ? null : { index, x, y });
+  }
+
+  useEffect(() => {
+    closeBtn.current?.focus();
+  }, []);
+
+  // capture phase on window, so Escape closes the lightbox and not the profile behind it
+  useEffect(() => {
+    function onKeyDown(e) {
+      const actions = {
+        Escape: onClose,
+        ArrowLeft: () => hasMany && onIndexChange((index - 1 + items.length) % items.length),
+        ArrowRight: () => hasMany && onIndexChange((index + 1) % items.length),
+        z: () => setZoom((z) => (z?.index === index ? null : { index, x: 50, y: 50 })),
+      };
+      actions.Z = actions.z;
+      const action = actions[e.key];
+      if (!action) return;
+      e.preventDefault();
+      e.stopPropagation();
+      action();
+    }
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => window.removeEventListener("keydown", onKeyDown, true);
+  }, [index, items.length, hasMany, onClose, onIndexChange]);
+
+  function handleImageClick(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * 100;
+    const y = ((e.clientY - rect.top) / rect.height) * 100;
+    toggleZoom(x, y);
+  }
+
+  function handleTouchEnd(e) {
+    const start = touchStart.current;
+    touchStart.current = null;
+    if (start === null || zoomed || !hasMany) return;
+    const dx = e.changedTouches[0].clientX - start;
+    if (Math.abs(dx) >= SWIPE_DISTANCE) go(dx < 0 ? 1 : -1);
+  }
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label={item.caption}
+      style={galleryStyles.overlay}
+      onMouseDown={(e) => {
+        e.stopPropagation();
+        if (e.target === e.currentTarget) onClose();
+      }}
+      onTouchStart={(e) => (touchStart.current = e.touches[0].clientX)}
+      onTouchEnd={handleTouchEnd}
+    >
+      <div style={galleryStyles.toolbar}>
+        <span>{hasMany ? `${index + 1} / ${items.length}` : ""}</span>
+        <div style={{ display: "flex", gap: 8 }}>
+          <button type="button" style={galleryStyles.toolBtn} onClick={() => toggleZoom()}>
+            {zoomed ? "➖ Zoom out" : "➕ Zoom in"}
+          </button>
+          <button
+            ref={closeBtn}
+            type="button"
+            style={galleryStyles.toolBtn}
+            onClick={onClose}
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div
+        style={galleryStyles.stage}
+        onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+      >
+        {hasMany ? (
+          <button
+            type="button"
+            style={{ ...galleryStyles.navBtn, left: 12 }}
+            onClick={() => go(-1)}
+            aria-label="Previous image"
+          >
+            ‹
+          </button>
+        ) : null}
+
+        <div style={{ ...galleryStyles.frame, overflow: zoomed ? "hidden" : "visible" }}>
+          <StoredImage
+            key={item.src}
+            src={item.src}
+            alt={item.caption}
+            onClick={handleImageClick}
+            style={{
+              ...galleryStyles.image,
+              transform: zoomed ? `scale(${ZOOM})` : "none",
+              transformOrigin: zoomed ? `${zoom.x}% ${zoom.y}%` : "center",
+              cursor: zoomed ? "zoom-out" : "zoom-in",
+            }}
+          />
+        </div>
+
+        {hasMany ? (
+          <button
+            type="button"
+            style={{ ...galleryStyles.navBtn, right: 12 }}
+            onClick={() => go(1)}
+            aria-label="Next image"
+          >
+            ›
+          </button>
+        ) : null}
+      </div>
+
+      <p style={galleryStyles.caption}>{item.caption}</p>
+    </div>
+  );
+}
+
+const galleryStyles = {
+  tile: { padding: 0, border: "none", background: "none", cursor: "zoom-in", display: "block" },
+  overlay: {
+    position: "fixed",
+    inset: 0,
+    zIndex: 10001, // above the full-screen profile
+    background: "rgba(0,0,0,0.88)",
+    display: "flex",
+    flexDirection: "column",
+    color: "white",
+  },
+  toolbar: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: "12px 16px",
+    fontSize: 13,
+  },
+  toolBtn: {
+    padding: "6px 10px",
+    borderRadius: 999,
+    border: "1px solid rgba(255,255,255,0.3)",
+    background: "rgba(255,255,255,0.1)",
+    color: "white",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+  stage: {
+    position: "relative",
+    flex: 1,
+    minHeight: 0,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: "0 64px",
+  },
+  frame: { maxWidth: "100%", maxHeight: "100%", display: "flex", borderRadius: 8 },
+  image: {
+    maxWidth: "100%",
+    maxHeight: "calc(100vh - 140px)",
+    objectFit: "contain",
+    transition: "transform 0.2s ease",
+    minWidth: 240,
+    minHeight: 160,
+  },
+  navBtn: {
+    position: "absolute",
+    top: "50%",
+    transform: "translateY(-50%)",
+    width: 44,
+    height: 44,
+    borderRadius: 999,
+    border: "none",
+    background: "rgba(255,255,255,0.15)",
+    color: "white",
+    fontSize: 28,
+    cursor: "pointer",
+  },
+  caption: { margin: 0, padding: "12px 16px 18px", textAlign: "center", fontSize: 14 },
+};
@@ -0,0 +1,130 @@
+import { useState } from "react";
+import { styles } from "../styles.js";
+import { inCollection } from "../hearts.js";
+
+/**
+ * The private side of a hearted club: its collections and the user's note,
+ * with an editor for both. `onMove(-1 | 1)` (manual order only) is the
+ * keyboard-friendly alternative to dragging.
+ */
+export default function HeartedClubDetails({
+  club,
+  note,
+  collections,
+  onNoteChange,
+  onToggleCollection,
+  onMove,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const filed = collections.filter((c) => inCollection(c, club.id));
+
+  if (!isOpen) {
+    return (
+      <div style={detailStyles.summary}>
+        {filed.map((c) => (
+          <span key={c.id} style={detailStyles.pill}>
+            {c.name}
+          </span>
+        ))}
+        {note ? <span style={detailStyles.note}>📝 {note}</span> : null}
+        <button type="button" style={styles.linkBtn} onClick={() => setIsOpen(true)}>
+          {note || filed.length ? "edit" : "add note / collection"}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={detailStyles.editor}>
+      <label style={styles.field}>
+        <span style={styles.formHint}>Private note (only in this browser)</span>
+        <textarea
+          value={note}
+          onChange={(e) => onNoteChange(e.target.value)}
+          placeholder="e.g. talked to the president at the involvement fair"
+          rows={2}
+          style={styles.textarea}
+        />
+      </label>
+
+      {collections.length ? (
+        <div style={detailStyles.chips} role="group" aria-label={`Collections for ${club.name}`}>
+          {collections.map((c) => {
+            const on = inCollection(c, club.id);
+            return (
+              <button
+                key={c.id}
+                type="button"
+                aria-pressed={on}
+                onClick={() => onToggleCollection(c.id)}
+                style={{
+                  ...styles.chip,
+                  background: on ? "#eaf2ff" : "white",
+                  borderColor: on ? "#3d8cfb" : "#ddd",
+                }}
+              >
+                {on ? "✓ " : ""}
+                {c.name}
+              </button>
+            );
+          })}
+        </div>
+      ) : (
+        <span style={styles.formHint}>Add a collection above to file clubs under it.</span>
+      )}
+
+      <div style={detailStyles.chips}>
+        {onMove ? (
+          <>
+            <button
+              type="button"
+              style={styles.smallBtn}
+              onClick={() => onMove(-1)}
+              aria-label={`Move ${club.name} up`}
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              style={styles.smallBtn}
+              onClick={() => onMove(1)}
+              aria-label={`Move ${club.name} down`}
+            >
+              ↓
+            </button>
+          </>
+        ) : null}
+        <button type="button" style={styles.smallBtn} onClick={() => setIsOpen(false)}>
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const detailStyles = {
+  summary: {
+    display: "flex",
+    gap: 6,
+    flexWrap: "wrap",
+    alignItems: "center",
+    marginTop: 8,
+    fontSize: 12,
+  },
+  pill: {
+    fontSize: 11,
+    padding: "2px 8px",
+    borderRadius: 999,
+    background: "#eaf2ff",
+    color: "#1d4ed8",
+  },
+  note: { color: "#444", whiteSpace: "pre-wrap" },
+  editor: {
+    display: "grid",
+    gap: 8,
+    marginTop: 10,
+    paddingTop: 10,
+    borderTop: "1px solid #eee",
+  },
+  chips: { display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" },
+};
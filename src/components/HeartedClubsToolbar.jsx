@@ -0,0 +1,118 @@
+import { useState } from "react";
+import { styles } from "../styles.js";
+import { HEART_SORTS, inCollection } from "../hearts.js";
+
+/**
+ * Collection chips ("All", "Career", …) and the sort picker above Your
+ * Clubs. `active` is the picked collection id, or null for all of them.
+ */
+export default function HeartedClubsToolbar({
+  collections,
+  heartedIds,
+  active,
+  sort,
+  onPick,
+  onCreate,
+  onDelete,
+  onSortChange,
+}) {
+  const [isAdding, setIsAdding] = useState(false);
+  const [name, setName] = useState("");
+  const activeCollection = collections.find((c) => c.id === active);
+
+  function chipStyle(on) {
+    return {
+      ...styles.chip,
+      background: on ? "#eaf2ff" : "white",
+      borderColor: on ? "#3d8cfb" : "#ddd",
+      fontWeight: on ? 700 : 500,
+    };
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    // onCreate says whether the name was usable (not blank or taken)
+    if (onCreate(name)) {
+      setName("");
+      setIsAdding(false);
+    }
+  }
+
+  return (
+    <div style={toolbarStyles.wrap}>
+      <div style={toolbarStyles.chips} role="group" aria-label="Collections">
+        <button type="button" onClick={() => onPick(null)} style={chipStyle(active === null)}>
+          All ({heartedIds.length})
+        </button>
+        {collections.map((c) => (
+          <button
+            key={c.id}
+            type="button"
+            onClick={() => onPick(c.id)}
+            style={chipStyle(active === c.id)}
+          >
+            {c.name} ({heartedIds.filter((id) => inCollection(c, id)).length})
+          </button>
+        ))}
+
+        {isAdding ? (
+          <form onSubmit={submit} style={toolbarStyles.addForm}>
+            <input
+              autoFocus
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Career"
+              aria-label="New collection name"
+              style={{ ...styles.input, padding: "6px 10px", width: 120 }}
+            />
+            <button type="submit" style={styles.smallBtn}>
+              Add
+            </button>
+            <button type="button" style={styles.linkBtn} onClick={() => setIsAdding(false)}>
+              cancel
+            </button>
+          </form>
+        ) : (
+          <button type="button" style={styles.smallBtn} onClick={() => setIsAdding(true)}>
+            ＋ Collection
+          </button>
+        )}
+      </div>
+
+      <div style={toolbarStyles.row}>
+        <label style={toolbarStyles.sort}>
+          Sort:
+          <select
+            value={sort}
+            onChange={(e) => onSortChange(e.target.value)}
+            style={{ ...styles.input, padding: "4px 8px" }}
+          >
+            {Object.entries(HEART_SORTS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {sort === "manual" ? <span style={styles.formHint}>Drag clubs to reorder.</span> : null}
+        {activeCollection ? (
+          <button
+            type="button"
+            style={{ ...styles.linkBtn, marginLeft: "auto" }}
+            onClick={() => onDelete(activeCollection)}
+          >
+            delete “{activeCollection.name}”
+          </button>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+const toolbarStyles = {
+  wrap: { display: "grid", gap: 8, margin: "10px 0" },
+  chips: { display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" },
+  addForm: { display: "flex", gap: 6, alignItems: "center" },
+  row: { display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" },
+  sort: { display: "flex", gap: 6, alignItems: "center", fontSize: 12, color: "#444" },
+};
@@ -0,0 +1,219 @@
+import { useRef, useState } from "react";
+import { styles } from "../styles.js";
+import { processImage } from "../imagePipeline.js";
+import { imageStore } from "../imageStore.js";
+import { isUrl } from "../schema.js";
+import StoredImage from "./StoredImage.jsx";
+
+/**
+ * Images for one form field. Picked or dropped files are resized, compressed
+ * and saved (imageStore) right away and shown as thumbnails that can be
+ * reordered or removed before the form is saved; a link can be pasted too.
+ * Without `multiple`, a new image replaces the current one.
+ */
+export default function ImageUploader({ kind, label, images, onChange, multiple = false }) {
+  const [busy, setBusy] = useState(0); // files still being processed
+  const [error, setError] = useState("");
+  const [link, setLink] = useState("");
+  const [dropping, setDropping] = useState(false);
+  const [dragIndex, setDragIndex] = useState(null);
+  const fileInput = useRef(null);
+
+  async function addFiles(fileList) {
+    const files = multiple ? [...fileList] : [...fileList].slice(0, 1);
+    if (!files.length) return;
+
+    setError("");
+    setBusy((n) => n + files.length);
+    const added = [];
+    const problems = [];
+    for (const file of files) {
+      try {
+        added.push(await imageStore.save(await processImage(file, kind)));
+      } catch (err) {
+        problems.push(err.message);
+      } finally {
+        setBusy((n) => n - 1);
+      }
+    }
+    if (problems.length) setError(problems.join(" "));
+    if (added.length) onChange(multiple ? [...images, ...added] : added);
+  }
+
+  function addLink() {
+    const url = link.trim();
+    if (!url) return;
+    if (!isUrl(url)) {
+      setError("Use a full link (https://…) or a path like /images/x.jpg.");
+      return;
+    }
+    setError("");
+    setLink("");
+    if (images.includes(url)) return;
+    onChange(multiple ? [...images, url] : [url]);
+  }
+
+  function move(from, to) {
+    if (to < 0 || to >= images.length || from === to) return;
+    const next = [...images];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    onChange(next);
+  }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    setDropping(false);
+    if (e.dataTransfer.files?.length) addFiles(e.dataTransfer.files);
+  }
+
+  return (
+    <div style={styles.field}>
+      <span style={styles.fieldLabel}>{label}</span>
+
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          if (dragIndex === null) setDropping(true);
+        }}
+        onDragLeave={() => setDropping(false)}
+        onDrop={handleDrop}
+        style={{ ...uploaderStyles.dropZone, ...(dropping ? uploaderStyles.dropping : null) }}
+      >
+        {images.length ? (
+          <div style={uploaderStyles.thumbs}>
+            {images.map((src, idx) => (
+              <div
+                key={src}
+                draggable={images.length > 1}
+                onDragStart={(e) => {
+                  setDragIndex(idx);
+                  e.dataTransfer.setData("text/plain", String(idx)); // Firefox needs data
+                }}
+                onDragEnd={() => setDragIndex(null)}
+                onDrop={(e) => {
+                  if (dragIndex === null) return;
+                  e.preventDefault();
+                  e.stopPropagation();
+                  move(dragIndex, idx);
+                  setDragIndex(null);
+                }}
+                style={{ ...uploaderStyles.thumb, opacity: dragIndex === idx ? 0.4 : 1 }}
+              >
+                <StoredImage src={src} thumb alt={`${label} ${idx + 1}`} style={uploaderStyles.img} />
+                <div style={uploaderStyles.thumbActions}>
+                  {multiple ? (
+                    <>
+                      <button
+                        type="button"
+                        style={uploaderStyles.iconBtn}
+                        onClick={() => move(idx, idx - 1)}
+                        disabled={idx === 0}
+                        aria-label="Move earlier"
+                      >
+                        ◀
+                      </button>
+                      <button
+                        type="button"
+                        style={uploaderStyles.iconBtn}
+                        onClick={() => move(idx, idx + 1)}
+                        disabled={idx === images.length - 1}
+                        aria-label="Move later"
+                      >
+                        ▶
+                      </button>
+                    </>
+                  ) : null}
+                  <button
+                    type="button"
+                    style={uploaderStyles.iconBtn}
+                    onClick={() => onChange(images.filter((_, i) => i !== idx))}
+                    aria-label="Remove image"
+                  >
+                    ✕
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : null}
+
+        <div style={uploaderStyles.prompt}>
+          {busy ? (
+            <span>Resizing {busy} image(s)…</span>
+          ) : (
+            <>
+              <span>Drop {multiple ? "images" : "an image"} here or</span>
+              <button type="button" style={styles.smallBtn} onClick={() => fileInput.current?.click()}>
+                Choose {multiple ? "files" : "a file"}
+              </button>
+            </>
+          )}
+          <input
+            ref={fileInput}
+            type="file"
+            accept="image/jpeg,image/png,image/webp,image/gif"
+            multiple={multiple}
+            onChange={(e) => {
+              addFiles(e.target.files);
+              e.target.value = "";
+            }}
+            style={{ display: "none" }}
+          />
+        </div>
+      </div>
+
+      <div style={{ display: "flex", gap: 8 }}>
+        <input
+          value={link}
+          onChange={(e) => setLink(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key !== "Enter") return;
+            e.preventDefault();
+            addLink();
+          }}
+          placeholder="…or paste an image link"
+          style={{ ...styles.input, flex: 1 }}
+        />
+        <button type="button" style={styles.smallBtn} onClick={addLink}>
+          Add link
+        </button>
+      </div>
+
+      {error ? <span style={styles.fieldError}>{error}</span> : null}
+    </div>
+  );
+}
+
+const uploaderStyles = {
+  dropZone: {
+    display: "grid",
+    gap: 10,
+    padding: 12,
+    border: "1px dashed #d0d5dd",
+    borderRadius: 14,
+    background: "#fcfcfd",
+  },
+  dropping: { borderColor: "#7f56d9", background: "#f9f5ff" },
+  thumbs: { display: "flex", flexWrap: "wrap", gap: 8 },
+  thumb: {
+    position: "relative",
+    width: 96,
+    height: 96,
+    borderRadius: 10,
+    overflow: "hidden",
+    border: "1px solid #eee",
+    cursor: "grab",
+  },
+  img: { width: "100%", height: "100%", objectFit: "cover", display: "block" },
+  thumbActions: { position: "absolute", top: 4, right: 4, display: "flex", gap: 2 },
+  iconBtn: {
+    border: "none",
+    borderRadius: 6,
+    background: "rgba(255,255,255,0.9)",
+    cursor: "pointer",
+    fontSize: 10,
+    padding: "2px 5px",
+  },
+  prompt: { display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: "#666" },
+};
@@ -0,0 +1,189 @@
+import { useState } from "react";
+import { styles } from "../styles.js";
+import {
+  downloadText,
+  exportCsv,
+  exportJson,
+  parseImport,
+  planImport,
+  planSize,
+} from "../transfer.js";
+
+const COLLECTION_LABELS = { clubs: "Clubs", requests: "Requests" };
+
+/**
+ * Export this browser's clubs / requests / hearts, or import a JSON or CSV
+ * file: shows a preview (new, updated, skipped, errors) before `onImport(plan)`.
+ */
+export default function ImportExport({ owned, heartedIds, existing, onImport, onClose }) {
+  const [fileName, setFileName] = useState("");
+  const [plan, setPlan] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState("");
+
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  function readFile(file) {
+    if (!file) return;
+    setResult("");
+    file.text().then((text) => {
+      setFileName(file.name);
+      setPlan(planImport(parseImport(text, file.name), existing));
+    });
+  }
+
+  function commit() {
+    setBusy(true);
+    onImport(plan).then((failed) => {
+      setBusy(false);
+      setPlan(null);
+      setFileName("");
+      setResult(
+        failed
+          ? `Imported with ${failed} failure(s). See the message above.`
+          : `Imported ${fileName}.`
+      );
+    });
+  }
+
+  const changes = plan ? planSize(plan) : 0;
+
+  return (
+    <div style={styles.formGrid}>
+      <section>
+        <h3 style={styles.fullH3}>Export</h3>
+        <p style={styles.formHint}>
+          {owned.clubs.length} club(s) and {owned.requests.length} request(s) you added,{" "}
+          {heartedIds.length} hearted club(s). Images uploaded in demo mode stay in this browser
+          and aren't part of the export.
+        </p>
+        <div style={{ ...styles.chipsWrap, marginTop: 8 }}>
+          <button
+            type="button"
+            style={styles.smallBtn}
+            onClick={() =>
+              downloadText(
+                `loopedin-backup-${stamp}.json`,
+                exportJson({ ...owned, heartedIds }),
+                "application/json"
+              )
+            }
+          >
+            ⬇ Everything (JSON)
+          </button>
+          {["clubs", "requests", "hearts"].map((collection) => (
+            <button
+              key={collection}
+              type="button"
+              style={styles.smallBtn}
+              onClick={() =>
+                downloadText(
+                  `loopedin-${collection}-${stamp}.csv`,
+                  exportCsv(collection, collection === "hearts" ? heartedIds : owned[collection]),
+                  "text/csv"
+                )
+              }
+            >
+              ⬇ {collection} (CSV)
+            </button>
+          ))}
+        </div>
+      </section>
+
+      <section>
+        <h3 style={styles.fullH3}>Import</h3>
+        <p style={styles.formHint}>
+          A JSON backup, or a CSV of clubs, requests or hearts (same columns as the export).
+          Records that already exist are matched by id or name and never duplicated.
+        </p>
+        <input
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={(e) => readFile(e.target.files?.[0])}
+          style={{ marginTop: 8, fontSize: 13 }}
+        />
+        {result ? <p style={{ ...styles.formHint, color: "#027a48" }}>{result}</p> : null}
+      </section>
+
+      {plan ? <ImportPreview plan={plan} /> : null}
+
+      <div style={styles.modalActions}>
+        <button type="button" onClick={onClose} style={styles.secondaryBtn}>
+          Close
+        </button>
+        {plan ? (
+          <button
+            type="button"
+            onClick={commit}
+            disabled={busy || changes === 0}
+            style={{ ...styles.primaryBtn, opacity: busy || changes === 0 ? 0.5 : 1 }}
+          >
+            {busy ? "Importing…" : `Import ${changes} change(s)`}
+          </button>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+function ImportPreview({ plan }) {
+  return (
+    <section style={styles.suggestBox}>
+      <div style={styles.suggestTitle}>Preview</div>
+
+      {Object.entries(COLLECTION_LABELS).map(([collection, label]) => {
+        const { create, update, skip } = plan[collection];
+        if (!create.length && !update.length && !skip.length) return null;
+        return (
+          <div key={collection} style={styles.responseRow}>
+            <b>{label}:</b> {create.length} new, {update.length} updated, {skip.length} skipped
+            <PreviewList items={create} prefix="+" />
+            <PreviewList items={update} prefix="~" />
+            {skip.map((s) => (
+              <div key={s.row} style={styles.suggestWhy}>
+                {s.row}: skipped {s.record.name ?? s.record.title} ({s.reason})
+              </div>
+            ))}
+          </div>
+        );
+      })}
+
+      {plan.hearts.add.length || plan.hearts.skip.length ? (
+        <div style={styles.responseRow}>
+          <b>Hearts:</b> {plan.hearts.add.length} new, {plan.hearts.skip.length} skipped
+          {plan.hearts.skip.map((s) => (
+            <div key={s.row} style={styles.suggestWhy}>
+              {s.row}: {s.reason}
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      {plan.errors.length ? (
+        <div style={styles.responseRow}>
+          <b style={{ color: "#b42318" }}>{plan.errors.length} row(s) can't be imported:</b>
+          {plan.errors.map((e, idx) => (
+            <div key={idx} style={styles.fieldError}>
+              {[e.collection, e.row].filter(Boolean).join(" ")}
+              {e.collection || e.row ? ": " : ""}
+              {e.message}
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      {!planSize(plan) && !plan.errors.length ? (
+        <p style={styles.formHint}>Nothing new in this file.</p>
+      ) : null}
+    </section>
+  );
+}
+
+function PreviewList({ items, prefix }) {
+  if (!items.length) return null;
+  return (
+    <div style={styles.suggestWhy}>
+      {items.map((r) => `${prefix} ${r.name ?? r.title}`).join(" • ")}
+    </div>
+  );
+}
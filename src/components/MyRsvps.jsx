@@ -0,0 +1,107 @@
+import { styles } from "../styles.js";
+import { RSVP_LABELS } from "../rsvp.js";
+
+const DATE_FORMAT = { weekday: "short", month: "short", day: "numeric" };
+
+/**
+ * "My RSVPs" list from rsvp.myRsvps, upcoming first, plus the name club
+ * owners see next to this browser's RSVPs.
+ */
+export default function MyRsvps({ items, name, onNameChange, onOpenClub, onCancel }) {
+  const upcoming = items.filter((x) => !x.past);
+  const past = items.filter((x) => x.past);
+
+  return (
+    <div style={{ marginTop: 18 }}>
+      <div style={styles.panelHeader}>
+        <h2 style={styles.h2}>🙋 My RSVPs</h2>
+        <span style={styles.countPill}>{upcoming.length}</span>
+      </div>
+
+      {items.length === 0 ? (
+        <p style={styles.muted}>RSVP to an event on a club's page and it shows up here.</p>
+      ) : (
+        <div style={styles.list}>
+          {upcoming.map((item) => (
+            <RsvpRow key={item.rsvp.id} item={item} onOpenClub={onOpenClub} onCancel={onCancel} />
+          ))}
+          {upcoming.length === 0 ? <p style={styles.muted}>Nothing coming up.</p> : null}
+        </div>
+      )}
+
+      {past.length ? (
+        <details style={{ marginTop: 10 }}>
+          <summary style={rsvpStyles.summary}>Past ({past.length})</summary>
+          <div style={{ ...styles.list, marginTop: 8 }}>
+            {past.map((item) => (
+              <RsvpRow
+                key={item.rsvp.id}
+                item={item}
+                onOpenClub={onOpenClub}
+                onCancel={onCancel}
+              />
+            ))}
+          </div>
+        </details>
+      ) : null}
+
+      <label style={{ ...styles.field, marginTop: 10 }}>
+        <span style={styles.formHint}>Name club organizers see on your new RSVPs (optional)</span>
+        <input
+          value={name}
+          onChange={(e) => onNameChange(e.target.value)}
+          placeholder="e.g. Sam R."
+          style={styles.input}
+        />
+      </label>
+    </div>
+  );
+}
+
+function RsvpRow({ item: { rsvp, club, event, day, past }, onOpenClub, onCancel }) {
+  const when = day ? day.toLocaleDateString([], DATE_FORMAT) : "";
+  return (
+    <div style={{ ...rsvpStyles.row, opacity: past ? 0.7 : 1 }}>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ fontWeight: 700, fontSize: 14 }}>{event.title || "Untitled event"}</div>
+        <div style={styles.suggestWhy}>
+          {when}
+          {event.time ? ` • ${event.time}` : ""} ·{" "}
+          <button
+            type="button"
+            onClick={() => onOpenClub(club)}
+            style={styles.linkBtn}
+            title="Open club profile"
+          >
+            {club.name}
+          </button>
+        </div>
+      </div>
+
+      <span style={rsvpStyles.status}>{RSVP_LABELS[rsvp.status] ?? rsvp.status}</span>
+      <button
+        type="button"
+        onClick={() => onCancel(rsvp)}
+        style={styles.xBtn}
+        title="Cancel RSVP"
+        aria-label={`Cancel RSVP to ${event.title || "event"}`}
+      >
+        ✕
+      </button>
+    </div>
+  );
+}
+
+const rsvpStyles = {
+  row: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    padding: "10px 12px",
+    border: "1px solid #eee",
+    borderRadius: 14,
+    background: "white",
+  },
+  status: { fontSize: 12, color: "#1d4ed8", fontWeight: 700 },
+  summary: { cursor: "pointer", fontSize: 12, fontWeight: 700, color: "#444" },
+};
@@ -0,0 +1,447 @@
+import { useState } from "react";
+import { styles } from "../styles.js";
+import { WEEKDAYS, addDays, formatTime, startOfDay, startOfWeek } from "../calendar.js";
+import { newId } from "../ids.js";
+import { meetingText } from "../schedule.js";
+import {
+  DAY_END,
+  DAY_START,
+  findConflicts,
+  freeSlots,
+  suggestClubs,
+  validateClass,
+  weekBlocks,
+} from "../myWeek.js";
+
+const HOUR_PX = 28;
+// a faint line at the end of every hour
+const HOUR_LINES =
+  `repeating-linear-gradient(#fff 0 ${HOUR_PX - 1}px, ` +
+  `#f2f4f7 ${HOUR_PX - 1}px ${HOUR_PX}px)`;
+const MAX_SUGGESTIONS = 5;
+const EMPTY_CLASS = { title: "", days: [], start: "", end: "" };
+// class / meeting / event colors
+const KIND_COLORS = {
+  class: { background: "#f2f4f7", borderColor: "#98a2b3" },
+  meeting: { background: "#f4f3ff", borderColor: "#7a5af8" },
+  event: { background: "#eaf2ff", borderColor: "#3d8cfb" },
+};
+
+function clock(minutes) {
+  return formatTime({ hours: Math.floor(minutes / 60) % 24, minutes: minutes % 60 });
+}
+
+function dayLabel(day) {
+  return day.toLocaleDateString([], { weekday: "short", month: "short", day: "numeric" });
+}
+
+// side-by-side lanes for one day's blocks (sorted by start): [{ block, lane, lanes }],
+// where `lanes` counts the lanes of the group of overlapping blocks it's in
+function layOut(blocks) {
+  const out = [];
+  let group = [];
+  let groupEnd = -1;
+  let laneEnds = [];
+
+  const flush = () => {
+    const lanes = laneEnds.length;
+    group.forEach((placed) => out.push({ ...placed, lanes }));
+    group = [];
+    laneEnds = [];
+  };
+
+  for (const block of blocks) {
+    if (block.start >= groupEnd) flush();
+    let lane = laneEnds.findIndex((end) => end <= block.start);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = block.end;
+    group.push({ block, lane });
+    groupEnd = Math.max(groupEnd, block.end);
+  }
+  flush();
+  return out;
+}
+
+/**
+ * One week of the user's classes plus hearted clubs' meetings and events:
+ * overlaps are flagged, free time is shaded, and `candidates` (other clubs,
+ * best first) whose meetings fit the gaps are suggested.
+ */
+export default function MyWeek({
+  clubs,
+  candidates,
+  classes,
+  onClassesChange,
+  onOpenClub,
+  onHeart,
+}) {
+  const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+  const [draft, setDraft] = useState(EMPTY_CLASS);
+  const [draftErrors, setDraftErrors] = useState({});
+
+  const { blocks, allDay } = weekBlocks({ weekStart, classes, clubs });
+  const conflicts = findConflicts(blocks);
+  const clashing = new Set(conflicts.flatMap((c) => [c.a.key, c.b.key]));
+  const slots = freeSlots(blocks, weekStart);
+  const freeHours = Math.round(slots.reduce((sum, s) => sum + s.end - s.start, 0) / 6) / 10;
+  const suggestions = suggestClubs(candidates, blocks, weekStart).slice(0, MAX_SUGGESTIONS);
+  const days = Array.from({ length: 7 }, (_, d) => addDays(weekStart, d));
+  const todayTime = startOfDay(new Date()).getTime();
+
+  function step(dir) {
+    setWeekStart((w) => addDays(w, dir * 7));
+  }
+
+  function addClass(e) {
+    e.preventDefault();
+    const entry = { ...draft, title: draft.title.trim(), id: newId("classes") };
+    const found = validateClass(entry);
+    setDraftErrors(found);
+    if (Object.keys(found).length) return;
+    onClassesChange([...classes, entry]);
+    setDraft(EMPTY_CLASS);
+  }
+
+  function toggleDraftDay(day) {
+    setDraft((prev) => ({
+      ...prev,
+      days: prev.days.includes(day) ? prev.days.filter((d) => d !== day) : [...prev.days, day],
+    }));
+  }
+
+  const draftStyle = (field) =>
+    draftErrors[field] ? { ...styles.input, ...styles.inputInvalid } : styles.input;
+
+  return (
+    <div style={{ display: "grid", gap: 14 }}>
+      <div style={weekStyles.toolbar}>
+        <div style={{ display: "flex", gap: 6 }}>
+          <button type="button" style={styles.smallBtn} onClick={() => step(-1)}>
+            ←
+          </button>
+          <button
+            type="button"
+            style={styles.smallBtn}
+            onClick={() => setWeekStart(startOfWeek(new Date()))}
+          >
+            This week
+          </button>
+          <button type="button" style={styles.smallBtn} onClick={() => step(1)}>
+            →
+          </button>
+        </div>
+        <strong style={{ fontSize: 14 }}>
+          Week of {weekStart.toLocaleDateString([], { month: "short", day: "numeric" })}
+        </strong>
+        <span style={styles.formHint}>
+          {conflicts.length
+            ? `⚠️ ${conflicts.length} conflict${conflicts.length === 1 ? "" : "s"}`
+            : "✅ No conflicts"}{" "}
+          • {freeHours}h free
+        </span>
+      </div>
+
+      {clubs.length === 0 && classes.length === 0 ? (
+        <p style={styles.muted}>Heart some clubs and add your classes to see your week.</p>
+      ) : null}
+
+      {/* week grid */}
+      <div style={weekStyles.grid}>
+        <div />
+        {days.map((day) => (
+          <div
+            key={day.getTime()}
+            style={{
+              ...weekStyles.dayHead,
+              color: day.getTime() === todayTime ? "#3d8cfb" : "#444",
+            }}
+          >
+            {WEEKDAYS[day.getDay()]} {day.getDate()}
+            {allDay
+              .filter((b) => b.day.getTime() === day.getTime())
+              .map((b) => (
+                <button
+                  key={b.key}
+                  type="button"
+                  onClick={() => onOpenClub(b.club)}
+                  style={weekStyles.allDay}
+                  title={`${b.title} (${b.club.name}, all day)`}
+                >
+                  {b.title}
+                </button>
+              ))}
+          </div>
+        ))}
+
+        <div style={{ position: "relative", height: ((DAY_END - DAY_START) / 60) * HOUR_PX }}>
+          {Array.from({ length: (DAY_END - DAY_START) / 60 }, (_, h) => (
+            <span key={h} style={{ ...weekStyles.hour, top: h * HOUR_PX }}>
+              {clock(DAY_START + h * 60)}
+            </span>
+          ))}
+        </div>
+
+        {days.map((day) => {
+          const sameDay = (x) => x.day.getTime() === day.getTime();
+          return (
+            <div key={day.getTime()} style={weekStyles.column}>
+              {slots.filter(sameDay).map((slot) => (
+                <div
+                  key={`free-${slot.start}`}
+                  style={{ ...weekStyles.free, ...position(slot.start, slot.end) }}
+                  title={`Free ${clock(slot.start)}–${clock(slot.end)}`}
+                />
+              ))}
+              {layOut(blocks.filter(sameDay)).map(({ block, lane, lanes }) => (
+                <button
+                  key={block.key}
+                  type="button"
+                  disabled={!block.club}
+                  onClick={() => onOpenClub(block.club)}
+                  title={`${block.title}, ${clock(block.start)}–${clock(block.end)}`}
+                  style={{
+                    ...weekStyles.block,
+                    ...KIND_COLORS[block.kind],
+                    ...(clashing.has(block.key) ? weekStyles.clash : null),
+                    ...position(block.start, block.end),
+                    cursor: block.club ? "pointer" : "default",
+                    left: `${(lane / lanes) * 100}%`,
+                    width: `${100 / lanes}%`,
+                  }}
+                >
+                  {block.title}
+                </button>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={weekStyles.legend}>
+        <span>
+          <i style={{ ...weekStyles.swatch, ...KIND_COLORS.class }} /> Class
+        </span>
+        <span>
+          <i style={{ ...weekStyles.swatch, ...KIND_COLORS.meeting }} /> Club meeting
+        </span>
+        <span>
+          <i style={{ ...weekStyles.swatch, ...KIND_COLORS.event }} /> Club event
+        </span>
+        <span>
+          <i style={{ ...weekStyles.free, ...weekStyles.swatch, borderColor: "#abefc6" }} /> Free
+        </span>
+      </div>
+
+      {conflicts.length ? (
+        <div>
+          <h3 style={weekStyles.h3}>⚠️ Conflicts</h3>
+          <ul style={weekStyles.list}>
+            {conflicts.map((c) => (
+              <li key={`${c.a.key}|${c.b.key}`}>
+                <b>
+                  {dayLabel(c.day)}, {clock(c.start)}–{clock(c.end)}:
+                </b>{" "}
+                {c.a.title} overlaps {c.b.title}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : null}
+
+      <div>
+        <h3 style={weekStyles.h3}>✨ Clubs that fit your free time</h3>
+        {suggestions.length === 0 ? (
+          <p style={styles.formHint}>
+            No other clubs with a readable meeting time fit this week's gaps.
+          </p>
+        ) : (
+          <div style={{ display: "grid", gap: 6 }}>
+            {suggestions.map(({ club }) => (
+              <div key={club.id} style={weekStyles.suggestion}>
+                <div>
+                  <b>{club.name}</b>
+                  <div style={styles.formHint}>🗓️ {meetingText(club)}</div>
+                </div>
+                <div style={{ display: "flex", gap: 6 }}>
+                  <button type="button" style={styles.smallBtn} onClick={() => onOpenClub(club)}>
+                    Open
+                  </button>
+                  <button type="button" style={styles.smallBtn} onClick={() => onHeart(club.id)}>
+                    ♥ Heart
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* class schedule */}
+      <div>
+        <h3 style={weekStyles.h3}>📚 My classes</h3>
+        <p style={styles.formHint}>Saved in this browser only.</p>
+        {classes.length ? (
+          <ul style={weekStyles.list}>
+            {classes.map((entry) => (
+              <li key={entry.id} style={weekStyles.classRow}>
+                <span>
+                  <b>{entry.title}</b> — {entry.days.map((d) => WEEKDAYS[d]).join("/")}{" "}
+                  {clock(toMinutes(entry.start))}–{clock(toMinutes(entry.end))}
+                </span>
+                <button
+                  type="button"
+                  style={styles.xBtn}
+                  aria-label={`Remove ${entry.title}`}
+                  onClick={() => onClassesChange(classes.filter((c) => c.id !== entry.id))}
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : null}
+
+        <form onSubmit={addClass} style={{ ...styles.formGrid, marginTop: 8 }} noValidate>
+          <div style={styles.field}>
+            <input
+              value={draft.title}
+              onChange={(e) => setDraft((prev) => ({ ...prev, title: e.target.value }))}
+              placeholder="Class (e.g. CS 341)"
+              style={draftStyle("title")}
+            />
+            {draftErrors.title ? <span style={styles.fieldError}>{draftErrors.title}</span> : null}
+          </div>
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+            {[1, 2, 3, 4, 5, 6, 0].map((day) => {
+              const active = draft.days.includes(day);
+              return (
+                <button
+                  key={day}
+                  type="button"
+                  aria-pressed={active}
+                  onClick={() => toggleDraftDay(day)}
+                  style={{
+                    ...styles.chip,
+                    background: active ? "#eaf2ff" : "white",
+                    borderColor: active ? "#3d8cfb" : "#ddd",
+                  }}
+                >
+                  {WEEKDAYS[day]}
+                </button>
+              );
+            })}
+          </div>
+          {draftErrors.days ? <span style={styles.fieldError}>{draftErrors.days}</span> : null}
+          <div style={styles.twoCol}>
+            <label style={styles.field}>
+              <span style={styles.formHint}>Starts</span>
+              <input
+                type="time"
+                value={draft.start}
+                onChange={(e) => setDraft((prev) => ({ ...prev, start: e.target.value }))}
+                style={draftStyle("start")}
+              />
+              {draftErrors.start ? (
+                <span style={styles.fieldError}>{draftErrors.start}</span>
+              ) : null}
+            </label>
+            <label style={styles.field}>
+              <span style={styles.formHint}>Ends</span>
+              <input
+                type="time"
+                value={draft.end}
+                onChange={(e) => setDraft((prev) => ({ ...prev, end: e.target.value }))}
+                style={draftStyle("end")}
+              />
+              {draftErrors.end ? <span style={styles.fieldError}>{draftErrors.end}</span> : null}
+            </label>
+          </div>
+          <div>
+            <button type="submit" style={styles.smallBtn}>
+              ➕ Add class
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+// top / height inside a day column, clipped to the visible hours
+function position(start, end) {
+  const from = Math.max(start, DAY_START);
+  const to = Math.min(end, DAY_END);
+  return {
+    top: ((from - DAY_START) / 60) * HOUR_PX,
+    height: Math.max(((to - from) / 60) * HOUR_PX, 14),
+  };
+}
+
+const weekStyles = {
+  toolbar: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 10,
+    flexWrap: "wrap",
+  },
+  grid: { display: "grid", gridTemplateColumns: "44px repeat(7, 1fr)", gap: 2 },
+  dayHead: { display: "grid", gap: 2, fontSize: 11, fontWeight: 700, textAlign: "center" },
+  allDay: {
+    border: "1px solid #3d8cfb",
+    borderRadius: 6,
+    background: "#eaf2ff",
+    fontSize: 10,
+    padding: "1px 3px",
+    cursor: "pointer",
+    overflow: "hidden",
+    whiteSpace: "nowrap",
+    textOverflow: "ellipsis",
+  },
+  hour: { position: "absolute", right: 4, fontSize: 10, color: "#98a2b3" },
+  column: {
+    position: "relative",
+    height: ((DAY_END - DAY_START) / 60) * HOUR_PX,
+    borderLeft: "1px solid #f2f4f7",
+    background: HOUR_LINES,
+  },
+  free: { position: "absolute", left: 0, right: 0, background: "#ecfdf3" },
+  block: {
+    position: "absolute",
+    border: "1px solid",
+    borderRadius: 6,
+    padding: "1px 3px",
+    fontSize: 10,
+    textAlign: "left",
+    overflow: "hidden",
+    color: "#111827",
+  },
+  clash: { borderColor: "#d92d20", borderWidth: 2, background: "#fef3f2" },
+  legend: { display: "flex", gap: 14, flexWrap: "wrap", fontSize: 11, color: "#666" },
+  swatch: {
+    display: "inline-block",
+    position: "static",
+    width: 10,
+    height: 10,
+    borderRadius: 3,
+    border: "1px solid",
+    verticalAlign: "middle",
+  },
+  h3: { margin: "0 0 6px 0", fontSize: 14 },
+  list: { margin: 0, paddingLeft: 18, display: "grid", gap: 4, fontSize: 13 },
+  classRow: { display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8 },
+  suggestion: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 10,
+    padding: "8px 10px",
+    border: "1px solid #eee",
+    borderRadius: 12,
+  },
+};
@@ -0,0 +1,208 @@
+import { useEffect, useRef, useState } from "react";
+import { styles } from "../styles.js";
+import { REMINDER_LEADS, canNotify } from "../notifications.js";
+
+const KIND_ICONS = { event: "📅", request: "📣", response: "💬", reminder: "⏰" };
+
+/**
+ * Header bell with the unread count; opens the notification list
+ * (notifications.js) and the browser-reminder settings. `reminders` is
+ * { enabled, lead } with lead in minutes.
+ */
+export default function NotificationCenter({
+  notifications,
+  reminders,
+  onOpen,
+  onMarkAllRead,
+  onClear,
+  onRemindersChange,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const wrapRef = useRef(null);
+  const unread = notifications.filter((n) => !n.read).length;
+  const blocked = canNotify() && window.Notification.permission === "denied";
+
+  // click outside / Escape closes the panel
+  useEffect(() => {
+    if (!isOpen) return;
+    function onPointerDown(e) {
+      if (!wrapRef.current?.contains(e.target)) setIsOpen(false);
+    }
+    function onKeyDown(e) {
+      if (e.key === "Escape") setIsOpen(false);
+    }
+    document.addEventListener("mousedown", onPointerDown);
+    window.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", onPointerDown);
+      window.removeEventListener("keydown", onKeyDown);
+    };
+  }, [isOpen]);
+
+  return (
+    <div ref={wrapRef} style={bellStyles.wrap}>
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        style={bellStyles.bell}
+        aria-expanded={isOpen}
+        aria-label={unread ? `Notifications (${unread} unread)` : "Notifications"}
+        title="Notifications"
+      >
+        🔔
+        {unread ? <span style={bellStyles.badge}>{unread > 9 ? "9+" : unread}</span> : null}
+      </button>
+
+      {isOpen ? (
+        <div style={bellStyles.panel} role="dialog" aria-label="Notifications">
+          <div style={styles.panelHeader}>
+            <strong>Notifications</strong>
+            <div style={{ display: "flex", gap: 10 }}>
+              {unread ? (
+                <button type="button" style={styles.linkBtn} onClick={onMarkAllRead}>
+                  mark all read
+                </button>
+              ) : null}
+              {notifications.length ? (
+                <button type="button" style={styles.linkBtn} onClick={onClear}>
+                  clear
+                </button>
+              ) : null}
+            </div>
+          </div>
+
+          {notifications.length === 0 ? (
+            <p style={styles.muted}>
+              Nothing new. New events from your hearted clubs, new requests and responses to
+              your requests show up here.
+            </p>
+          ) : (
+            <div style={bellStyles.list}>
+              {notifications.map((n) => (
+                <button
+                  key={n.id}
+                  type="button"
+                  onClick={() => {
+                    onOpen(n);
+                    setIsOpen(false);
+                  }}
+                  style={{ ...bellStyles.item, background: n.read ? "white" : "#f1f6ff" }}
+                >
+                  <span aria-hidden="true">{KIND_ICONS[n.kind] ?? "🔔"}</span>
+                  <span style={{ flex: 1, minWidth: 0 }}>
+                    <span style={{ display: "block", fontWeight: n.read ? 500 : 700 }}>
+                      {n.title}
+                    </span>
+                    {n.detail ? <span style={bellStyles.detail}>{n.detail}</span> : null}
+                  </span>
+                  <span style={bellStyles.when}>
+                    {new Date(n.at).toLocaleDateString([], { month: "short", day: "numeric" })}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div style={bellStyles.settings}>
+            {canNotify() ? (
+              <>
+                <label style={styles.checkLine}>
+                  <input
+                    type="checkbox"
+                    checked={reminders.enabled}
+                    disabled={blocked}
+                    onChange={(e) => onRemindersChange({ ...reminders, enabled: e.target.checked })}
+                  />
+                  Browser reminders for RSVP'd and hearted-club events
+                </label>
+                {reminders.enabled ? (
+                  <label style={{ ...styles.checkLine, marginTop: 6 }}>
+                    Remind me
+                    <select
+                      value={reminders.lead}
+                      onChange={(e) =>
+                        onRemindersChange({ ...reminders, lead: Number(e.target.value) })
+                      }
+                      style={{ ...styles.input, padding: "4px 8px" }}
+                    >
+                      {Object.entries(REMINDER_LEADS).map(([minutes, label]) => (
+                        <option key={minutes} value={minutes}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                    before
+                  </label>
+                ) : null}
+                <p style={{ ...styles.formHint, marginTop: 6 }}>
+                  {blocked
+                    ? "Notifications are blocked for this site in your browser settings."
+                    : "Reminders only go out while LoopedIn is open in a tab."}
+                </p>
+              </>
+            ) : (
+              <p style={styles.formHint}>This browser doesn't support notifications.</p>
+            )}
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+const bellStyles = {
+  wrap: { position: "relative" },
+  bell: {
+    position: "relative",
+    border: "1px solid #ddd",
+    background: "white",
+    borderRadius: 999,
+    width: 40,
+    height: 40,
+    cursor: "pointer",
+    fontSize: 18,
+  },
+  badge: {
+    position: "absolute",
+    top: -4,
+    right: -4,
+    minWidth: 18,
+    height: 18,
+    padding: "0 4px",
+    borderRadius: 999,
+    background: "#e11d48",
+    color: "white",
+    fontSize: 11,
+    fontWeight: 700,
+    lineHeight: "18px",
+  },
+  panel: {
+    position: "absolute",
+    right: 0,
+    top: 46,
+    zIndex: 20,
+    width: 340,
+    maxWidth: "90vw",
+    padding: 12,
+    border: "1px solid #eee",
+    borderRadius: 14,
+    background: "white",
+    boxShadow: "0 10px 30px rgba(0,0,0,0.12)",
+  },
+  list: { display: "grid", gap: 4, maxHeight: 320, overflowY: "auto", marginTop: 8 },
+  item: {
+    display: "flex",
+    alignItems: "flex-start",
+    gap: 8,
+    padding: "8px 10px",
+    border: "1px solid #eee",
+    borderRadius: 10,
+    cursor: "pointer",
+    textAlign: "left",
+    fontSize: 13,
+    color: "#111827",
+  },
+  detail: { display: "block", color: "#666", fontSize: 12, marginTop: 2 },
+  when: { color: "#888", fontSize: 11, whiteSpace: "nowrap" },
+  settings: { marginTop: 10, paddingTop: 10, borderTop: "1px solid #eee", fontSize: 13 },
+};
@@ -0,0 +1,90 @@
+import { styles } from "../styles.js";
+
+/** "Recommended for you" list from recommend.recommendClubs */
+export default function RecommendedClubs({
+  recommendations,
+  hasTaste,
+  dismissedCount,
+  onOpenClub,
+  onHeart,
+  onDismiss,
+  onResetDismissed,
+  onTakeQuiz,
+}) {
+  return (
+    <div style={{ marginTop: 18 }}>
+      <div style={styles.panelHeader}>
+        <h2 style={styles.h2}>✨ Recommended for you</h2>
+        <button type="button" style={styles.smallBtn} onClick={onTakeQuiz}>
+          {hasTaste ? "Tune" : "Take the quiz"}
+        </button>
+      </div>
+
+      {!hasTaste ? (
+        <p style={styles.muted}>
+          Heart a few clubs or take a 30-second quiz and we'll suggest similar ones.
+        </p>
+      ) : recommendations.length === 0 ? (
+        <p style={styles.muted}>No new suggestions right now.</p>
+      ) : (
+        <div style={styles.list}>
+          {recommendations.map(({ club, shared }) => (
+            <div key={club.id} style={recStyles.row}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <button
+                  type="button"
+                  onClick={() => onOpenClub(club)}
+                  style={{ ...styles.cardTitleButton, fontSize: 14 }}
+                  title="Open club profile"
+                >
+                  {club.name}
+                </button>
+                <div style={styles.suggestWhy}>shares: {shared.join(", ")}</div>
+              </div>
+
+              <button
+                type="button"
+                onClick={() => onHeart(club.id)}
+                style={styles.heartBtn}
+                title="Heart"
+                aria-label={`Heart ${club.name}`}
+              >
+                🤍
+              </button>
+              <button
+                type="button"
+                onClick={() => onDismiss(club.id)}
+                style={styles.xBtn}
+                title="Don't suggest this club again"
+                aria-label={`Dismiss ${club.name}`}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {dismissedCount ? (
+        <p style={styles.filterLine}>
+          {dismissedCount} dismissed{" "}
+          <button type="button" style={styles.linkBtn} onClick={onResetDismissed}>
+            show again
+          </button>
+        </p>
+      ) : null}
+    </div>
+  );
+}
+
+const recStyles = {
+  row: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    padding: "10px 12px",
+    border: "1px solid #eee",
+    borderRadius: 14,
+    background: "white",
+  },
+};
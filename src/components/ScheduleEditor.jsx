@@ -0,0 +1,182 @@
+import { styles } from "../styles.js";
+import { WEEKDAYS } from "../calendar.js";
+import { MEETING_FREQUENCIES, MONTH_WEEKS } from "../schema.js";
+import { compactSchedule, describeSchedule } from "../schedule.js";
+
+const FREQUENCY_LABELS = {
+  weekly: "Every week",
+  biweekly: "Every other week",
+  monthly: "Once a month",
+};
+const WEEK_LABELS = { 1: "First", 2: "Second", 3: "Third", 4: "Fourth", "-1": "Last" };
+// Monday first, like the rest of the schedule UI
+const DAY_BUTTONS = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Club meeting schedule picker (schedule.js model) with the rendered text as
+ * a preview. `legacyText` is a free-text meeting_time that couldn't be read;
+ * it's kept as written until a schedule is picked or it's removed.
+ */
+export default function ScheduleEditor({
+  schedule,
+  errors = {},
+  legacyText = "",
+  onChange,
+  onClearLegacy,
+}) {
+  const preview = describeSchedule(compactSchedule(schedule));
+
+  function update(patch) {
+    onChange({ ...schedule, ...patch });
+  }
+
+  function toggleDay(day) {
+    const days = schedule.days.includes(day)
+      ? schedule.days.filter((d) => d !== day)
+      : [...schedule.days, day];
+    update({ days });
+  }
+
+  const inputStyle = (field) =>
+    errors[field] ? { ...styles.input, ...styles.inputInvalid } : styles.input;
+  const fieldError = (field) =>
+    errors[field] ? <span style={styles.fieldError}>{errors[field]}</span> : null;
+
+  return (
+    <div style={styles.field}>
+      <span style={styles.fieldLabel}>Meeting schedule (optional)</span>
+
+      {legacyText && !preview ? (
+        <span style={styles.formHint}>
+          Currently “{legacyText}”, which we can't turn into a schedule. Pick the days and time
+          below, or{" "}
+          <button type="button" style={styles.linkBtn} onClick={onClearLegacy}>
+            remove it
+          </button>
+          .
+        </span>
+      ) : null}
+
+      <div style={scheduleStyles.days} role="group" aria-label="Meeting days">
+        {DAY_BUTTONS.map((day) => {
+          const active = schedule.days.includes(day);
+          return (
+            <button
+              key={day}
+              type="button"
+              aria-pressed={active}
+              onClick={() => toggleDay(day)}
+              style={{
+                ...styles.chip,
+                background: active ? "#eaf2ff" : "white",
+                borderColor: active ? "#3d8cfb" : "#ddd",
+              }}
+            >
+              {WEEKDAYS[day]}
+            </button>
+          );
+        })}
+      </div>
+      {fieldError("days")}
+
+      <div style={styles.twoCol}>
+        <label style={styles.field}>
+          <span style={styles.formHint}>How often</span>
+          <select
+            value={schedule.frequency}
+            onChange={(e) => update({ frequency: e.target.value })}
+            style={inputStyle("frequency")}
+          >
+            {MEETING_FREQUENCIES.map((f) => (
+              <option key={f} value={f}>
+                {FREQUENCY_LABELS[f]}
+              </option>
+            ))}
+          </select>
+        </label>
+        {schedule.frequency === "monthly" ? (
+          <label style={styles.field}>
+            <span style={styles.formHint}>Which week</span>
+            <select
+              value={schedule.week ?? 1}
+              onChange={(e) => update({ week: Number(e.target.value) })}
+              style={inputStyle("week")}
+            >
+              {MONTH_WEEKS.map((w) => (
+                <option key={w} value={w}>
+                  {WEEK_LABELS[w]}
+                </option>
+              ))}
+            </select>
+            {fieldError("week")}
+          </label>
+        ) : null}
+      </div>
+
+      <div style={styles.twoCol}>
+        <label style={styles.field}>
+          <span style={styles.formHint}>Starts</span>
+          <input
+            type="time"
+            value={schedule.start ?? ""}
+            onChange={(e) => update({ start: e.target.value })}
+            style={inputStyle("start")}
+          />
+          {fieldError("start")}
+        </label>
+        <label style={styles.field}>
+          <span style={styles.formHint}>Ends (optional)</span>
+          <input
+            type="time"
+            value={schedule.end ?? ""}
+            onChange={(e) => update({ end: e.target.value })}
+            style={inputStyle("end")}
+          />
+          {fieldError("end")}
+        </label>
+      </div>
+      {schedule.start && schedule.end && schedule.end < schedule.start ? (
+        <label style={styles.checkLine}>
+          <input
+            type="checkbox"
+            checked={Boolean(schedule.overnight)}
+            onChange={(e) => update({ overnight: e.target.checked })}
+          />
+          Ends after midnight
+        </label>
+      ) : null}
+
+      <div style={styles.twoCol}>
+        <label style={styles.field}>
+          <span style={styles.formHint}>
+            First meeting{schedule.frequency === "biweekly" ? "" : " (optional)"}
+          </span>
+          <input
+            type="date"
+            value={schedule.starts_on ?? ""}
+            onChange={(e) => update({ starts_on: e.target.value })}
+            style={inputStyle("starts_on")}
+          />
+          {fieldError("starts_on")}
+        </label>
+        <label style={styles.field}>
+          <span style={styles.formHint}>Last meeting (optional)</span>
+          <input
+            type="date"
+            value={schedule.ends_on ?? ""}
+            min={schedule.starts_on || undefined}
+            onChange={(e) => update({ ends_on: e.target.value })}
+            style={inputStyle("ends_on")}
+          />
+          {fieldError("ends_on")}
+        </label>
+      </div>
+
+      {preview ? <span style={styles.formHint}>🗓️ {preview}</span> : null}
+    </div>
+  );
+}
+
+const scheduleStyles = {
+  days: { display: "flex", gap: 6, flexWrap: "wrap" },
+};
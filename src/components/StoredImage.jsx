@@ -0,0 +1,49 @@
+import { useEffect, useState } from "react";
+import { imageStore } from "../imageStore.js";
+
+/**
+ * <img> for any image a record can hold: plain links, server uploads, and
+ * demo-mode "idb:" refs (read from IndexedDB first). `thumb` prefers the
+ * small version where one exists. Broken or missing images show a placeholder.
+ */
+export default function StoredImage({ src, thumb = false, alt, style, ...rest }) {
+  const direct = imageStore.url(src, { thumb });
+  const [loaded, setLoaded] = useState({ src: null, url: null, failed: false });
+  const [brokenUrl, setBrokenUrl] = useState(null); // <img> that failed to load
+
+  useEffect(() => {
+    if (direct) return;
+    let cancelled = false;
+    imageStore.load(src, { thumb }).then(
+      (url) => !cancelled && setLoaded({ src, url, failed: false }),
+      () => !cancelled && setLoaded({ src, url: null, failed: true })
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [src, thumb, direct]);
+
+  const current = loaded.src === src ? loaded : { url: null, failed: false };
+  const url = direct ?? current.url;
+  const failed = current.failed || (url && url === brokenUrl);
+
+  if (!url || failed) {
+    return (
+      <div role="img" aria-label={alt} style={{ ...style, ...imageStyles.placeholder }}>
+        {failed ? "🖼️ Image unavailable" : null}
+      </div>
+    );
+  }
+  return <img src={url} alt={alt} style={style} onError={() => setBrokenUrl(url)} {...rest} />;
+}
+
+const imageStyles = {
+  placeholder: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    background: "#f2f4f7",
+    color: "#98a2b3",
+    fontSize: 12,
+  },
+};
@@ -0,0 +1,300 @@
+// dataSource.js
+// Where clubs, vendors, requests and RSVPs come from. Components never import the
+// seed JSON directly; they go through one of these (via useData):
+//
+//   local: seed JSON + records added in this browser (localStorage) — demo mode
+//   api:   the REST server in /server (`npm run server`)
+//
+// Pick with VITE_DATA_SOURCE=api (and optionally VITE_API_URL, default "/api").
+// Every method is async and rejects with a DataSourceError.
+import clubsData from "./clubs.json";
+import vendorsData from "./vendors.json";
+import requestsData from "./requests.json";
+import { newId } from "./ids.js";
+import { getOwnerToken, withOwnership } from "./owner.js";
+import { LIFECYCLE_FIELDS, isOpenForResponses, withResponse } from "./requestStatus.js";
+import { checkRecords, describeErrors } from "./schema.js";
+import { readJson, subscribeToKeys, writeJson } from "./storage.js";
+
+export const COLLECTIONS = ["clubs", "vendors", "requests", "rsvps"];
+
+// seed JSON is checked once at startup: unusable records are dropped, the rest
+// coerced into shapes the UI can render, and every problem is reported
+const SEED_CHECK = {
+  clubs: checkRecords("clubs", clubsData),
+  vendors: checkRecords("vendors", vendorsData),
+  requests: checkRecords("requests", requestsData),
+  rsvps: checkRecords("rsvps", []), // nothing ships; they're all made in the app
+};
+
+const SEED = Object.fromEntries(COLLECTIONS.map((name) => [name, SEED_CHECK[name].records]));
+
+/** Invalid seed records: [{ collection, index, id, name, errors, dropped }] */
+export const seedProblems = COLLECTIONS.flatMap((name) =>
+  SEED_CHECK[name].problems.map((p) => ({ collection: name, ...p }))
+);
+
+if (seedProblems.length) {
+  console.warn(
+    `${seedProblems.length} invalid seed record(s):\n` +
+      seedProblems
+        .map((p) => {
+          const label = `${p.collection}[${p.index}] ${p.name ?? p.id ?? ""}`;
+          return `  ${label}: ${describeErrors(p.errors)}${p.dropped ? " (dropped)" : ""}`;
+        })
+        .join("\n")
+  );
+}
+
+// localStorage keys for user-added records (kept from the pre-data-layer app)
+const USER_KEYS = {
+  clubs: "userClubs",
+  vendors: "userVendors",
+  requests: "userRequests",
+  rsvps: "userRsvps",
+};
+
+// changes to seed records are kept here, per collection and id
+const SEED_PATCHES_KEY = "seedPatches";
+
+// the only fields of a seed record demo mode lets you change (request lifecycle);
+// responses are written by addResponse, which checks who's responding
+const SEED_EDITABLE = { requests: LIFECYCLE_FIELDS };
+
+export class DataSourceError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "DataSourceError";
+    this.status = status;
+  }
+}
+
+/** True for records that ship with the app (src/*.json) */
+export function isSeedRecord(name, id) {
+  return (SEED[name] ?? []).some((x) => String(x.id) === String(id));
+}
+
+// computed per viewer; never stored
+function stripClientFields(record) {
+  const { owned: _owned, owner_token: _ownerToken, ...rest } = record;
+  return rest;
+}
+
+// events live inside their club; like the server, give each one an id when
+// it's saved so RSVPs and calendar UIDs survive edits to its title or date
+function withEventIds(name, record) {
+  if (name !== "clubs" || !Array.isArray(record.upcoming_events)) return record;
+  return {
+    ...record,
+    upcoming_events: record.upcoming_events.map((ev) =>
+      ev?.id != null ? ev : { ...ev, id: newId("events") }
+    ),
+  };
+}
+
+function assertCollection(name) {
+  if (!COLLECTIONS.includes(name)) throw new DataSourceError(`Unknown collection "${name}"`);
+}
+
+/**
+ * Demo mode: seed records are read-only, user records live in localStorage
+ * and can only be changed by the browser that created them.
+ */
+export function createLocalDataSource(storage = window.localStorage) {
+  const token = getOwnerToken(storage);
+
+  function readUser(name) {
+    const parsed = readJson(USER_KEYS[name], [], storage);
+    return Array.isArray(parsed) ? parsed : [];
+  }
+
+  // storage.js explains quota / disabled-storage failures; surface them as ours
+  function save(key, value) {
+    try {
+      writeJson(key, value, storage);
+    } catch (err) {
+      throw new DataSourceError(err.message);
+    }
+  }
+
+  function writeUser(name, items) {
+    save(USER_KEYS[name], items);
+  }
+
+  function readSeedPatches() {
+    return readJson(SEED_PATCHES_KEY, {}, storage) ?? {};
+  }
+
+  function seedWithPatches(name) {
+    const patches = readSeedPatches()[name] ?? {};
+    return SEED[name].map((r) => (patches[r.id] ? { ...r, ...patches[r.id], id: r.id } : r));
+  }
+
+  function patchSeed(name, id, patch, { checkEditable = true } = {}) {
+    const editable = SEED_EDITABLE[name] ?? [];
+    if (checkEditable && !Object.keys(patch).every((k) => editable.includes(k))) {
+      throw new DataSourceError("Seed records are read-only in demo mode.", 403);
+    }
+
+    const all = readSeedPatches();
+    const forName = { ...(all[name] ?? {}) };
+    forName[id] = { ...(forName[id] ?? {}), ...patch };
+    save(SEED_PATCHES_KEY, { ...all, [name]: forName });
+    return seedWithPatches(name).find((r) => String(r.id) === String(id));
+  }
+
+  function findUserIndex(name, id, { checkOwner = true } = {}) {
+    const items = readUser(name);
+    const idx = items.findIndex((x) => String(x.id) === String(id));
+    if (idx === -1) throw new DataSourceError(`No ${name.slice(0, -1)} with id ${id}`, 404);
+
+    if (checkOwner && items[idx].owner_token && items[idx].owner_token !== token) {
+      throw new DataSourceError(
+        `Only the browser that added this ${name.slice(0, -1)} can change it.`,
+        403
+      );
+    }
+    return [items, idx];
+  }
+
+  return {
+    kind: "local",
+
+    async list(name) {
+      assertCollection(name);
+      return [...seedWithPatches(name), ...readUser(name)].map((r) => withOwnership(r, token));
+    },
+
+    async create(name, item) {
+      assertCollection(name);
+      const record = { ...withEventIds(name, stripClientFields(item)), owner_token: token };
+      writeUser(name, [record, ...readUser(name)]);
+      return withOwnership(record, token);
+    },
+
+    async update(name, id, patch) {
+      assertCollection(name);
+      const clean = withEventIds(name, stripClientFields(patch));
+      if (isSeedRecord(name, id)) return withOwnership(patchSeed(name, id, clean), token);
+
+      const [items, idx] = findUserIndex(name, id);
+      items[idx] = { ...items[idx], ...clean, id: items[idx].id };
+      writeUser(name, items);
+      return withOwnership(items[idx], token);
+    },
+
+    async remove(name, id) {
+      assertCollection(name);
+      if (isSeedRecord(name, id)) {
+        throw new DataSourceError("Seed records are read-only in demo mode.", 403);
+      }
+      const [items, idx] = findUserIndex(name, id);
+      const [removed] = items.splice(idx, 1);
+      writeUser(name, items);
+      return withOwnership(removed, token);
+    },
+
+    /** A vendor responds to an open request (only as a vendor this browser added) */
+    async addResponse(requestId, response) {
+      const current = (await this.list("requests")).find(
+        (r) => String(r.id) === String(requestId)
+      );
+      if (!current) throw new DataSourceError(`No request with id ${requestId}`, 404);
+      if (!isOpenForResponses(current)) {
+        throw new DataSourceError("This request is no longer taking responses.", 409);
+      }
+      const vendor = (await this.list("vendors")).find(
+        (v) => String(v.id) === String(response.vendor_id)
+      );
+      if (!vendor?.owned) {
+        throw new DataSourceError(
+          "Only the browser that added this vendor can respond as it.",
+          403
+        );
+      }
+
+      const { responses } = withResponse(current, response);
+      if (isSeedRecord("requests", requestId)) {
+        const patched = patchSeed("requests", requestId, { responses }, { checkEditable: false });
+        return withOwnership(patched, token);
+      }
+      // someone else's request: responses are the one thing a non-owner may write
+      const [items, idx] = findUserIndex("requests", requestId, { checkOwner: false });
+      items[idx] = { ...items[idx], responses };
+      writeUser("requests", items);
+      return withOwnership(items[idx], token);
+    },
+
+    /** Call `onChange(name)` when another tab changes a collection; returns unsubscribe */
+    subscribe(onChange) {
+      const byKey = Object.fromEntries(COLLECTIONS.map((name) => [USER_KEYS[name], [name]]));
+      byKey[SEED_PATCHES_KEY] = Object.keys(SEED_EDITABLE);
+
+      return subscribeToKeys(
+        Object.keys(byKey),
+        (key) => byKey[key].forEach((name) => onChange(name)),
+        storage
+      );
+    },
+  };
+}
+
+/** Talks to the REST server (server/index.js); ownership is checked server-side */
+export function createApiDataSource(baseUrl = "/api") {
+  const token = getOwnerToken();
+
+  async function request(method, path, body) {
+    let res;
+    try {
+      res = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          "X-Owner-Token": token,
+          ...(body ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body ? JSON.stringify(stripClientFields(body)) : undefined,
+      });
+    } catch {
+      throw new DataSourceError("Can't reach the LoopedIn server. Is it running?");
+    }
+
+    const data = await res.json().catch(() => null);
+    if (!res.ok) {
+      throw new DataSourceError(data?.error ?? `Request failed (${res.status})`, res.status);
+    }
+    return data;
+  }
+
+  return {
+    kind: "api",
+
+    async list(name) {
+      assertCollection(name);
+      return request("GET", `/${name}`);
+    },
+
+    async create(name, item) {
+      assertCollection(name);
+      return request("POST", `/${name}`, item);
+    },
+
+    async update(name, id, patch) {
+      assertCollection(name);
+      return request("PATCH", `/${name}/${encodeURIComponent(id)}`, patch);
+    },
+
+    async remove(name, id) {
+      assertCollection(name);
+      return request("DELETE", `/${name}/${encodeURIComponent(id)}`);
+    },
+
+    async addResponse(requestId, response) {
+      return request("POST", `/requests/${encodeURIComponent(requestId)}/responses`, response);
+    },
+  };
+}
+
+export const dataSource =
+  import.meta.env.VITE_DATA_SOURCE === "api"
+    ? createApiDataSource(import.meta.env.VITE_API_URL ?? "/api")
+    : createLocalDataSource();
@@ -0,0 +1,251 @@
+// facets.js
+// Facet filters for the vendors and requests lists (clubs use tags). Filter
+// state lives in the URL as route.filters (see router.js), e.g.
+//
+//   ?services=chai,boba&match=services&price=$   chai AND boba, priced $
+//   ?needs=halal&from=2026-03-01&to=2026-03-31   halal requests in March
+//
+// Within a facet, selected values match ANY by default; facets named in
+// `match` match ALL. Different facets always combine with AND.
+import { parseDate } from "./calendar.js";
+import { REQUEST_STATUSES, STATUS_LABELS, requestStatus } from "./requestStatus.js";
+import { canonicalTag, expandTags } from "./taxonomy.js";
+import { PRICE_RANGES } from "./schema.js";
+
+// tags/services that answer "can everyone eat this?"
+export const DIETARY_TAGS = [
+  "halal",
+  "kosher",
+  "vegetarian",
+  "vegan",
+  "gluten-free",
+  "nut-free",
+  "dairy-free",
+];
+
+/** Param listing the facets whose values must ALL match */
+export const MATCH_PARAM = "match";
+
+/** Params of the date-range facet */
+export const RANGE_PARAMS = { from: "from", to: "to" };
+
+function normalize(s) {
+  return (s ?? "").toString().trim().toLowerCase();
+}
+
+function list(value) {
+  if (value == null || value === "") return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Facet definitions: { key (URL param), label, values(item) -> string[],
+ * multi (item can have several values, so AND makes sense), tags (values are
+ * taxonomy tags, compared by canonical name), order?, format? }
+ * Tag facets use canonical tags plus parents, so "beverages" finds chai vendors.
+ */
+export const VENDOR_FACETS = [
+  {
+    key: "services",
+    label: "Services",
+    values: (v) => expandTags(list(v.services)),
+    multi: true,
+    tags: true,
+  },
+  { key: "price", label: "Price", values: (v) => list(v.price_range), order: PRICE_RANGES },
+  {
+    key: "availability",
+    label: "Availability",
+    values: (v) => list(v.availability),
+    multi: true,
+  },
+  {
+    key: "dietary",
+    label: "Dietary",
+    values: (v) =>
+      [...list(v.tags), ...list(v.services)]
+        .map(canonicalTag)
+        .filter((t) => DIETARY_TAGS.includes(t)),
+    multi: true,
+    order: DIETARY_TAGS,
+    tags: true,
+  },
+];
+
+export const REQUEST_FACETS = [
+  { key: "needs", label: "Needs", values: (r) => expandTags(list(r.needs)), multi: true, tags: true },
+  { key: "budget", label: "Budget", values: (r) => list(r.budget), order: PRICE_RANGES },
+  {
+    key: "status",
+    label: "Status",
+    values: (r) => [requestStatus(r)],
+    order: REQUEST_STATUSES,
+    format: (value) => STATUS_LABELS[value] ?? value,
+  },
+];
+
+export const FACETS = { vendors: VENDOR_FACETS, requests: REQUEST_FACETS };
+
+/** Modes with a date-range filter, and the date field it reads */
+export const DATE_RANGE_FIELD = { requests: "date" };
+
+function selected(filters, key) {
+  return filters?.[key] ?? [];
+}
+
+function matchesAll(filters, key) {
+  return selected(filters, MATCH_PARAM).includes(key);
+}
+
+// how two values of this facet are compared
+function keyFor(facet) {
+  return facet.tags ? canonicalTag : normalize;
+}
+
+function matchesFacet(item, facet, filters) {
+  const key = keyFor(facet);
+  // values that normalize to nothing (junk in the URL, "?needs=%20") don't filter
+  const wanted = selected(filters, facet.key).map(key).filter(Boolean);
+  if (!wanted.length) return true;
+
+  const have = new Set(facet.values(item).map(key));
+  return matchesAll(filters, facet.key)
+    ? wanted.every((w) => have.has(w))
+    : wanted.some((w) => have.has(w));
+}
+
+function matchesDateRange(item, field, filters) {
+  const [from] = selected(filters, RANGE_PARAMS.from);
+  const [to] = selected(filters, RANGE_PARAMS.to);
+  if (!field || (!from && !to)) return true;
+
+  const day = parseDate(item[field]);
+  if (!day) return false;
+  if (from && parseDate(from) && day < parseDate(from)) return false;
+  if (to && parseDate(to) && day > parseDate(to)) return false;
+  return true;
+}
+
+/** Items matching every facet (and the date range), optionally ignoring one facet */
+export function applyFacets(items, mode, filters, { except } = {}) {
+  const facets = (FACETS[mode] ?? []).filter((f) => f.key !== except);
+  const dateField = DATE_RANGE_FIELD[mode];
+  return items.filter(
+    (item) =>
+      facets.every((f) => matchesFacet(item, f, filters)) &&
+      matchesDateRange(item, dateField, filters)
+  );
+}
+
+function sortOptions(options, facet) {
+  if (facet.order) {
+    const rank = (o) => {
+      const idx = facet.order.indexOf(normalize(o.value));
+      return idx === -1 ? facet.order.length : idx;
+    };
+    return options.sort((a, b) => rank(a) - rank(b) || a.value.localeCompare(b.value));
+  }
+  return options.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+/**
+ * Options per facet: { [key]: [{ value, label, count, selected }] }.
+ * Every value present in `items` is listed; counts are how many items would
+ * match if that value were picked (OR facets ignore their own selection,
+ * AND facets narrow further).
+ */
+export function facetCounts(items, mode, filters) {
+  const result = {};
+
+  for (const facet of FACETS[mode] ?? []) {
+    const key = keyFor(facet);
+    const base = matchesAll(filters, facet.key)
+      ? applyFacets(items, mode, filters)
+      : applyFacets(items, mode, filters, { except: facet.key });
+
+    const options = new Map(); // normalized value -> option
+    const add = (value) => {
+      const k = key(value);
+      if (!k || options.has(k)) return;
+      options.set(k, {
+        value: String(value),
+        label: facet.format ? facet.format(value) : String(value),
+        count: 0,
+        selected: false,
+      });
+    };
+
+    items.forEach((item) => facet.values(item).forEach(add));
+    selected(filters, facet.key).forEach(add);
+
+    for (const item of base) {
+      new Set(facet.values(item).map(key)).forEach((k) => {
+        if (options.has(k)) options.get(k).count += 1;
+      });
+    }
+    for (const value of selected(filters, facet.key)) {
+      const option = options.get(key(value));
+      if (option) option.selected = true;
+    }
+
+    result[facet.key] = sortOptions([...options.values()], facet);
+  }
+
+  return result;
+}
+
+/** Filters with `value` added to / removed from facet `key` */
+export function toggleFacetValue(filters, key, value) {
+  const facet = Object.values(FACETS)
+    .flat()
+    .find((f) => f.key === key);
+  const compare = facet ? keyFor(facet) : normalize;
+  const same = (v) => compare(v) === compare(value);
+
+  const current = selected(filters, key);
+  const next = current.some(same) ? current.filter((v) => !same(v)) : [...current, value];
+  return withParam(filters, key, next);
+}
+
+/** Flip facet `key` between match-any and match-all */
+export function toggleFacetMatch(filters, key) {
+  const current = selected(filters, MATCH_PARAM);
+  const next = current.includes(key) ? current.filter((k) => k !== key) : [...current, key];
+  return withParam(filters, MATCH_PARAM, next);
+}
+
+/** Filters with the date range set ("" clears an end) */
+export function setDateRange(filters, { from, to }) {
+  let next = filters;
+  if (from !== undefined) next = withParam(next, RANGE_PARAMS.from, from ? [from] : []);
+  if (to !== undefined) next = withParam(next, RANGE_PARAMS.to, to ? [to] : []);
+  return next;
+}
+
+function withParam(filters, key, values) {
+  const next = { ...filters };
+  if (values.length) next[key] = values;
+  else delete next[key];
+  return next;
+}
+
+/** Human-readable active filters, e.g. ["Services: chai + boba", "Price: $ or $$"] */
+export function describeFilters(mode, filters) {
+  const parts = [];
+
+  for (const facet of FACETS[mode] ?? []) {
+    const values = selected(filters, facet.key);
+    if (!values.length) continue;
+    const labels = values.map((v) => (facet.format ? facet.format(normalize(v)) : v));
+    const joiner = matchesAll(filters, facet.key) ? " + " : " or ";
+    parts.push(`${facet.label}: ${labels.join(joiner)}`);
+  }
+
+  const [from] = selected(filters, RANGE_PARAMS.from);
+  const [to] = selected(filters, RANGE_PARAMS.to);
+  if (DATE_RANGE_FIELD[mode] && (from || to)) {
+    parts.push(`Date: ${from || "any"} – ${to || "any"}`);
+  }
+
+  return parts;
+}
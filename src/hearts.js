@@ -0,0 +1,84 @@
+// hearts.js
+// Organizing "Your Clubs": the order of heartedClubIds is the user's own
+// (drag to reorder), clubs can be filed into collections ("Career", "Fun"),
+// each club can carry a private note, and the list can be sorted by the
+// club's next event instead. All of it lives in localStorage:
+//
+//   heartedClubIds    [clubId]                              (order = "My order")
+//   heartCollections  [{ id, name, club_ids: [clubId] }]    a club can be in several
+//   clubNotes         { [clubId]: "talked to the president at the fair" }
+import { collectEvents, startOfDay } from "./calendar.js";
+import { newId } from "./ids.js";
+
+export const HEART_SORTS = { manual: "My order", next_event: "Next event" };
+
+/** `list` with the item at `from` moved to `to` */
+export function moveItem(list, from, to) {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+/** `ids` with `id` moved to where `targetId` is (ids are compared as strings) */
+export function moveId(ids, id, targetId) {
+  const index = (x) => ids.findIndex((y) => String(y) === String(x));
+  return moveItem(ids, index(id), index(targetId));
+}
+
+/** The day of a club's next upcoming event (today counts), or null */
+export function nextEventDay(club, now = new Date()) {
+  const today = startOfDay(now);
+  return collectEvents([club]).find((e) => e.day >= today)?.day ?? null;
+}
+
+/**
+ * Hearted clubs in the picked order. "next_event" puts the soonest event
+ * first; clubs with nothing coming up keep their own order at the end.
+ */
+export function sortHearted(clubs, sort, now = new Date()) {
+  if (sort !== "next_event") return clubs;
+  const next = new Map(clubs.map((c) => [c, nextEventDay(c, now)]));
+  return [...clubs].sort((a, b) => {
+    const da = next.get(a);
+    const db = next.get(b);
+    if (!da || !db) return Boolean(db) - Boolean(da);
+    return da - db;
+  });
+}
+
+/** A new, empty collection; null for a blank or taken name */
+export function createCollection(collections, name) {
+  const clean = name.trim();
+  const taken = collections.some((c) => c.name.toLowerCase() === clean.toLowerCase());
+  if (!clean || taken) return null;
+  return { id: newId("collections"), name: clean, club_ids: [] };
+}
+
+/** Put a club into a collection, or take it out if it's there */
+export function toggleInCollection(collections, collectionId, clubId) {
+  return collections.map((c) => {
+    if (c.id !== collectionId) return c;
+    const has = c.club_ids.some((id) => String(id) === String(clubId));
+    return {
+      ...c,
+      club_ids: has
+        ? c.club_ids.filter((id) => String(id) !== String(clubId))
+        : [...c.club_ids, clubId],
+    };
+  });
+}
+
+/** Collections without a club (when it is deleted) */
+export function withoutClub(collections, clubId) {
+  return collections.map((c) => ({
+    ...c,
+    club_ids: c.club_ids.filter((id) => String(id) !== String(clubId)),
+  }));
+}
+
+/** True when `clubId` is filed under the collection */
+export function inCollection(collection, clubId) {
+  return collection.club_ids.some((id) => String(id) === String(clubId));
+}
@@ -0,0 +1,236 @@
+// ics.js
+// RFC 5545 iCalendar export for club events (single event, one club, or the
+// hearted "Your Clubs" set), plus clubs' regular meetings. UIDs come from the
+// event's id (see rsvp.js), so re-importing an event updates it instead of
+// duplicating it, even after its title or date changed.
+import {
+  addDays,
+  collectEvents,
+  MAX_OCCURRENCES,
+  parseDate,
+  REPEAT_INTERVALS,
+} from "./calendar.js";
+import {
+  clubSchedule,
+  describeSchedule,
+  meetingFrequency,
+  meetingTimes,
+  nextMeetingDay,
+} from "./schedule.js";
+
+const PRODID = "-//LoopedIn//UIC Club Spotlight//EN";
+const UID_DOMAIN = "loopedin.uic";
+const BYDAY = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+export function slugify(s) {
+  return (s ?? "")
+    .toString()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/** Stable per event: its id; only id-less seed events use club id + title + date */
+export function eventUid(club, event) {
+  if (event?.id) return `event-${event.id}@${UID_DOMAIN}`;
+  const title = slugify(event?.title) || "event";
+  return `club-${club.id}-${title}-${event?.date ?? "undated"}@${UID_DOMAIN}`;
+}
+
+/** Escape TEXT values (RFC 5545 §3.3.11) */
+export function escapeText(s) {
+  return (s ?? "")
+    .toString()
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Fold content lines longer than 75 octets (RFC 5545 §3.1) */
+export function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const out = [];
+  let cur = "";
+  let curBytes = 0;
+  for (const ch of line) {
+    const bytes = encoder.encode(ch).length;
+    // continuation lines start with a space, which counts toward the 75
+    const limit = out.length === 0 ? 75 : 74;
+    if (curBytes + bytes > limit) {
+      out.push(cur);
+      cur = "";
+      curBytes = 0;
+    }
+    cur += ch;
+    curBytes += bytes;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function formatDate(d) {
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+}
+
+/** Floating local time: the event happens at that wall-clock time wherever you are */
+function formatLocalDateTime(d) {
+  return `${formatDate(d)}T${pad(d.getHours())}${pad(d.getMinutes())}00`;
+}
+
+function formatUtc(d) {
+  return d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function veventLines(entry, stamp) {
+  const { club, event } = entry;
+  const lines = ["BEGIN:VEVENT", `UID:${eventUid(club, event)}`, `DTSTAMP:${stamp}`];
+
+  if (entry.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(entry.day)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(addDays(entry.day, 1))}`);
+  } else {
+    lines.push(`DTSTART:${formatLocalDateTime(entry.start)}`);
+    if (entry.end) lines.push(`DTEND:${formatLocalDateTime(entry.end)}`);
+    else lines.push("DURATION:PT1H");
+  }
+
+  const rrule = repeatRule(event, entry.allDay);
+  if (rrule) lines.push(rrule);
+
+  lines.push(`SUMMARY:${escapeText(event.title || "Untitled event")}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+
+  const description = [event.description, `Hosted by ${club.name}`, event.link]
+    .filter(Boolean)
+    .join("\n\n");
+  lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+  if (event.link) lines.push(`URL:${event.link}`);
+  if (club.interests?.length) {
+    lines.push(`CATEGORIES:${club.interests.map(escapeText).join(",")}`);
+  }
+  // METHOD:PUBLISH events need an ORGANIZER (RFC 5546); CN is a quoted param
+  lines.push(`ORGANIZER;CN="${club.name.replace(/"/g, "'")}":${organizerUri(club)}`);
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// repeating events are one VEVENT with an RRULE, not one per occurrence
+function repeatRule(event, allDay) {
+  const interval = REPEAT_INTERVALS[event.repeat];
+  if (!interval) return null;
+
+  const until = parseDate(event.repeat_until);
+  // UNTIL has to be the same kind of value as DTSTART (a date, or floating local time)
+  const end = until
+    ? `UNTIL=${allDay ? formatDate(until) : `${formatDate(until)}T235959`}`
+    : `COUNT=${MAX_OCCURRENCES}`;
+  return `RRULE:FREQ=WEEKLY;INTERVAL=${interval / 7};${end}`;
+}
+
+// a club's regular meetings (schedule.js) as one repeating VEVENT, from the next one on
+function meetingLines(club, stamp, now) {
+  const schedule = clubSchedule(club);
+  const first = schedule && nextMeetingDay(schedule, now);
+  if (!first) return [];
+
+  const { start, end } = meetingTimes(schedule);
+  const at = (minutes) =>
+    new Date(first.getFullYear(), first.getMonth(), first.getDate(), 0, minutes);
+
+  const frequency = meetingFrequency(schedule);
+  const rule =
+    frequency === "monthly"
+      ? `FREQ=MONTHLY;BYDAY=${schedule.days.map((d) => `${schedule.week ?? 1}${BYDAY[d]}`)}`
+      : `FREQ=WEEKLY;INTERVAL=${frequency === "biweekly" ? 2 : 1};` +
+        `BYDAY=${schedule.days.map((d) => BYDAY[d])}`;
+  const until = parseDate(schedule.ends_on);
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:club-${club.id}-meetings@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatLocalDateTime(at(start))}`,
+    `DTEND:${formatLocalDateTime(at(end))}`,
+    `RRULE:${rule}${until ? `;UNTIL=${formatDate(until)}T235959` : ""}`,
+    `SUMMARY:${escapeText(`${club.name} meeting`)}`,
+  ];
+  if (club.location) lines.push(`LOCATION:${escapeText(club.location)}`);
+  const description = `${describeSchedule(schedule)}\n\nHosted by ${club.name}`;
+  lines.push(`DESCRIPTION:${escapeText(description)}`);
+  lines.push(`ORGANIZER;CN="${club.name.replace(/"/g, "'")}":${organizerUri(club)}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function organizerUri(club) {
+  if (club.contact?.startsWith("mailto:")) return club.contact;
+  return `mailto:noreply@${UID_DOMAIN}`;
+}
+
+/**
+ * Build a VCALENDAR from calendar entries (see calendar.collectEvents), plus
+ * the regular meetings of the `meetings` clubs. `now` is used for DTSTAMP and
+ * to start meeting series at the next meeting.
+ */
+export function buildCalendar(
+  entries,
+  { name = "LoopedIn events", now = new Date(), meetings = [] } = {}
+) {
+  const stamp = formatUtc(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...entries.filter((entry) => !entry.occurrence).flatMap((entry) => veventLines(entry, stamp)),
+    ...meetings.flatMap((club) => meetingLines(club, stamp, now)),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/** .ics for one event of a club */
+export function eventToIcs(club, event, opts) {
+  const entry = collectEvents([{ ...club, upcoming_events: [event] }]);
+  return buildCalendar(entry, { name: `${club.name}: ${event.title || "event"}`, ...opts });
+}
+
+/** .ics for all of one club's events and its regular meetings */
+export function clubToIcs(club, opts) {
+  return buildCalendar(collectEvents([club]), { name: club.name, meetings: [club], ...opts });
+}
+
+/**
+ * .ics for the events of several clubs (e.g. the hearted "Your Clubs" set);
+ * pass `meetings` to include clubs' regular meetings too
+ */
+export function clubsToIcs(clubs, name, opts) {
+  return buildCalendar(collectEvents(clubs), { name, ...opts });
+}
+
+/** MIME type for .ics downloads (transfer.downloadText) */
+export const ICS_TYPE = "text/calendar;charset=utf-8";
+
+/** Where the subscription feeds are served (see vite.config.js / the API server) */
+export const FEED_PATH = "/calendar.ics";
+
+export function clubFeedPath(club) {
+  return `/calendar/club-${club.id}.ics`;
+}
+
+/** webcal:// link calendar apps can subscribe to */
+export function webcalUrl(path, origin = window.location.origin) {
+  return origin.replace(/^https?:/, "webcal:") + path;
+}
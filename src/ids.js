@@ -0,0 +1,57 @@
+// ids.js
+// Ids for records created in the app: "<prefix>_<ULID>", e.g. "club_01JAB3…".
+// A ULID is a millisecond timestamp plus 80 random bits (Crockford base32), so
+// ids minted in different browsers, in imports, or on the server don't collide
+// with each other or with the small numeric ids of the seed JSON, and they
+// still sort by creation time.
+
+export const ID_PREFIXES = {
+  clubs: "club",
+  vendors: "vendor",
+  requests: "req",
+  responses: "resp",
+  rsvps: "rsvp",
+  events: "evt",
+  images: "img",
+  classes: "class",
+  collections: "coll",
+};
+
+const CROCKFORD = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+function randomBytes(count) {
+  const bytes = new Uint8Array(count);
+  if (globalThis.crypto?.getRandomValues) return globalThis.crypto.getRandomValues(bytes);
+  for (let i = 0; i < count; i++) bytes[i] = Math.floor(Math.random() * 256);
+  return bytes;
+}
+
+/** 26-character ULID: 10 characters of time, 16 of randomness */
+export function ulid(now = Date.now()) {
+  let time = "";
+  for (let t = now, i = 0; i < 10; i++, t = Math.floor(t / 32)) {
+    time = CROCKFORD[t % 32] + time;
+  }
+  // 256 is a multiple of 32, so `% 32` keeps every character equally likely
+  const random = Array.from(randomBytes(16), (b) => CROCKFORD[b % 32]).join("");
+  return time + random;
+}
+
+/** Fresh id for a record of `kind` (a key of ID_PREFIXES) */
+export function newId(kind) {
+  const prefix = ID_PREFIXES[kind];
+  if (!prefix) throw new Error(`No id prefix for "${kind}"`);
+  return `${prefix}_${ulid()}`;
+}
+
+/** True for ids minted by newId (optionally for one kind) */
+export function isGeneratedId(id, kind) {
+  const prefixes = kind ? [ID_PREFIXES[kind]] : Object.values(ID_PREFIXES);
+  const m = typeof id === "string" && id.match(/^([a-z]+)_([0-9A-HJKMNP-TV-Z]{26})$/);
+  return Boolean(m) && prefixes.includes(m[1]);
+}
+
+/** Numeric ids (1, "42"): the seed data's, and what older versions gave new records */
+export function isLegacyId(id) {
+  return typeof id === "number" || (typeof id === "string" && /^\d+$/.test(id));
+}
@@ -0,0 +1,99 @@
+// imagePipeline.js
+// Turns a picked or dropped file into what we store: the image scaled down to
+// a sensible size for its use and re-encoded (WebP, JPEG where the browser
+// can't write WebP), plus a small thumbnail for previews and grids.
+// Browser only (canvas); see imageStore.js for where the results go.
+
+/** Longest side, in px, per kind of image */
+export const IMAGE_SIZES = { logo: 512, banner: 1600, flyer: 1600, photo: 1600 };
+export const THUMB_SIZE = 320;
+export const MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+export const ACCEPTED_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+
+const QUALITY = 0.82;
+
+export class ImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImageError";
+  }
+}
+
+async function decode(file) {
+  if (globalThis.createImageBitmap) {
+    try {
+      return await createImageBitmap(file);
+    } catch {
+      // fall through to <img>, which some browsers decode more formats with
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } catch {
+    throw new ImageError(`Couldn't read "${file.name}" as an image.`);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/** Width/height scaled so the longest side is at most `max` (never scaled up) */
+export function fitWithin(width, height, max) {
+  const scale = Math.min(1, max / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+function toBlob(canvas, type) {
+  return new Promise((resolve) => canvas.toBlob(resolve, type, QUALITY));
+}
+
+async function encode(source, max) {
+  const { width, height } = fitWithin(source.width, source.height, max);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(source, 0, 0, width, height);
+
+  // browsers that can't encode WebP hand back a PNG instead; JPEG is smaller
+  let blob = await toBlob(canvas, "image/webp");
+  if (!blob || blob.type !== "image/webp") blob = await toBlob(canvas, "image/jpeg");
+  if (!blob) throw new ImageError("This browser couldn't compress the image.");
+  return { blob, width, height };
+}
+
+/**
+ * Resize + compress `file` for `kind` (a key of IMAGE_SIZES).
+ * Resolves to { full, thumb, width, height, name }; rejects with an ImageError.
+ */
+export async function processImage(file, kind) {
+  if (!ACCEPTED_TYPES.includes(file.type)) {
+    throw new ImageError(`"${file.name}" isn't a JPEG, PNG, WebP or GIF image.`);
+  }
+  if (file.size > MAX_UPLOAD_BYTES) {
+    throw new ImageError(`"${file.name}" is over ${MAX_UPLOAD_BYTES / 1024 / 1024} MB.`);
+  }
+
+  const source = await decode(file);
+  try {
+    const full = await encode(source, IMAGE_SIZES[kind] ?? IMAGE_SIZES.photo);
+    const thumb = await encode(source, THUMB_SIZE);
+    return {
+      full: full.blob,
+      thumb: thumb.blob,
+      width: full.width,
+      height: full.height,
+      name: file.name,
+    };
+  } finally {
+    source.close?.();
+  }
+}
@@ -0,0 +1,146 @@
+// imageStore.js
+// Where uploaded images live (see imagePipeline.js for how they're prepared).
+// Records only ever hold a string in logo_url / banner_url / flyers / photos:
+//
+//   local: "idb:img_<ULID>", a key into this browser's IndexedDB — demo mode
+//   api:   "<VITE_API_URL>/images/img_<ULID>", a file the API server keeps
+//
+// url() turns either (or a plain link) into something an <img> can show,
+// optionally the thumbnail; it returns null for "idb:" refs that haven't been
+// read yet, which load() does. Picked the same way as dataSource.js.
+import { newId } from "./ids.js";
+
+const LOCAL_PREFIX = "idb:";
+const DB_NAME = "loopedin-images";
+const STORE = "images";
+
+export class ImageStoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImageStoreError";
+  }
+}
+
+/** True for "idb:…" refs, which only mean something in the browser that saved them */
+export function isLocalImage(src) {
+  return typeof src === "string" && src.startsWith(LOCAL_PREFIX);
+}
+
+function promised(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/** Demo mode: image blobs (full + thumbnail) in IndexedDB */
+export function createLocalImageStore() {
+  let dbPromise = null;
+  const urls = new Map(); // "ref|thumb" -> object URL, made once per page
+
+  function db() {
+    dbPromise ??= new Promise((resolve, reject) => {
+      if (!globalThis.indexedDB) {
+        reject(new ImageStoreError("This browser can't store images (no IndexedDB)."));
+        return;
+      }
+      const open = indexedDB.open(DB_NAME, 1);
+      open.onupgradeneeded = () => open.result.createObjectStore(STORE, { keyPath: "id" });
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => reject(new ImageStoreError("Couldn't open the image storage."));
+    });
+    return dbPromise;
+  }
+
+  async function objectStore(mode) {
+    return (await db()).transaction(STORE, mode).objectStore(STORE);
+  }
+
+  return {
+    kind: "local",
+
+    /** Save a processed image; resolves to the ref to put on the record */
+    async save({ full, thumb, width, height, name }) {
+      const id = newId("images");
+      const created_at = new Date().toISOString();
+      try {
+        const store = await objectStore("readwrite");
+        await promised(store.put({ id, full, thumb, width, height, name, created_at }));
+      } catch (err) {
+        throw new ImageStoreError(
+          err?.name === "QuotaExceededError"
+            ? "This browser's storage is full, so the image wasn't saved."
+            : "Couldn't save the image in this browser."
+        );
+      }
+      return LOCAL_PREFIX + id;
+    },
+
+    /** URL for an <img> if known without reading IndexedDB, else null */
+    url(src, { thumb = false } = {}) {
+      if (!isLocalImage(src)) return src;
+      return urls.get(`${src}|${thumb ? "thumb" : "full"}`) ?? null;
+    },
+
+    /** Object URL for an "idb:" ref (made once per page); rejects when it's missing */
+    async load(src, { thumb = false } = {}) {
+      const known = this.url(src, { thumb });
+      if (known) return known;
+
+      const key = `${src}|${thumb ? "thumb" : "full"}`;
+      const store = await objectStore("readonly");
+      const record = await promised(store.get(src.slice(LOCAL_PREFIX.length)));
+      if (!record) throw new ImageStoreError("This image isn't stored in this browser.");
+      const url = URL.createObjectURL(thumb ? record.thumb : record.full);
+      urls.set(key, url);
+      return url;
+    },
+  };
+}
+
+function toDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/** Uploads to the API server (server/images.js), which serves them back */
+export function createApiImageStore(baseUrl = "/api") {
+  const uploaded = (src) => typeof src === "string" && src.startsWith(`${baseUrl}/images/img_`);
+
+  return {
+    kind: "api",
+
+    async save({ full, thumb }) {
+      let res;
+      try {
+        res = await fetch(`${baseUrl}/images`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ image: await toDataUrl(full), thumb: await toDataUrl(thumb) }),
+        });
+      } catch {
+        throw new ImageStoreError("Can't reach the LoopedIn server. Is it running?");
+      }
+      const data = await res.json().catch(() => null);
+      if (!res.ok) throw new ImageStoreError(data?.error ?? `Upload failed (${res.status})`);
+      return `${baseUrl}/images/${data.id}`;
+    },
+
+    url(src, { thumb = false } = {}) {
+      return thumb && uploaded(src) ? `${src}?size=thumb` : src;
+    },
+
+    async load(src, options) {
+      return this.url(src, options);
+    },
+  };
+}
+
+export const imageStore =
+  import.meta.env.VITE_DATA_SOURCE === "api"
+    ? createApiImageStore(import.meta.env.VITE_API_URL ?? "/api")
+    : createLocalImageStore();
@@ -0,0 +1,130 @@
+// matchmaking.js
+// Scores vendors against club requests (and the other way around).
+import { tokenize, termSimilarity } from "./search.js";
+import { parseDate, parseTimeRange } from "./calendar.js";
+import { isOpenForResponses } from "./requestStatus.js";
+import { canonicalTag, expandTags } from "./taxonomy.js";
+
+// how much each part of the match counts (adds up to 100)
+const NEEDS_POINTS = 60;
+const BUDGET_POINTS = 20;
+const AVAILABILITY_POINTS = 20;
+
+function priceLevel(s) {
+  const n = (s ?? "").toString().split("").filter((ch) => ch === "$").length;
+  return n || null;
+}
+
+function matchNeed(need, offered) {
+  const needWords = tokenize(need);
+  if (needWords.length === 0) return null;
+
+  const canonical = canonicalTag(need);
+  for (const item of offered) {
+    // "drinks" is met by a chai vendor (chai -> beverages)
+    if (expandTags([item]).includes(canonical)) return item;
+
+    const words = tokenize(item);
+    const hit = needWords.every((nw) => words.some((w) => termSimilarity(nw, w) >= 0.7));
+    if (hit) return item;
+  }
+  return null;
+}
+
+function scoreNeeds(req, vendor, reasons) {
+  const needs = req.needs?.length ? req.needs : tokenize(req.title);
+  const offered = [...(vendor.services || []), ...(vendor.tags || [])];
+  if (needs.length === 0 || offered.length === 0) return { points: 0, matched: [], missing: needs };
+
+  const matched = [];
+  const missing = [];
+  for (const need of needs) {
+    if (matchNeed(need, offered)) matched.push(need);
+    else missing.push(need);
+  }
+
+  if (matched.length) reasons.push(`offers ${matched.join(", ")}`);
+  return {
+    points: Math.round((matched.length / needs.length) * NEEDS_POINTS),
+    matched,
+    missing,
+  };
+}
+
+function scoreBudget(req, vendor, reasons) {
+  const budget = priceLevel(req.budget);
+  const price = priceLevel(vendor.price_range);
+  if (!budget || !price) return BUDGET_POINTS / 2;
+
+  if (price <= budget) {
+    reasons.push(`fits budget (${vendor.price_range} ≤ ${req.budget})`);
+    return BUDGET_POINTS;
+  }
+  if (price === budget + 1) {
+    reasons.push(`slightly over budget (${vendor.price_range})`);
+    return BUDGET_POINTS / 4;
+  }
+  reasons.push(`over budget (${vendor.price_range})`);
+  return 0;
+}
+
+function scoreAvailability(req, vendor, reasons) {
+  const avail = (vendor.availability || []).map((a) => a.toString().toLowerCase());
+  const day = parseDate(req.date)?.getDay() ?? null;
+  const hour = parseTimeRange(req.time_window)?.start.hours ?? null;
+  if (avail.length === 0 || (day === null && hour === null)) return AVAILABILITY_POINTS / 2;
+
+  const wants = [];
+  if (day !== null) wants.push(day === 0 || day === 6 ? "weekends" : "weekdays");
+  if (hour !== null && hour >= 17) wants.push("evenings");
+
+  const ok = wants.filter((w) => avail.includes(w));
+  if (ok.length === wants.length) {
+    reasons.push(`available ${wants.join(" + ")}`);
+    return AVAILABILITY_POINTS;
+  }
+  if (ok.length) {
+    reasons.push(`available ${ok.join(", ")} (not ${wants.filter((w) => !ok.includes(w)).join(", ")})`);
+    return AVAILABILITY_POINTS / 2;
+  }
+  reasons.push(`only ${avail.join(", ")}`);
+  return 0;
+}
+
+/**
+ * Score a vendor for a request, 0..100.
+ * Returns { score, reasons, matchedNeeds, missingNeeds }.
+ */
+export function scoreVendorForRequest(vendor, req) {
+  const reasons = [];
+  const needs = scoreNeeds(req, vendor, reasons);
+  const budget = scoreBudget(req, vendor, reasons);
+  const availability = scoreAvailability(req, vendor, reasons);
+
+  return {
+    // no overlap in what they need vs what the vendor offers = not a match
+    score: needs.matched.length ? Math.round(needs.points + budget + availability) : 0,
+    reasons,
+    matchedNeeds: needs.matched,
+    missingNeeds: needs.missing,
+  };
+}
+
+/** Top vendors for a request: [{ vendor, score, reasons, ... }] best first */
+export function suggestVendors(req, vendors, limit = 3) {
+  return vendors
+    .map((vendor) => ({ vendor, ...scoreVendorForRequest(vendor, req) }))
+    .filter((m) => m.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/** Open requests a vendor could serve: [{ req, score, reasons, ... }] best first */
+export function suggestRequests(vendor, requests, limit = 5) {
+  return requests
+    .filter((req) => isOpenForResponses(req))
+    .map((req) => ({ req, ...scoreVendorForRequest(vendor, req) }))
+    .filter((m) => m.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
@@ -0,0 +1,166 @@
+// myWeek.js
+// "My Week": the user's classes, hearted clubs' meetings (schedule.js) and
+// their upcoming_events (calendar.js) laid out on one week, with overlaps
+// flagged, the free time between them, and other clubs whose meetings fit.
+//
+// Times are minutes after midnight on `day` (a local Date at midnight).
+// Classes are stored in localStorage ("classSchedule") as
+// { id, title, days, start: "HH:MM", end: "HH:MM" }.
+import { addDays, collectEvents, dayKey, parseTimeRange } from "./calendar.js";
+import { clubSchedule, meetingDays, meetingTimes, validateSchedule } from "./schedule.js";
+
+// the part of the day the grid shows and free slots are looked for in
+export const DAY_START = 8 * 60;
+export const DAY_END = 22 * 60;
+// shorter gaps aren't worth calling free
+export const MIN_FREE_MINUTES = 30;
+
+function minutesOf(date) {
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+function toMinutes(text) {
+  const time = parseTimeRange(text)?.start;
+  return time ? time.hours * 60 + time.minutes : null;
+}
+
+/** Field -> message for a class from the My Week form */
+export function validateClass(entry) {
+  const errors = validateSchedule({ ...entry, frequency: "weekly" });
+  if (!entry.title?.trim()) errors.title = "Required.";
+  if (!entry.end && !errors.end) errors.end = "Required.";
+  return errors;
+}
+
+/**
+ * Everything on the week starting `weekStart` (a Sunday at midnight):
+ * { key, kind: class | meeting | event, title, club, day, start, end }.
+ * Events without a readable time go to `allDay` instead; they can't clash.
+ */
+export function weekBlocks({ weekStart, classes = [], clubs = [] }) {
+  const weekEnd = addDays(weekStart, 6);
+  const blocks = [];
+  const allDay = [];
+
+  for (const entry of classes) {
+    const start = toMinutes(entry.start);
+    const end = toMinutes(entry.end);
+    if (start === null || end === null || end <= start) continue;
+    for (const d of entry.days ?? []) {
+      const day = addDays(weekStart, d);
+      const key = `class-${entry.id}-${d}`;
+      blocks.push({ key, kind: "class", title: entry.title, day, start, end });
+    }
+  }
+
+  for (const club of clubs) {
+    const schedule = clubSchedule(club);
+    if (!schedule) continue;
+    const { start, end } = meetingTimes(schedule);
+    for (const day of meetingDays(schedule, weekStart, weekEnd)) {
+      blocks.push({
+        key: `meeting-${club.id}-${dayKey(day)}`,
+        kind: "meeting",
+        title: `${club.name} meeting`,
+        club,
+        day,
+        start,
+        end: Math.min(end, 24 * 60),
+      });
+    }
+  }
+
+  for (const entry of collectEvents(clubs)) {
+    if (entry.day < weekStart || entry.day > weekEnd) continue;
+    const block = {
+      key: `event-${entry.key}`,
+      kind: "event",
+      title: entry.event.title || "Untitled event",
+      club: entry.club,
+      day: entry.day,
+    };
+    if (entry.allDay) {
+      allDay.push(block);
+      continue;
+    }
+    const start = minutesOf(entry.start);
+    // no end: an hour; ends after midnight: the rest of the day
+    let end = Math.min(start + 60, 24 * 60);
+    if (entry.end) {
+      end = entry.end.getDate() === entry.day.getDate() ? minutesOf(entry.end) : 24 * 60;
+    }
+    blocks.push({ ...block, start, end });
+  }
+
+  blocks.sort((a, b) => a.day - b.day || a.start - b.start || a.end - b.end);
+  return { blocks, allDay };
+}
+
+function overlaps(a, b) {
+  return a.day.getTime() === b.day.getTime() && a.start < b.end && b.start < a.end;
+}
+
+/** Pairs of blocks that overlap: [{ a, b, day, start, end }], start–end being the overlap */
+export function findConflicts(blocks) {
+  const conflicts = [];
+  for (let i = 0; i < blocks.length; i++) {
+    for (let j = i + 1; j < blocks.length; j++) {
+      const a = blocks[i];
+      const b = blocks[j];
+      if (!overlaps(a, b)) continue;
+      conflicts.push({
+        a,
+        b,
+        day: a.day,
+        start: Math.max(a.start, b.start),
+        end: Math.min(a.end, b.end),
+      });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Gaps of at least MIN_FREE_MINUTES between DAY_START and DAY_END on each
+ * day of the week: [{ day, start, end }].
+ */
+export function freeSlots(blocks, weekStart) {
+  const slots = [];
+  for (let d = 0; d < 7; d++) {
+    const day = addDays(weekStart, d);
+    const busy = blocks.filter((b) => b.day.getTime() === day.getTime());
+
+    let t = DAY_START;
+    for (const block of busy) {
+      if (block.start - t >= MIN_FREE_MINUTES) slots.push({ day, start: t, end: block.start });
+      t = Math.max(t, block.end);
+    }
+    if (DAY_END - t >= MIN_FREE_MINUTES) slots.push({ day, start: t, end: DAY_END });
+  }
+  return slots;
+}
+
+/**
+ * Clubs from `candidates` that meet this week and whose every meeting lands
+ * in a free slot, in the order given (e.g. recommendations first), as
+ * [{ club, days }] with the days they'd meet.
+ */
+export function suggestClubs(candidates, blocks, weekStart) {
+  const slots = freeSlots(blocks, weekStart);
+  const weekEnd = addDays(weekStart, 6);
+  const out = [];
+
+  for (const club of candidates) {
+    const schedule = clubSchedule(club);
+    if (!schedule) continue;
+    const days = meetingDays(schedule, weekStart, weekEnd);
+    if (!days.length) continue;
+
+    const { start, end } = meetingTimes(schedule);
+    const fits = days.every((day) =>
+      slots.some((s) => s.day.getTime() === day.getTime() && s.start <= start && end <= s.end)
+    );
+    if (fits) out.push({ club, days });
+  }
+  return out;
+}
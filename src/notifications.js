@@ -0,0 +1,267 @@
+// notifications.js
+// The header bell. Each time data loads (or changes), it's compared with what
+// this browser saw last time ("lastSeen"), and what's new becomes a
+// notification:
+//
+//   event     a hearted club posted an event
+//   request   someone else posted a vendor request
+//   response  a vendor responded to one of your requests
+//   reminder  an RSVP'd or hearted-club event starts soon (see sendReminders)
+//
+// The first load only records what's there, and clubs start being watched
+// when they're hearted, so nobody gets a flood of old news. Your own records
+// never notify you. The list is a small store (like storage problems) so
+// React can read it with useSyncExternalStore.
+import { collectEvents, dayKey } from "./calendar.js";
+import { eventKey, findMyRsvp } from "./rsvp.js";
+import { requestStatus } from "./requestStatus.js";
+import { readJson, reportStorageProblem, subscribeToKeys, writeJson } from "./storage.js";
+
+const SEEN_KEY = "lastSeen";
+const LIST_KEY = "notifications";
+const REMINDED_KEY = "remindedEvents";
+// oldest notifications / sent reminders are dropped past these
+const MAX_NOTIFICATIONS = 50;
+const MAX_REMINDED = 200;
+// all-day events are reminded about as if they started at 9am
+const ALL_DAY_HOUR = 9;
+
+/** How long before an event a reminder goes out (minutes -> label) */
+export const REMINDER_LEADS = { 15: "15 minutes", 60: "1 hour", 1440: "1 day" };
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * What the user has seen, in ids:
+ * { events: { [clubId]: [eventKey] }, requests: [id], responses: { [requestId]: [id] } }
+ */
+export function seenSnapshot({ clubs, requests, heartedIds }) {
+  const hearted = clubs.filter((c) => heartedIds.some((id) => sameId(id, c.id)));
+  return {
+    events: Object.fromEntries(
+      hearted.map((c) => [c.id, (c.upcoming_events ?? []).map(eventKey)])
+    ),
+    requests: requests.map((r) => r.id),
+    responses: Object.fromEntries(
+      requests
+        .filter((r) => r.owned)
+        .map((r) => [r.id, (r.responses ?? []).map((resp) => resp.id ?? resp.vendor_id)])
+    ),
+  };
+}
+
+/** Notifications for what's in `data` but not in `seen` (a seenSnapshot) */
+export function diffSeen(seen, data, now = new Date()) {
+  const at = now.toISOString();
+  const current = seenSnapshot(data);
+  const out = [];
+
+  for (const club of data.clubs) {
+    const before = seen.events?.[club.id];
+    // not watched last time (just hearted), or your own club
+    if (!before || !current.events[club.id] || club.owned) continue;
+    for (const event of club.upcoming_events ?? []) {
+      const key = eventKey(event);
+      if (before.includes(key)) continue;
+      out.push({
+        id: `event:${club.id}:${key}`,
+        kind: "event",
+        title: `${club.name} posted an event`,
+        detail: [event.title, event.date].filter(Boolean).join(" · "),
+        club_id: club.id,
+        at,
+      });
+    }
+  }
+
+  const knownRequests = new Set((seen.requests ?? []).map(String));
+  for (const req of data.requests) {
+    if (knownRequests.has(String(req.id)) || req.owned || requestStatus(req, now) === "expired") {
+      continue;
+    }
+    out.push({
+      id: `request:${req.id}`,
+      kind: "request",
+      title: `New request from ${req.club_name}`,
+      detail: req.title,
+      request_id: req.id,
+      at,
+    });
+  }
+
+  for (const req of data.requests) {
+    // requests created since last time have nothing to compare against yet
+    const before = seen.responses?.[req.id];
+    if (!req.owned || !before) continue;
+    for (const resp of req.responses ?? []) {
+      const id = resp.id ?? resp.vendor_id;
+      if (before.some((x) => sameId(x, id))) continue;
+      out.push({
+        id: `response:${req.id}:${id}`,
+        kind: "response",
+        title: `${resp.vendor_name ?? "A vendor"} responded`,
+        detail: req.title,
+        request_id: req.id,
+        at,
+      });
+    }
+  }
+
+  return out;
+}
+
+// ---------- the store ----------
+
+let list = null;
+const listeners = new Set();
+
+function emit() {
+  for (const listener of listeners) listener();
+}
+
+function save(key, value) {
+  try {
+    writeJson(key, value);
+  } catch (err) {
+    reportStorageProblem({ kind: err.kind, key, message: err.message });
+  }
+}
+
+function setList(next) {
+  list = next;
+  save(LIST_KEY, next);
+  emit();
+}
+
+// newest first; a notification already in the list isn't added again
+function addNotifications(items) {
+  const current = getNotifications();
+  const fresh = items.filter((n) => !current.some((x) => x.id === n.id));
+  if (!fresh.length) return;
+  const added = fresh.map((n) => ({ ...n, read: false }));
+  setList([...added, ...current].slice(0, MAX_NOTIFICATIONS));
+}
+
+/** Notifications, newest first: [{ id, kind, title, detail, club_id?, request_id?, at, read }] */
+export function getNotifications() {
+  if (list === null) {
+    const saved = readJson(LIST_KEY, []);
+    list = Array.isArray(saved) ? saved : [];
+  }
+  return list;
+}
+
+/** Call `listener` when the list changes (here or in another tab); returns unsubscribe */
+export function subscribeNotifications(listener) {
+  listeners.add(listener);
+  const unsubscribe = subscribeToKeys([LIST_KEY], () => {
+    list = null;
+    listener();
+  });
+  return () => {
+    listeners.delete(listener);
+    unsubscribe();
+  };
+}
+
+/** Compare `data` ({ clubs, requests, heartedIds }) with last time and notify what's new */
+export function checkForUpdates(data, now = new Date()) {
+  const seen = readJson(SEEN_KEY, null);
+  if (seen && typeof seen === "object") addNotifications(diffSeen(seen, data, now));
+  save(SEEN_KEY, seenSnapshot(data));
+}
+
+export function markRead(id) {
+  setList(getNotifications().map((n) => (n.id === id ? { ...n, read: true } : n)));
+}
+
+export function markAllRead() {
+  setList(getNotifications().map((n) => ({ ...n, read: true })));
+}
+
+export function clearNotifications() {
+  setList([]);
+}
+
+// ---------- browser reminders ----------
+
+/** True when the browser can show notifications at all */
+export function canNotify() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+/**
+ * Ask to show notifications; resolves to "granted", "denied" or "default"
+ * ("denied" where the browser can't notify). Older Safari takes a callback
+ * and returns nothing instead of a promise.
+ */
+export function requestNotifyPermission() {
+  if (!canNotify()) return Promise.resolve("denied");
+  if (window.Notification.permission !== "default") {
+    return Promise.resolve(window.Notification.permission);
+  }
+  return new Promise((resolve) => {
+    const asked = window.Notification.requestPermission(resolve);
+    if (asked) asked.then(resolve, () => resolve("denied"));
+  });
+}
+
+/**
+ * Occurrences of hearted clubs' events and events you RSVP'd to that start
+ * within `leadMinutes` of `now` and haven't been reminded about (`sent`
+ * holds reminder keys): [{ key, club, event, start }].
+ */
+export function dueReminders(data, leadMinutes, now = new Date(), sent = []) {
+  const { clubs, heartedIds, rsvps } = data;
+  const watched = (club, event) =>
+    heartedIds.some((id) => sameId(id, club.id)) || Boolean(findMyRsvp(rsvps, club, event));
+
+  const out = [];
+  for (const entry of collectEvents(clubs)) {
+    let start = entry.start;
+    if (entry.allDay) {
+      start = new Date(entry.day);
+      start.setHours(ALL_DAY_HOUR);
+    }
+    const key = `${entry.club.id}|${eventKey(entry.event)}|${dayKey(entry.day)}`;
+    const until = start - now;
+    if (until < 0 || until > leadMinutes * 60 * 1000 || sent.includes(key)) continue;
+    if (!watched(entry.club, entry.event)) continue;
+    out.push({ key, club: entry.club, event: entry.event, start });
+  }
+  return out;
+}
+
+/**
+ * Show a browser notification (and an in-app one) for each due reminder.
+ * Does nothing until the user has allowed notifications.
+ */
+export function sendReminders(data, leadMinutes, now = new Date()) {
+  if (!canNotify() || window.Notification.permission !== "granted") return;
+
+  const saved = readJson(REMINDED_KEY, []);
+  const sent = Array.isArray(saved) ? saved : [];
+  const due = dueReminders(data, leadMinutes, now, sent);
+  if (!due.length) return;
+
+  for (const { club, event, start } of due) {
+    const time = start.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+    const when = dayKey(start) === dayKey(now) ? `today at ${time}` : start.toLocaleString();
+    const notice = new window.Notification(event.title || "Upcoming event", {
+      body: `${club.name} · ${when}${event.location ? ` · ${event.location}` : ""}`,
+    });
+    notice.onclick = () => window.focus();
+  }
+
+  addNotifications(
+    due.map(({ key, club, event }) => ({
+      id: `reminder:${key}`,
+      kind: "reminder",
+      title: `Coming up: ${event.title || "an event"}`,
+      detail: club.name,
+      club_id: club.id,
+      at: now.toISOString(),
+    }))
+  );
+  save(REMINDED_KEY, [...sent, ...due.map((r) => r.key)].slice(-MAX_REMINDED));
+}
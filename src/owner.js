@@ -0,0 +1,32 @@
+// owner.js
+// A random per-browser token. Records created in this browser are stamped with
+// it (owner_token), and only a browser presenting the same token may edit or
+// delete them. Data sources never hand the token back out: they return
+// `owned: true | false` instead.
+
+const KEY = "ownerToken";
+
+function randomToken() {
+  if (globalThis.crypto?.randomUUID) return crypto.randomUUID();
+  return Array.from({ length: 4 }, () => Math.random().toString(36).slice(2, 10)).join("-");
+}
+
+export function getOwnerToken(storage = window.localStorage) {
+  try {
+    let token = storage.getItem(KEY);
+    if (!token) {
+      token = randomToken();
+      storage.setItem(KEY, token);
+    }
+    return token;
+  } catch {
+    // storage disabled: ownership only lasts for this page load
+    return (getOwnerToken.fallback ??= randomToken());
+  }
+}
+
+/** Strip owner_token and report whether `token` owns the record */
+export function withOwnership(record, token) {
+  const { owner_token: ownerToken, ...rest } = record;
+  return { ...rest, owned: Boolean(ownerToken) && ownerToken === token };
+}
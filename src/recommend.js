@@ -0,0 +1,70 @@
+// recommend.js
+// "Recommended for you": ranks clubs the user hasn't hearted by how much their
+// tags overlap with the hearted clubs' (and the optional quiz answers).
+import { ancestors, canonicalTag, expandTags } from "./taxonomy.js";
+
+// how much each source of a tag counts toward the user's taste
+const INTEREST_WEIGHT = 2;
+const VIBE_WEIGHT = 1;
+const QUIZ_WEIGHT = 2;
+// a shared parent tag ("technology" via cybersecurity) counts half
+const PARENT_FACTOR = 0.5;
+
+function clubTags(club) {
+  return [...(club.interests || []), ...(club.vibes || [])];
+}
+
+/** Tag -> weight from hearted clubs and quiz answers ({ interests, vibes }) */
+export function tasteProfile(heartedClubs, quiz) {
+  const profile = new Map();
+  const add = (tag, weight) => {
+    const canonical = canonicalTag(tag);
+    if (!canonical) return;
+    profile.set(canonical, (profile.get(canonical) ?? 0) + weight);
+    for (const parent of ancestors(canonical)) {
+      profile.set(parent, (profile.get(parent) ?? 0) + weight * PARENT_FACTOR);
+    }
+  };
+
+  for (const club of heartedClubs) {
+    (club.interests || []).forEach((t) => add(t, INTEREST_WEIGHT));
+    (club.vibes || []).forEach((t) => add(t, VIBE_WEIGHT));
+  }
+  for (const tag of [...(quiz?.interests ?? []), ...(quiz?.vibes ?? [])]) add(tag, QUIZ_WEIGHT);
+
+  return profile;
+}
+
+/**
+ * Clubs to suggest: [{ club, score, shared }] best first. `shared` are the
+ * club's own tags the user likes (its parents only when nothing closer matches).
+ */
+export function recommendClubs(clubs, { heartedIds = [], dismissedIds = [], quiz } = {}, limit = 5) {
+  const hearted = clubs.filter((c) => heartedIds.includes(c.id));
+  const profile = tasteProfile(hearted, quiz);
+  if (profile.size === 0) return [];
+
+  const skip = new Set([...heartedIds, ...dismissedIds].map(String));
+
+  return clubs
+    .filter((club) => !skip.has(String(club.id)))
+    .map((club) => {
+      const tags = expandTags(clubTags(club));
+      const own = new Set(clubTags(club).map(canonicalTag));
+      const hits = tags
+        .filter((t) => profile.has(t))
+        .map((t) => ({ tag: t, weight: profile.get(t) * (own.has(t) ? 1 : PARENT_FACTOR) }))
+        .sort((a, b) => b.weight - a.weight);
+
+      const total = hits.reduce((sum, h) => sum + h.weight, 0);
+      // don't let clubs with a long tag list win on volume alone
+      const score = total / Math.sqrt(tags.length || 1);
+
+      const direct = hits.filter((h) => own.has(h.tag));
+      const shared = (direct.length ? direct : hits).slice(0, 3).map((h) => h.tag);
+      return { club, score, shared };
+    })
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
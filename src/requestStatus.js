@@ -0,0 +1,67 @@
+// requestStatus.js
+// Request lifecycle: open -> in_talks (a vendor responded) -> fulfilled (the
+// posting club accepted a response). "expired" is never stored: a request
+// whose date has passed without being fulfilled is expired.
+import { parseDate } from "./calendar.js";
+import { newId } from "./ids.js";
+
+export const REQUEST_STATUSES = ["open", "in_talks", "fulfilled", "expired"];
+
+export const STATUS_LABELS = {
+  open: "Open",
+  in_talks: "In talks",
+  fulfilled: "Fulfilled",
+  expired: "Expired",
+};
+
+/** Fields the posting club manages */
+export const LIFECYCLE_FIELDS = ["status", "accepted_response_id"];
+
+function isPast(req, now) {
+  const day = parseDate(req.date);
+  if (!day) return false;
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 23, 59, 59) < now;
+}
+
+/** Effective status, taking the request date into account */
+export function requestStatus(req, now = new Date()) {
+  if (req.status === "fulfilled") return "fulfilled";
+  if (isPast(req, now)) return "expired";
+  if (req.status === "in_talks" || req.responses?.length) return "in_talks";
+  return "open";
+}
+
+/** Vendors can still respond (open or in talks) */
+export function isOpenForResponses(req, now = new Date()) {
+  const status = requestStatus(req, now);
+  return status === "open" || status === "in_talks";
+}
+
+/** New response record from the vendor form fields */
+export function createResponse(vendor, { quote, message, availability }) {
+  return {
+    id: newId("responses"),
+    vendor_id: vendor.id,
+    vendor_name: vendor.name,
+    quote: (quote ?? "").trim(),
+    message: (message ?? "").trim(),
+    availability: (availability ?? "").trim(),
+    created_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Request after a response arrives (a vendor may replace its earlier one).
+ * Status is left alone: requestStatus() reports in_talks once responses exist.
+ */
+export function withResponse(req, response) {
+  const others = (req.responses ?? []).filter(
+    (r) => String(r.vendor_id) !== String(response.vendor_id)
+  );
+  return { ...req, responses: [...others, response] };
+}
+
+/** Patch that accepts one response and closes the request */
+export function acceptPatch(responseId) {
+  return { status: "fulfilled", accepted_response_id: responseId };
+}
@@ -0,0 +1,137 @@
+// router.js
+// Tiny history-API router: the URL is the source of truth for discover mode,
+// search, selected tags and which profile modal is open.
+//
+//   /                                  -> discover clubs
+//   /discover/requests?q=chai&tags=x   -> discover requests, searched + filtered
+//   /discover/vendors?price=$,$$       -> any other param is a facet filter (facets.js)
+//   /clubs/1                           -> club profile (over the clubs list)
+//   /vendors/201?mode=requests         -> vendor profile (over the requests list)
+import { useCallback, useEffect, useState } from "react";
+
+export const DISCOVER_MODES = ["clubs", "vendors", "requests", "calendar"];
+
+const PROFILE_PATHS = { club: "clubs", vendor: "vendors" };
+
+// query params with a fixed meaning; the rest become route.filters
+const RESERVED_PARAMS = ["mode", "q", "tags"];
+
+function splitTags(raw) {
+  return (raw ?? "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+function parseFilters(params) {
+  const filters = {};
+  for (const [key, value] of params) {
+    if (RESERVED_PARAMS.includes(key)) continue;
+    const values = splitTags(value);
+    if (values.length) filters[key] = values;
+  }
+  return filters;
+}
+
+/**
+ * Parse a pathname + query string into a route:
+ * { mode, q, tags, filters: { [param]: string[] }, profile: { type, id } | null, notFound }
+ */
+export function parseRoute(pathname, search = "") {
+  const params = new URLSearchParams(search);
+  const route = {
+    mode: DISCOVER_MODES.includes(params.get("mode")) ? params.get("mode") : "clubs",
+    q: params.get("q") ?? "",
+    tags: splitTags(params.get("tags")),
+    filters: parseFilters(params),
+    profile: null,
+    notFound: false,
+  };
+
+  let parts;
+  try {
+    parts = (pathname || "/").split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    // a malformed escape (/clubs/%E0) can't name anything
+    return { ...route, notFound: true };
+  }
+  if (parts.length === 0) return route;
+
+  if (parts[0] === "discover" && parts.length <= 2) {
+    const mode = parts[1] ?? "clubs";
+    if (DISCOVER_MODES.includes(mode)) return { ...route, mode };
+  }
+
+  const type = Object.keys(PROFILE_PATHS).find((t) => PROFILE_PATHS[t] === parts[0]);
+  if (type && parts.length === 2) {
+    return {
+      ...route,
+      mode: params.has("mode") ? route.mode : PROFILE_PATHS[type],
+      profile: { type, id: parts[1] },
+    };
+  }
+
+  return { ...route, notFound: true };
+}
+
+/** Inverse of parseRoute */
+export function buildPath(route) {
+  const params = new URLSearchParams();
+  let path;
+
+  if (route.profile) {
+    path = `/${PROFILE_PATHS[route.profile.type]}/${encodeURIComponent(route.profile.id)}`;
+    if (route.mode !== PROFILE_PATHS[route.profile.type]) params.set("mode", route.mode);
+  } else {
+    path = route.mode === "clubs" ? "/" : `/discover/${route.mode}`;
+  }
+
+  if (route.q) params.set("q", route.q);
+  if (route.tags?.length) params.set("tags", route.tags.join(","));
+  for (const [key, values] of Object.entries(route.filters ?? {})) {
+    if (values?.length && !RESERVED_PARAMS.includes(key)) params.set(key, values.join(","));
+  }
+
+  // keep commas and price signs ($, $$) readable
+  const qs = params.toString().replace(/%2C/g, ",").replace(/%24/g, "$");
+  return qs ? `${path}?${qs}` : path;
+}
+
+/** True when an id from the URL refers to `entity` (ids may be numbers or strings) */
+export function sameId(entity, id) {
+  return String(entity?.id) === String(id);
+}
+
+/**
+ * Current route + navigate(route, { replace }).
+ * Pushed entries remember their depth so `back()` only leaves entries this
+ * app created (a deep link opened in a fresh tab closes to the list instead).
+ */
+export function useRoute() {
+  const [route, setRoute] = useState(() =>
+    parseRoute(window.location.pathname, window.location.search)
+  );
+
+  useEffect(() => {
+    function onPopState() {
+      setRoute(parseRoute(window.location.pathname, window.location.search));
+    }
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  const navigate = useCallback((next, { replace = false } = {}) => {
+    const path = buildPath(next);
+    const depth = window.history.state?.depth ?? 0;
+
+    if (replace) window.history.replaceState({ depth }, "", path);
+    else window.history.pushState({ depth: depth + 1 }, "", path);
+
+    const url = new URL(path, window.location.origin);
+    setRoute(parseRoute(url.pathname, url.search));
+  }, []);
+
+  const canGoBack = useCallback(() => (window.history.state?.depth ?? 0) > 0, []);
+
+  return [route, navigate, canGoBack];
+}
@@ -0,0 +1,122 @@
+// rsvp.js
+// RSVPs to club events: { id, club_id, event_key, status, name?, created_at }.
+// They're their own collection (dataSource.js), so anyone can RSVP without
+// being able to edit the club; a browser sees its own RSVPs as `owned`.
+//
+// An RSVP points at its event by eventKey(): the event's id, which it gets
+// when its club is saved (dataSource.js, server/store.js). Only the read-only
+// seed events have none and fall back to title and first date. A repeating
+// event is RSVP'd to as a whole.
+import { collectEvents, parseDate, startOfDay } from "./calendar.js";
+import { slugify } from "./ics.js";
+import { newId } from "./ids.js";
+import { toCsv } from "./transfer.js";
+
+export const RSVP_LABELS = { going: "Going", interested: "Interested" };
+
+const ATTENDEE_COLUMNS = ["name", "status", "event", "date", "rsvped_at"];
+
+/** Stable key for one of a club's events */
+export function eventKey(event) {
+  if (event?.id != null) return `id:${event.id}`;
+  return `${slugify(event?.title ?? "") || "event"}@${event?.date ?? ""}`;
+}
+
+function countsKey(clubId, key) {
+  return `${clubId}|${key}`;
+}
+
+/** Map of club + event -> { going, interested } over every RSVP */
+export function countRsvps(rsvps) {
+  const counts = new Map();
+  for (const r of rsvps) {
+    const key = countsKey(r.club_id, r.event_key);
+    const entry = counts.get(key) ?? { going: 0, interested: 0 };
+    if (r.status in entry) entry[r.status]++;
+    counts.set(key, entry);
+  }
+  return counts;
+}
+
+/** Counts for one event from countRsvps(), zeros when nobody has RSVP'd */
+export function countsFor(counts, club, event) {
+  return counts.get(countsKey(club.id, eventKey(event))) ?? { going: 0, interested: 0 };
+}
+
+/** "3 going · 1 interested", or "" when there are none */
+export function describeCounts({ going, interested }) {
+  return [going ? `${going} going` : "", interested ? `${interested} interested` : ""]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/** This browser's RSVP to an event, if any */
+export function findMyRsvp(rsvps, club, event) {
+  const key = eventKey(event);
+  return rsvps.find(
+    (r) => r.owned && String(r.club_id) === String(club.id) && r.event_key === key
+  );
+}
+
+/** A new RSVP record; `name` is what the club owner sees in the attendee list */
+export function createRsvp(club, event, status, name = "", now = new Date()) {
+  const record = {
+    id: newId("rsvps"),
+    club_id: club.id,
+    event_key: eventKey(event),
+    status,
+    created_at: now.toISOString(),
+  };
+  if (name.trim()) record.name = name.trim();
+  return record;
+}
+
+/**
+ * This browser's RSVPs joined to their clubs and events, sorted upcoming
+ * first (by next occurrence), then past ones, most recent first:
+ * [{ rsvp, club, event, day, past }], `day` being the next occurrence (or
+ * the last one for past events). RSVPs to deleted events are left out.
+ */
+export function myRsvps(rsvps, clubs, now = new Date()) {
+  const today = startOfDay(now);
+  const entries = collectEvents(clubs);
+  const out = [];
+
+  for (const rsvp of rsvps) {
+    if (!rsvp.owned) continue;
+    const club = clubs.find((c) => String(c.id) === String(rsvp.club_id));
+    const event = club?.upcoming_events?.find((ev) => eventKey(ev) === rsvp.event_key);
+    if (!event) continue;
+
+    const days = entries.filter((e) => e.club === club && e.event === event).map((e) => e.day);
+    const next = days.find((d) => d >= today) ?? null;
+    const last = days.at(-1) ?? parseDate(event.date);
+    out.push({ rsvp, club, event, day: next ?? last, past: !next });
+  }
+
+  return out.sort((a, b) => a.past - b.past || (a.past ? b.day - a.day : a.day - b.day));
+}
+
+/** RSVPs to one of a club's events */
+export function eventRsvps(rsvps, club, event) {
+  const key = eventKey(event);
+  return rsvps.filter((r) => String(r.club_id) === String(club.id) && r.event_key === key);
+}
+
+/**
+ * A club's attendee list as CSV, one row per RSVP to an event it still has.
+ * Names only come back from the API for the club's owner (and the person
+ * who RSVP'd), which is who this is for.
+ */
+export function attendeesCsv(club, rsvps) {
+  const rows = (club.upcoming_events ?? []).flatMap((event) =>
+    eventRsvps(rsvps, club, event).map((rsvp) => ({
+      name: rsvp.name ?? "",
+      status: RSVP_LABELS[rsvp.status] ?? rsvp.status,
+      event: event.title,
+      date: event.date,
+      rsvped_at: rsvp.created_at ?? "",
+    }))
+  );
+  return toCsv(rows, ATTENDEE_COLUMNS);
+}
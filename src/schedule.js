@@ -0,0 +1,417 @@
+// schedule.js
+// Club meeting schedules. club.meeting_schedule is a structured recurrence:
+//
+//   {
+//     days: [1, 3],             weekdays, 0 = Sunday
+//     start: "18:00",           "HH:MM", 24-hour (what <input type="time"> gives)
+//     end: "19:30",             optional
+//     overnight: true,          only when the end is after midnight ("23:00"–"01:00")
+//     frequency: "weekly",      weekly | biweekly | monthly
+//     week: 1,                  monthly only: 1–4, or -1 for the last one
+//     starts_on: "2026-01-12",  optional semester bounds
+//     ends_on: "2026-05-01",
+//   }
+//
+// Older clubs only have free-text meeting_time ("Fridays 5pm");
+// parseMeetingTime upgrades what it can, and clubSchedule falls back to it
+// so seed and API data get the same filters.
+import {
+  addDays,
+  formatTime,
+  parseDate,
+  parseTimeRange,
+  startOfDay,
+  startOfWeek,
+  timeInputValue,
+  WEEKDAY_NAMES,
+} from "./calendar.js";
+import { validateRecord } from "./schema.js";
+
+// meetings without an end time count as this long
+export const DEFAULT_MEETING_MINUTES = 60;
+// "evening" starts here (minutes after midnight)
+export const EVENING_START = 17 * 60;
+
+// chunks of the day for "fits my free time"
+export const DAY_PARTS = [
+  { key: "morning", label: "Morning", start: 8 * 60, end: 12 * 60 },
+  { key: "afternoon", label: "Afternoon", start: 12 * 60, end: 17 * 60 },
+  { key: "evening", label: "Evening", start: 17 * 60, end: 22 * 60 },
+];
+
+/** Values of the Discover "meets" filter (?meets=evenings,free) */
+export const MEETS_FILTERS = {
+  evenings: "Weekday evenings",
+  free: "Fits my free time",
+};
+
+const WEEK_ORDINALS = { 1: "First", 2: "Second", 3: "Third", 4: "Fourth", "-1": "Last" };
+// Monday first, the way people list their week
+const DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const DAY_WORDS = {
+  sun: 0,
+  sunday: 0,
+  sundays: 0,
+  mon: 1,
+  monday: 1,
+  mondays: 1,
+  tue: 2,
+  tues: 2,
+  tuesday: 2,
+  tuesdays: 2,
+  wed: 3,
+  weds: 3,
+  wednesday: 3,
+  wednesdays: 3,
+  thu: 4,
+  thur: 4,
+  thurs: 4,
+  thursday: 4,
+  thursdays: 4,
+  fri: 5,
+  friday: 5,
+  fridays: 5,
+  sat: 6,
+  saturday: 6,
+  saturdays: 6,
+};
+const ORDINAL_WORDS = {
+  first: 1,
+  "1st": 1,
+  second: 2,
+  "2nd": 2,
+  third: 3,
+  "3rd": 3,
+  fourth: 4,
+  "4th": 4,
+  last: -1,
+};
+
+const TIME = String.raw`(?:\d{1,2}(?::\d{2})?\s*(?:[ap]\.?m?\.?(?![a-z]))?|noon|midnight)`;
+const TIME_RANGE = new RegExp(String.raw`${TIME}\s*(?:-|–|—|to|until|till)\s*${TIME}`);
+const DAY_RANGE = /\b([a-z]+)\s*(?:-|–|through|thru|to)\s*([a-z]+)\b/g;
+const SINGLE_TIME = /\d{1,2}(?::\d{2})?\s*[ap]\.?m?\.?(?![a-z])|\d{1,2}:\d{2}|noon/;
+
+function toMinutes(time) {
+  return time ? time.hours * 60 + time.minutes : null;
+}
+
+function fromMinutes(minutes) {
+  return { hours: Math.floor(minutes / 60), minutes: minutes % 60 };
+}
+
+function sortDays(days) {
+  return [...new Set(days)].sort((a, b) => DAY_ORDER.indexOf(a) - DAY_ORDER.indexOf(b));
+}
+
+function parseDays(text) {
+  const words = text.match(/[a-z]+/g) ?? [];
+  const days = [];
+
+  if (words.includes("weekdays")) days.push(1, 2, 3, 4, 5);
+  if (words.includes("weekends")) days.push(0, 6);
+
+  // "mon-thu", "monday through friday"
+  for (const [, first, last] of text.matchAll(DAY_RANGE)) {
+    if (!(first in DAY_WORDS && last in DAY_WORDS)) continue;
+    for (let d = DAY_WORDS[first]; d !== DAY_WORDS[last]; d = (d + 1) % 7) days.push(d);
+  }
+
+  for (const word of words) if (word in DAY_WORDS) days.push(DAY_WORDS[word]);
+  return sortDays(days);
+}
+
+function parseTimes(text) {
+  const match = text.match(TIME_RANGE) ?? text.match(SINGLE_TIME);
+  if (!match) return null;
+  const range = parseTimeRange(match[0].replace(/\s*(?:until|till)\s*/, "-"));
+  if (!range) return null;
+
+  // "Fridays 5-6": nobody meets at 5am, so a range without am/pm is in the afternoon;
+  // "12-1" / "11-1" end in the afternoon too, not at 1am
+  let { start, end } = range;
+  if (!/[ap]/.test(match[0])) {
+    if (start.hours >= 1 && start.hours < 8) start = { ...start, hours: start.hours + 12 };
+    if (end && end.hours < 12 && toMinutes(end) <= toMinutes(start)) {
+      end = { ...end, hours: end.hours + 12 };
+    }
+  }
+  return { start, end };
+}
+
+/**
+ * Free-text meeting_time -> schedule, or null when the days or the start
+ * time can't be read. Understands things like "Fridays 5pm",
+ * "Mon/Wed 6:30-8pm", "every other Tuesday at 7pm", "first Friday of the
+ * month, noon", "weekdays 12–1pm".
+ */
+export function parseMeetingTime(text) {
+  const raw = (text ?? "").toString().toLowerCase().replace(/\s+/g, " ").trim();
+  if (!raw) return null;
+
+  const days = parseDays(raw);
+  const times = parseTimes(raw);
+  if (!days.length || !times) return null;
+
+  const schedule = {
+    days,
+    start: timeInputValue(times.start),
+    frequency: "weekly",
+  };
+  // "5pm-5pm" says nothing about the end; "11pm-1am" spells out that it's overnight
+  const end = times.end && timeInputValue(times.end);
+  if (end && end !== schedule.start) schedule.end = end;
+  if (end && end < schedule.start) schedule.overnight = true;
+
+  // "first friday", "last thursday"
+  const ordinal = [...raw.matchAll(/\b(first|1st|second|2nd|third|3rd|fourth|4th|last) ([a-z]+)/g)]
+    .find(([, , day]) => day in DAY_WORDS);
+  if (/bi-?weekly|every other|every (?:2|two) weeks|alternat/.test(raw)) {
+    schedule.frequency = "biweekly";
+  } else if (/monthly|of (?:the|each|every) month/.test(raw) || ordinal) {
+    schedule.frequency = "monthly";
+    schedule.week = ordinal ? ORDINAL_WORDS[ordinal[1]] : 1;
+  }
+  return schedule;
+}
+
+/** True when `schedule` has what the renderer and filters need */
+export function isSchedule(schedule) {
+  return (
+    Boolean(schedule) &&
+    Array.isArray(schedule.days) &&
+    schedule.days.length > 0 &&
+    Boolean(parseTimeRange(schedule.start))
+  );
+}
+
+/** A club's schedule: the structured one, else whatever meeting_time parses to, else null */
+export function clubSchedule(club) {
+  if (isSchedule(club?.meeting_schedule)) return club.meeting_schedule;
+  return parseMeetingTime(club?.meeting_time);
+}
+
+function listWords(words) {
+  if (words.length <= 1) return words.join("");
+  return `${words.slice(0, -1).join(", ")} and ${words[words.length - 1]}`;
+}
+
+function dayPhrase(days, plural) {
+  const sorted = sortDays(days);
+  if (plural && sorted.join() === "1,2,3,4,5") return "weekdays";
+  if (plural && sorted.join() === "6,0") return "weekends";
+  return listWords(sorted.map((d) => WEEKDAY_NAMES[d] + (plural ? "s" : "")));
+}
+
+function shortDate(iso) {
+  return parseDate(iso).toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+/**
+ * How often the club meets, as far as anyone can tell: every other week
+ * needs starts_on to say which weeks, so without it the schedule is shown,
+ * filtered and exported as weekly.
+ */
+export function meetingFrequency(schedule) {
+  if (schedule.frequency === "biweekly" && !parseDate(schedule.starts_on)) return "weekly";
+  return schedule.frequency;
+}
+
+/**
+ * "Mondays and Wednesdays, 6pm–7:30pm" / "Every other Tuesday, 7pm" /
+ * "First Friday of the month, noon (Jan 12 – May 1)"; "" for no schedule.
+ */
+export function describeSchedule(schedule) {
+  if (!isSchedule(schedule)) return "";
+
+  let when;
+  const frequency = meetingFrequency(schedule);
+  if (frequency === "biweekly") {
+    when = `Every other ${dayPhrase(schedule.days, false)}`;
+  } else if (frequency === "monthly") {
+    const ordinal = WEEK_ORDINALS[schedule.week] ?? WEEK_ORDINALS[1];
+    when = `${ordinal} ${dayPhrase(schedule.days, false)} of the month`;
+  } else {
+    const phrase = dayPhrase(schedule.days, true);
+    when = phrase[0].toUpperCase() + phrase.slice(1);
+  }
+
+  const start = startMinutes(schedule);
+  const end = endMinutes(schedule, start);
+  const time = formatTime(fromMinutes(start));
+  const text = end !== null
+    ? `${when}, ${time}–${formatTime(fromMinutes(end % 1440))}`
+    : `${when}, ${time}`;
+
+  const from = parseDate(schedule.starts_on) ? shortDate(schedule.starts_on) : "";
+  const until = parseDate(schedule.ends_on) ? shortDate(schedule.ends_on) : "";
+  if (from && until) return `${text} (${from} – ${until})`;
+  if (from) return `${text} (from ${from})`;
+  if (until) return `${text} (until ${until})`;
+  return text;
+}
+
+/** What to show for a club's meetings: the rendered schedule, else the free text */
+export function meetingText(club) {
+  return describeSchedule(club?.meeting_schedule) || (club?.meeting_time ?? "").trim();
+}
+
+function startMinutes(schedule) {
+  return toMinutes(parseTimeRange(schedule.start)?.start);
+}
+
+// the end in minutes (past 1440 for overnight meetings), or null when there's
+// none to go by: not set, or not after the start without `overnight`
+function endMinutes(schedule, start) {
+  const end = toMinutes(parseTimeRange(schedule.end)?.start);
+  if (end === null) return null;
+  if (end > start) return end;
+  return schedule.overnight && end < start ? end + 24 * 60 : null;
+}
+
+/** Start / end in minutes after midnight (an end past midnight is > 1440) */
+export function meetingTimes(schedule) {
+  const start = startMinutes(schedule);
+  const end = endMinutes(schedule, start) ?? start + DEFAULT_MEETING_MINUTES;
+  return { start, end };
+}
+
+/** One { day, start, end } (minutes) per weekday the club meets on */
+export function meetingSlots(schedule) {
+  if (!isSchedule(schedule)) return [];
+  const { start, end } = meetingTimes(schedule);
+  return sortDays(schedule.days).map((day) => ({ day, start, end }));
+}
+
+function meetsOn(schedule, day) {
+  if (!schedule.days.includes(day.getDay())) return false;
+
+  const from = parseDate(schedule.starts_on);
+  const until = parseDate(schedule.ends_on);
+  if ((from && day < from) || (until && day > until)) return false;
+
+  const frequency = meetingFrequency(schedule);
+  if (frequency === "biweekly") {
+    const weeks = Math.round((startOfWeek(day) - startOfWeek(from)) / (7 * 864e5));
+    return weeks % 2 === 0;
+  }
+  if (frequency === "monthly") {
+    const week = Number(schedule.week ?? 1);
+    if (week === -1) return addDays(day, 7).getMonth() !== day.getMonth();
+    return Math.ceil(day.getDate() / 7) === week;
+  }
+  return true;
+}
+
+/**
+ * Days from `from` to `to` (inclusive) with a meeting, as local midnights.
+ * Biweekly schedules without starts_on list every matching week (meetingFrequency).
+ */
+export function meetingDays(schedule, from, to) {
+  if (!isSchedule(schedule)) return [];
+  const days = [];
+  for (let day = startOfDay(from); day <= to; day = addDays(day, 1)) {
+    if (meetsOn(schedule, day)) days.push(day);
+  }
+  return days;
+}
+
+/** The next day (today or later, within a year) the club meets, or null */
+export function nextMeetingDay(schedule, now = new Date()) {
+  const today = startOfDay(now);
+  return meetingDays(schedule, today, addDays(today, 366))[0] ?? null;
+}
+
+/** Some meeting starts on a weekday at or after EVENING_START */
+export function meetsOnWeekdayEvenings(schedule) {
+  return meetingSlots(schedule).some(
+    (slot) => slot.day >= 1 && slot.day <= 5 && slot.start >= EVENING_START
+  );
+}
+
+/** "3:evening": the key of one weekday's part of the day in the free-time list */
+export function freeTimeKey(day, part) {
+  return `${day}:${part}`;
+}
+
+/**
+ * Every meeting falls entirely inside the user's free time: `freeTime` is a
+ * list of freeTimeKey()s, and a meeting may span adjoining free parts.
+ */
+export function fitsFreeTime(schedule, freeTime) {
+  const free = new Set(freeTime);
+  const slots = meetingSlots(schedule);
+  if (!slots.length) return false;
+
+  return slots.every(({ day, start, end }) => {
+    let t = start;
+    while (t < end) {
+      const part = DAY_PARTS.find((p) => p.start <= t && t < p.end);
+      if (!part || !free.has(freeTimeKey(day, part.key))) return false;
+      t = part.end;
+    }
+    return true;
+  });
+}
+
+/**
+ * Clubs passing the Discover "meets" filter (any of MEETS_FILTERS' keys, all
+ * must hold). Clubs whose meeting time can't be read drop out.
+ */
+export function filterByMeeting(clubs, meets, freeTime = []) {
+  if (!meets?.length) return clubs;
+  return clubs.filter((club) => {
+    const schedule = clubSchedule(club);
+    if (!schedule) return false;
+    if (meets.includes("evenings") && !meetsOnWeekdayEvenings(schedule)) return false;
+    if (meets.includes("free") && !fitsFreeTime(schedule, freeTime)) return false;
+    return true;
+  });
+}
+
+/**
+ * A schedule as the club form saves it: empty optional fields dropped, `week`
+ * only for monthly meetings. null when no day or time was picked.
+ */
+export function compactSchedule(schedule) {
+  if (!schedule?.days?.length && !schedule?.start) return null;
+
+  const out = { days: sortDays(schedule.days ?? []), start: schedule.start ?? "" };
+  out.frequency = schedule.frequency || "weekly";
+  if (schedule.end) out.end = schedule.end;
+  if (schedule.overnight && out.end && out.end < out.start) out.overnight = true;
+  if (out.frequency === "monthly") out.week = Number(schedule.week ?? 1);
+  if (schedule.starts_on) out.starts_on = schedule.starts_on;
+  if (schedule.ends_on) out.ends_on = schedule.ends_on;
+  return out;
+}
+
+/**
+ * Field -> message for a schedule from the club form: schema rules plus the
+ * ones across fields (end after start unless overnight, bounds in order,
+ * which week, which weeks).
+ */
+export function validateSchedule(schedule) {
+  const errors = validateRecord("schedules", schedule);
+  const start = parseDate(schedule.starts_on);
+  const until = parseDate(schedule.ends_on);
+
+  if (!errors.end && schedule.start && schedule.end) {
+    if (schedule.end === schedule.start) errors.end = "Should differ from the start time.";
+    else if (schedule.end < schedule.start && !schedule.overnight) {
+      errors.end = "Should be after the start time.";
+    }
+  }
+  if (start && until && until < start) {
+    errors.ends_on = "Should be on or after the first meeting.";
+  }
+  if (schedule.frequency === "monthly" && schedule.week == null) {
+    errors.week = "Pick which week of the month.";
+  }
+  if (schedule.frequency === "biweekly" && !start && !errors.starts_on) {
+    errors.starts_on = "Pick the first meeting so we know which weeks.";
+  }
+  return errors;
+}
+
@@ -0,0 +1,277 @@
+// schema.js
+// One set of rules for clubs, vendors, requests, events and RSVPs, shared by the
+// forms (inline field errors), imports, the API server, and the startup check
+// on the seed JSON.
+//
+// Rule types:
+//   text     string
+//   list     array of strings (`values` limits what's allowed)
+//   url      http(s) link, a site path like "/images/x.jpg", or an image
+//            uploaded in demo mode ("idb:img_…", see imageStore.js)
+//   urls     list of url
+//   contact  url or mailto: address
+//   boolean  true or false
+//   date     ISO day, YYYY-MM-DD
+//   time     24-hour "HH:MM", what <input type="time"> gives
+//   weekdays list of day numbers, 0 (Sunday) to 6
+//   enum     one of `values`
+//   record   one record checked against another schema (`of`)
+//   records  list of records checked against another schema (`of`)
+
+export const PRICE_RANGES = ["$", "$$", "$$$"];
+export const AVAILABILITY_OPTIONS = ["weekdays", "weekends", "evenings"];
+// how an event repeats (see calendar.REPEAT_INTERVALS)
+export const EVENT_REPEATS = ["weekly", "biweekly"];
+// how often a club meets, and which week of the month (-1 = last) for monthly
+// meetings (see schedule.js)
+export const MEETING_FREQUENCIES = ["weekly", "biweekly", "monthly"];
+export const MONTH_WEEKS = [1, 2, 3, 4, -1];
+// an RSVP to a club event (see rsvp.js)
+export const RSVP_STATUSES = ["going", "interested"];
+// stored request statuses ("expired" is derived, see requestStatus.js)
+const STORED_STATUSES = ["open", "in_talks", "fulfilled"];
+
+export const SCHEMAS = {
+  clubs: {
+    name: { type: "text", required: true },
+    description: { type: "text" },
+    mission: { type: "text" },
+    location: { type: "text" },
+    meeting_time: { type: "text" },
+    meeting_schedule: { type: "record", of: "schedules" },
+    interests: { type: "list" },
+    vibes: { type: "list" },
+    collab_needs: { type: "list" },
+    contact: { type: "contact" },
+    discord: { type: "url" },
+    logo_url: { type: "url" },
+    banner_url: { type: "url" },
+    flyers: { type: "urls" },
+    photos: { type: "urls" },
+    upcoming_events: { type: "records", of: "events" },
+  },
+  vendors: {
+    name: { type: "text", required: true },
+    description: { type: "text" },
+    services: { type: "list", required: true },
+    vibes: { type: "list" },
+    tags: { type: "list" },
+    price_range: { type: "enum", values: PRICE_RANGES, required: true },
+    availability: { type: "list", values: AVAILABILITY_OPTIONS, required: true },
+    contact: { type: "contact" },
+    logo_url: { type: "url" },
+    photos: { type: "urls" },
+  },
+  requests: {
+    club_name: { type: "text", required: true },
+    title: { type: "text", required: true },
+    description: { type: "text" },
+    needs: { type: "list" },
+    budget: { type: "enum", values: PRICE_RANGES },
+    date: { type: "date" },
+    time_window: { type: "text" },
+    contact: { type: "contact" },
+    status: { type: "enum", values: STORED_STATUSES },
+  },
+  events: {
+    title: { type: "text", required: true },
+    date: { type: "date", required: true },
+    time: { type: "text" },
+    location: { type: "text" },
+    description: { type: "text" },
+    link: { type: "url" },
+    repeat: { type: "enum", values: EVENT_REPEATS },
+    repeat_until: { type: "date" },
+  },
+  rsvps: {
+    club_id: { type: "text", required: true },
+    event_key: { type: "text", required: true },
+    status: { type: "enum", values: RSVP_STATUSES, required: true },
+    name: { type: "text" },
+    created_at: { type: "text" },
+  },
+  schedules: {
+    days: { type: "weekdays", required: true },
+    start: { type: "time", required: true },
+    end: { type: "time" },
+    overnight: { type: "boolean" },
+    frequency: { type: "enum", values: MEETING_FREQUENCIES, required: true },
+    week: { type: "enum", values: MONTH_WEEKS },
+    starts_on: { type: "date" },
+    ends_on: { type: "date" },
+  },
+};
+
+function isBlank(value) {
+  return (
+    value == null ||
+    (typeof value === "string" && !value.trim()) ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+export function isUrl(value) {
+  const text = String(value).trim();
+  // a site path; "//host/x" (and "/\host", which browsers read the same) is another site
+  if (/^\/(?![/\\])\S*$/.test(text)) return true;
+  if (!/^https?:\/\//i.test(text)) return false;
+  try {
+    new URL(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// demo-mode uploads (imageStore.js); not importable here, the server uses this file too
+const LOCAL_IMAGE = /^idb:img_[0-9A-HJKMNP-TV-Z]{26}$/;
+
+export function isContact(value) {
+  const text = String(value).trim();
+  return isUrl(text) || /^mailto:[^\s@]+@[^\s@]+\.[^\s@]+$/i.test(text);
+}
+
+export function isIsoDate(value) {
+  const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return false;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return d.getMonth() === Number(m[2]) - 1 && d.getDate() === Number(m[3]);
+}
+
+function isImageSrc(value) {
+  return isUrl(value) || LOCAL_IMAGE.test(String(value).trim());
+}
+
+// message for one field, or null
+function checkField(rule, value) {
+  if (isBlank(value)) return rule.required ? "Required." : null;
+
+  switch (rule.type) {
+    case "text":
+      return typeof value === "string" || typeof value === "number" ? null : "Should be text.";
+    case "list": {
+      if (!Array.isArray(value)) return "Should be a list.";
+      if (value.some((v) => typeof v !== "string")) return "Should be a list of words.";
+      const bad = rule.values && value.find((v) => !rule.values.includes(v));
+      return bad ? `"${bad}" isn't one of ${rule.values.join(", ")}.` : null;
+    }
+    case "url":
+      if (isImageSrc(value)) return null;
+      return "Use a full link (https://…) or a path like /images/x.jpg.";
+    case "urls": {
+      if (!Array.isArray(value)) return "Should be a list of links.";
+      const bad = value.find((v) => !isImageSrc(v));
+      return bad === undefined ? null : `"${bad}" isn't a link.`;
+    }
+    case "contact":
+      if (isContact(value)) return null;
+      return "Use a link (https://…) or an email as mailto:you@uic.edu.";
+    case "boolean":
+      return typeof value === "boolean" ? null : "Should be true or false.";
+    case "date":
+      return isIsoDate(value) ? null : "Use a date like 2026-03-10.";
+    case "time":
+      return /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value)) ? null : "Use a time like 18:30.";
+    case "weekdays":
+      if (!Array.isArray(value)) return "Should be a list of days.";
+      return value.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+        ? null
+        : "Days are numbers from 0 (Sunday) to 6.";
+    case "enum":
+      return rule.values.includes(value) ? null : `Pick one of ${rule.values.join(", ")}.`;
+    case "record": {
+      if (typeof value !== "object" || Array.isArray(value)) return "Should be a record.";
+      const errors = validateRecord(rule.of, value);
+      const [field] = Object.keys(errors);
+      return field ? `${field} — ${errors[field]}` : null;
+    }
+    case "records": {
+      if (!Array.isArray(value)) return "Should be a list.";
+      for (let i = 0; i < value.length; i++) {
+        const item = value[i];
+        if (!item || typeof item !== "object" || Array.isArray(item)) {
+          return `Item ${i + 1} isn't a record.`;
+        }
+        const errors = validateRecord(rule.of, item);
+        const [field] = Object.keys(errors);
+        if (field) return `Item ${i + 1}: ${field} — ${errors[field]}`;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Field -> message for everything wrong with `record` ({} when valid).
+ * With `partial`, only fields present in `record` are checked (for patches).
+ */
+export function validateRecord(kind, record, { partial = false } = {}) {
+  const schema = SCHEMAS[kind];
+  if (!schema) throw new Error(`No schema for "${kind}"`);
+
+  const errors = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    if (partial && !(field in record)) continue;
+    const message = checkField(rule, record[field]);
+    if (message) errors[field] = message;
+  }
+  return errors;
+}
+
+/** "name: Required.; contact: Use a link…" for logs, imports and API errors */
+export function describeErrors(errors) {
+  return Object.entries(errors)
+    .map(([field, message]) => `${field}: ${message}`)
+    .join("; ");
+}
+
+// coerce the wrong shapes the UI can't render (a string where a list belongs, …)
+function sanitizeRecord(kind, record) {
+  const out = { ...record };
+  for (const [field, rule] of Object.entries(SCHEMAS[kind])) {
+    const value = out[field];
+    if (value == null) continue;
+    if (["list", "urls", "records"].includes(rule.type) && !Array.isArray(value)) {
+      out[field] =
+        typeof value === "string" && rule.type !== "records"
+          ? value.split(",").map((s) => s.trim()).filter(Boolean)
+          : [];
+    } else if (rule.type === "records") {
+      out[field] = value.filter((v) => v && typeof v === "object" && !Array.isArray(v));
+    } else if (rule.type === "record") {
+      if (typeof value !== "object" || Array.isArray(value)) delete out[field];
+    } else if (["text", "url", "contact", "date", "time", "enum"].includes(rule.type)) {
+      if (typeof value === "object") out[field] = "";
+    }
+  }
+  return out;
+}
+
+/**
+ * Startup check for a collection: records without an id (or that aren't
+ * objects) are dropped; the rest are kept, coerced into renderable shapes.
+ * Returns { records, problems: [{ index, id, name, errors, dropped }] }.
+ */
+export function checkRecords(kind, list) {
+  const records = [];
+  const problems = [];
+
+  (Array.isArray(list) ? list : []).forEach((record, index) => {
+    if (!record || typeof record !== "object" || Array.isArray(record) || record.id == null) {
+      const errors = { id: "Missing." };
+      problems.push({ index, id: record?.id ?? null, name: null, errors, dropped: true });
+      return;
+    }
+
+    const errors = validateRecord(kind, record);
+    if (Object.keys(errors).length) {
+      const name = record.name ?? record.title;
+      problems.push({ index, id: record.id, name, errors, dropped: false });
+    }
+    records.push(sanitizeRecord(kind, record));
+  });
+
+  return { records, problems };
+}
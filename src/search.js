@@ -0,0 +1,220 @@
+// search.js
+// Ranked fuzzy search for clubs, vendors and requests.
+import { tagAliases } from "./taxonomy.js";
+
+/**
+ * Field weights: name > tags > description > events (everything else counts
+ * the same as events). Fields marked `tags: true` also match each tag's
+ * synonyms and parents (taxonomy.js).
+ */
+export const WEIGHTS = {
+  name: 8,
+  tags: 4,
+  description: 2,
+  events: 1,
+};
+
+export const CLUB_FIELDS = [
+  { weight: WEIGHTS.name, get: (c) => [c.name] },
+  {
+    weight: WEIGHTS.tags,
+    tags: true,
+    get: (c) => [...(c.interests || []), ...(c.vibes || []), ...(c.collab_needs || [])],
+  },
+  { weight: WEIGHTS.description, get: (c) => [c.description, c.mission] },
+  {
+    weight: WEIGHTS.events,
+    get: (c) => [
+      c.location,
+      c.meeting_time,
+      ...(c.upcoming_events || []).flatMap((e) => [
+        e?.title,
+        e?.date,
+        e?.time,
+        e?.location,
+        e?.description,
+      ]),
+    ],
+  },
+];
+
+export const VENDOR_FIELDS = [
+  { weight: WEIGHTS.name, get: (v) => [v.name] },
+  {
+    weight: WEIGHTS.tags,
+    tags: true,
+    get: (v) => [...(v.services || []), ...(v.tags || []), ...(v.vibes || [])],
+  },
+  { weight: WEIGHTS.description, get: (v) => [v.description] },
+  {
+    weight: WEIGHTS.events,
+    get: (v) => [...(v.availability || []), v.price_range],
+  },
+];
+
+export const REQUEST_FIELDS = [
+  { weight: WEIGHTS.name, get: (r) => [r.title, r.club_name] },
+  { weight: WEIGHTS.tags, tags: true, get: (r) => [...(r.needs || [])] },
+  { weight: WEIGHTS.description, get: (r) => [r.description] },
+  { weight: WEIGHTS.events, get: (r) => [r.budget, r.date, r.time_window] },
+];
+
+/** Calendar entries from calendar.collectEvents ({ club, event, ... }) */
+export const EVENT_FIELDS = [
+  { weight: WEIGHTS.name, get: (e) => [e.event.title] },
+  {
+    weight: WEIGHTS.tags,
+    tags: true,
+    get: (e) => [...(e.club.interests || []), ...(e.club.vibes || [])],
+  },
+  { weight: WEIGHTS.description, get: (e) => [e.event.description, e.club.name] },
+  { weight: WEIGHTS.events, get: (e) => [e.event.location, e.event.date, e.event.time] },
+];
+
+/** Lowercased words; punctuation and dashes split words ("open-source" -> open, source). */
+export function tokenize(text) {
+  return (text ?? "")
+    .toString()
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}$]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Edit distance (insert/delete/substitute, plus adjacent swaps so "chia"
+ * finds "chai"), giving up early once it exceeds `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(rows[i - 1][j] + 1, row[j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], rows[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    rows.push(row);
+  }
+  return rows[a.length][b.length];
+}
+
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * How well one query term matches one word from the document, 0..1.
+ * exact > prefix > typo > substring.
+ */
+export function termSimilarity(term, word) {
+  if (term === word) return 1;
+  if (word.startsWith(term) && term.length >= 2) return 0.85;
+
+  const typos = allowedTypos(term);
+  if (typos > 0) {
+    const d = editDistance(term, word, typos);
+    if (d <= typos) return d === 1 ? 0.7 : 0.55;
+  }
+
+  if (term.length >= 3 && word.includes(term)) return 0.5;
+  return 0;
+}
+
+/**
+ * Score one item against query terms. Every term contributes its best match
+ * across all fields (similarity * field weight). Items matching more of the
+ * terms rank above items matching one term very well.
+ *
+ * Returns { score, terms } where `terms` are the document words that matched,
+ * for highlighting.
+ */
+export function scoreItem(item, queryTerms, fields) {
+  const words = fields.map((f) => {
+    const values = f.get(item).filter(Boolean);
+    return {
+      weight: f.weight,
+      words: (f.tags ? values.flatMap(tagAliases) : values).flatMap(tokenize),
+    };
+  });
+
+  let score = 0;
+  let covered = 0;
+  const terms = new Set();
+
+  for (const term of queryTerms) {
+    let best = 0;
+    const hits = [];
+
+    for (const field of words) {
+      for (const word of field.words) {
+        const sim = termSimilarity(term, word);
+        if (!sim) continue;
+        hits.push(word);
+        best = Math.max(best, sim * field.weight);
+      }
+    }
+
+    if (best > 0) {
+      covered++;
+      score += best;
+      hits.forEach((w) => terms.add(w));
+    }
+  }
+
+  if (!covered) return { score: 0, terms: [] };
+
+  const coverage = covered / queryTerms.length;
+  return { score: score * coverage * coverage, terms: [...terms] };
+}
+
+/**
+ * Rank `items` against a free-text query.
+ * Returns [{ item, score, terms }] sorted by score (ties keep input order).
+ * An empty query returns every item with score 0.
+ */
+export function searchItems(items, query, fields) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) {
+    return items.map((item) => ({ item, score: 0, terms: [] }));
+  }
+
+  return items
+    .map((item, index) => ({ item, index, ...scoreItem(item, queryTerms, fields) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item, score, terms }) => ({ item, score, terms }));
+}
+
+/**
+ * Split `text` into [{ text, match }] segments so matched words can be
+ * wrapped in <mark>.
+ */
+export function highlightSegments(text, terms) {
+  const str = (text ?? "").toString();
+  if (!terms || terms.length === 0 || !str) return [{ text: str, match: false }];
+
+  const wanted = new Set(terms);
+  const segments = [];
+  const re = /[\p{L}\p{N}$]+/gu;
+  let last = 0;
+  let m;
+
+  while ((m = re.exec(str))) {
+    if (!wanted.has(m[0].toLowerCase())) continue;
+    if (m.index > last) segments.push({ text: str.slice(last, m.index), match: false });
+    segments.push({ text: m[0], match: true });
+    last = m.index + m[0].length;
+  }
+  if (last < str.length) segments.push({ text: str.slice(last), match: false });
+
+  return segments;
+}
@@ -0,0 +1,337 @@
+// storage.js
+// Everything the app keeps in localStorage goes through here:
+//
+//   - a schema version ("storageVersion") and the migrations that bring older
+//     data up to date, run once per page before the first read or write
+//   - reads that recover from unparsable values (the bad value is kept under
+//     "<key>:corrupt" and the key is reset) instead of crashing or guessing
+//   - writes that report a full or disabled storage instead of failing silently
+//   - `storage` events, so a change in one tab shows up in the others
+//
+// Problems are reported through subscribeStorageProblems for the UI to show.
+
+import { isLegacyId, newId } from "./ids.js";
+import { parseMeetingTime } from "./storageMeetingTime.js";
+
+export const STORAGE_VERSION = 4;
+const VERSION_KEY = "storageVersion";
+const CORRUPT_SUFFIX = ":corrupt";
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function unique(list) {
+  const seen = new Set();
+  return list.filter((x) => {
+    const key = String(x);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * MIGRATIONS[n] takes data at version n to n + 1. Each gets `get(key)` and
+ * `set(key, value)` over parsed JSON and must tolerate missing keys.
+ * Never edit a migration once it has shipped; add the next one instead.
+ */
+const MIGRATIONS = [
+  // 0 -> 1: data from before versioning; coerce every key into the shape the app expects
+  ({ get, set }) => {
+    for (const key of ["heartedClubIds", "dismissedClubIds"]) {
+      if (get(key) !== undefined) set(key, unique(toArray(get(key))));
+    }
+    for (const key of ["userClubs", "userVendors", "userRequests"]) {
+      if (get(key) !== undefined) {
+        set(key, toArray(get(key)).filter((r) => r && typeof r === "object" && r.id != null));
+      }
+    }
+    const patches = get("seedPatches");
+    if (patches !== undefined && (typeof patches !== "object" || Array.isArray(patches))) {
+      set("seedPatches", {});
+    }
+    const quiz = get("tasteQuiz");
+    if (quiz !== undefined && (typeof quiz !== "object" || Array.isArray(quiz))) {
+      set("tasteQuiz", null);
+    }
+  },
+
+  // 1 -> 2: records added in this browser had random numeric ids that could
+  // collide across browsers and with seed ids; give them prefixed ids (ids.js)
+  // and follow the change in hearts, dismissals and vendor responses
+  ({ get, set }) => {
+    const renamed = { clubs: new Map(), vendors: new Map(), requests: new Map() };
+    const keys = { clubs: "userClubs", vendors: "userVendors", requests: "userRequests" };
+
+    for (const [kind, key] of Object.entries(keys)) {
+      const items = get(key);
+      if (!Array.isArray(items)) continue;
+      set(
+        key,
+        items.map((record) => {
+          if (!isLegacyId(record.id)) return record;
+          const id = newId(kind);
+          renamed[kind].set(String(record.id), id);
+          return { ...record, id };
+        })
+      );
+    }
+
+    const rename = (kind, id) => renamed[kind].get(String(id)) ?? id;
+    const withVendorIds = (req) => {
+      if (!Array.isArray(req?.responses)) return req;
+      const responses = req.responses.map((r) => ({ ...r, vendor_id: rename("vendors", r.vendor_id) }));
+      return { ...req, responses };
+    };
+
+    for (const key of ["heartedClubIds", "dismissedClubIds"]) {
+      const ids = get(key);
+      if (Array.isArray(ids)) set(key, ids.map((id) => rename("clubs", id)));
+    }
+
+    const requests = get("userRequests");
+    if (Array.isArray(requests)) set("userRequests", requests.map(withVendorIds));
+
+    const patches = get("seedPatches");
+    if (patches?.requests) {
+      const forRequests = Object.fromEntries(
+        Object.entries(patches.requests).map(([id, patch]) => [id, withVendorIds(patch)])
+      );
+      set("seedPatches", { ...patches, requests: forRequests });
+    }
+  },
+
+  // 2 -> 3: clubs get a structured meeting_schedule (schedule.js) next to the
+  // free-text meeting_time, wherever the text can be read
+  ({ get, set }) => {
+    const upgrade = (club) => {
+      if (!club || club.meeting_schedule || !club.meeting_time) return club;
+      const schedule = parseMeetingTime(club.meeting_time);
+      return schedule ? { ...club, meeting_schedule: schedule } : club;
+    };
+
+    const clubs = get("userClubs");
+    if (Array.isArray(clubs)) set("userClubs", clubs.map(upgrade));
+
+    const patches = get("seedPatches");
+    if (patches?.clubs) {
+      const forClubs = Object.fromEntries(
+        Object.entries(patches.clubs).map(([id, patch]) => [id, upgrade(patch)])
+      );
+      set("seedPatches", { ...patches, clubs: forClubs });
+    }
+  },
+
+  // 3 -> 4: events of clubs added in this browser get ids, and RSVPs that
+  // pointed at them by title and date point at the id instead
+  ({ get, set }) => {
+    const rekeyed = new Map(); // "clubId|title@date" -> "id:<event id>"
+    // rsvp.eventKey's fallback (with ics.slugify) as of this version, spelled out
+    const oldKey = (ev) => {
+      const slug = (ev.title ?? "")
+        .toString()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+      return `${slug || "event"}@${ev.date ?? ""}`;
+    };
+
+    const clubs = get("userClubs");
+    if (Array.isArray(clubs)) {
+      set(
+        "userClubs",
+        clubs.map((club) => {
+          if (!Array.isArray(club?.upcoming_events)) return club;
+          const events = club.upcoming_events.map((ev) => {
+            if (!ev || ev.id != null) return ev;
+            const id = newId("events");
+            rekeyed.set(`${club.id}|${oldKey(ev)}`, `id:${id}`);
+            return { ...ev, id };
+          });
+          return { ...club, upcoming_events: events };
+        })
+      );
+    }
+
+    const rsvps = get("userRsvps");
+    if (Array.isArray(rsvps)) {
+      set(
+        "userRsvps",
+        rsvps.map((r) => {
+          const key = rekeyed.get(`${r?.club_id}|${r?.event_key}`);
+          return key ? { ...r, event_key: key } : r;
+        })
+      );
+    }
+  },
+];
+
+export class StorageError extends Error {
+  constructor(message, kind) {
+    super(message);
+    this.name = "StorageError";
+    this.kind = kind; // quota | unavailable
+  }
+}
+
+// ---------- problem reporting ----------
+
+let problem = null; // { kind: quota | unavailable | corrupt | migration, key, message }
+const problemListeners = new Set();
+
+export function reportStorageProblem(next) {
+  problem = next;
+  problemListeners.forEach((listener) => listener());
+}
+
+export function getStorageProblem() {
+  return problem;
+}
+
+export function clearStorageProblem() {
+  reportStorageProblem(null);
+}
+
+/** For useSyncExternalStore: call `listener` whenever the current problem changes */
+export function subscribeStorageProblems(listener) {
+  problemListeners.add(listener);
+  return () => problemListeners.delete(listener);
+}
+
+// ---------- migrations ----------
+
+const migrated = new WeakSet();
+
+function parseOr(raw, fallback) {
+  try {
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Bring `storage` up to STORAGE_VERSION. Runs at most once per storage object;
+ * reads and writes call it, so callers normally don't need to.
+ * Data written by a newer version of the app is left alone.
+ */
+export function migrateStorage(storage = window.localStorage) {
+  if (migrated.has(storage)) return;
+  migrated.add(storage);
+
+  let version;
+  try {
+    version = Number(storage.getItem(VERSION_KEY) ?? 0) || 0;
+  } catch {
+    return; // storage disabled; writes will report it
+  }
+
+  for (; version < STORAGE_VERSION; version++) {
+    // a migration sees every change it has made so far, but nothing is stored
+    // until it finishes, so a failure leaves the data at the previous version
+    const pending = new Map();
+    const get = (key) => {
+      if (pending.has(key)) return pending.get(key);
+      return parseOr(storage.getItem(key), undefined);
+    };
+    const set = (key, value) => pending.set(key, value);
+
+    try {
+      MIGRATIONS[version]({ get, set });
+      for (const [key, value] of pending) storage.setItem(key, JSON.stringify(value));
+      storage.setItem(VERSION_KEY, String(version + 1));
+    } catch (err) {
+      reportStorageProblem({
+        kind: "migration",
+        key: null,
+        message: `Couldn't update your saved data to the latest format (${err.message}).`,
+      });
+      return;
+    }
+  }
+}
+
+// ---------- reads and writes ----------
+
+function isQuotaError(err) {
+  return (
+    err?.name === "QuotaExceededError" ||
+    err?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+    err?.code === 22 ||
+    err?.code === 1014
+  );
+}
+
+/**
+ * Parsed JSON stored under `key`, or `fallback` when there's nothing there.
+ * An unparsable value is moved to "<key>:corrupt", reported, and reset.
+ */
+export function readJson(key, fallback, storage = window.localStorage) {
+  migrateStorage(storage);
+
+  let raw;
+  try {
+    raw = storage.getItem(key);
+  } catch {
+    return fallback;
+  }
+  if (raw == null) return fallback;
+
+  try {
+    return JSON.parse(raw);
+  } catch {
+    try {
+      storage.setItem(key + CORRUPT_SUFFIX, raw);
+      storage.removeItem(key);
+    } catch {
+      // nothing more we can do; the fallback is still used
+    }
+    reportStorageProblem({
+      kind: "corrupt",
+      key,
+      message:
+        `Some saved data (${key}) couldn't be read and was reset. ` +
+        `A copy was kept as "${key + CORRUPT_SUFFIX}".`,
+    });
+    return fallback;
+  }
+}
+
+/** Store `value` as JSON; throws a StorageError when the browser refuses */
+export function writeJson(key, value, storage = window.localStorage) {
+  migrateStorage(storage);
+
+  try {
+    storage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    if (isQuotaError(err)) {
+      throw new StorageError(
+        "This browser's storage is full, so your latest change wasn't saved. " +
+          "Export a backup, then remove some clubs or requests you added.",
+        "quota"
+      );
+    }
+    throw new StorageError(
+      `Couldn't save to this browser's storage (${err.name}). Is private browsing on?`,
+      "unavailable"
+    );
+  }
+}
+
+/**
+ * Call `onChange(key, value)` when another tab changes one of `keys`
+ * (value is the parsed new value, or undefined when removed or cleared).
+ * Returns an unsubscribe function.
+ */
+export function subscribeToKeys(keys, onChange, storage = window.localStorage) {
+  function handle(e) {
+    if (e.storageArea !== storage) return;
+    // key is null when the other tab called storage.clear()
+    const changed = e.key == null ? keys : keys.filter((k) => k === e.key);
+    for (const key of changed) onChange(key, parseOr(e.newValue, undefined));
+  }
+
+  window.addEventListener("storage", handle);
+  return () => window.removeEventListener("storage", handle);
+}
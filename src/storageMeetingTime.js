@@ -0,0 +1,160 @@
+// storageMeetingTime.js
+// Frozen copy of schedule.parseMeetingTime (and the calendar.js time parsing
+// it relies on) as it was when storage migration 2 -> 3 shipped. A migration
+// has to give the same result whenever it runs, so fixes to the live parser
+// don't belong here: never edit this file.
+
+const DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const DAY_WORDS = {
+  sun: 0,
+  sunday: 0,
+  sundays: 0,
+  mon: 1,
+  monday: 1,
+  mondays: 1,
+  tue: 2,
+  tues: 2,
+  tuesday: 2,
+  tuesdays: 2,
+  wed: 3,
+  weds: 3,
+  wednesday: 3,
+  wednesdays: 3,
+  thu: 4,
+  thur: 4,
+  thurs: 4,
+  thursday: 4,
+  thursdays: 4,
+  fri: 5,
+  friday: 5,
+  fridays: 5,
+  sat: 6,
+  saturday: 6,
+  saturdays: 6,
+};
+const ORDINAL_WORDS = {
+  first: 1,
+  "1st": 1,
+  second: 2,
+  "2nd": 2,
+  third: 3,
+  "3rd": 3,
+  fourth: 4,
+  "4th": 4,
+  last: -1,
+};
+
+const TIME = String.raw`(?:\d{1,2}(?::\d{2})?\s*(?:[ap]\.?m?\.?(?![a-z]))?|noon|midnight)`;
+const TIME_RANGE = new RegExp(String.raw`${TIME}\s*(?:-|–|—|to|until|till)\s*${TIME}`);
+const DAY_RANGE = /\b([a-z]+)\s*(?:-|–|through|thru|to)\s*([a-z]+)\b/g;
+const SINGLE_TIME = /\d{1,2}(?::\d{2})?\s*[ap]\.?m?\.?(?![a-z])|\d{1,2}:\d{2}|noon/;
+
+function normalize(s) {
+  return (s ?? "").toString().trim().toLowerCase();
+}
+
+function parseTime(text) {
+  const raw = normalize(text).replace(/\./g, "");
+  if (!raw) return null;
+  if (raw === "noon") return { hours: 12, minutes: 0 };
+  if (raw === "midnight") return { hours: 0, minutes: 0 };
+
+  const m = raw.match(/^(\d{1,2})(?::?(\d{2}))?\s*(am|pm|a|p)?$/);
+  if (!m) return null;
+
+  let hours = Number(m[1]);
+  const minutes = Number(m[2] ?? 0);
+  const meridiem = m[3]?.[0];
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === "p" && hours < 12) hours += 12;
+    if (meridiem === "a" && hours === 12) hours = 0;
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+function timeInputValue(time) {
+  if (!time) return "";
+  return `${String(time.hours).padStart(2, "0")}:${String(time.minutes).padStart(2, "0")}`;
+}
+
+function parseTimeRange(text) {
+  const parts = normalize(text)
+    .split(/\s*(?:–|—|-|to)\s*/)
+    .filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const end = parts[1] ? parseTime(parts[1]) : null;
+  let start = parseTime(parts[0]);
+
+  const endMeridiem = parts[1]?.match(/(am|pm|a|p)$/)?.[0];
+  if (start && end && endMeridiem && !/[ap]m?$/.test(parts[0])) {
+    start = parseTime(parts[0] + endMeridiem) ?? start;
+  }
+
+  return start ? { start, end } : null;
+}
+
+function sortDays(days) {
+  return [...new Set(days)].sort((a, b) => DAY_ORDER.indexOf(a) - DAY_ORDER.indexOf(b));
+}
+
+function parseDays(text) {
+  const words = text.match(/[a-z]+/g) ?? [];
+  const days = [];
+
+  if (words.includes("weekdays")) days.push(1, 2, 3, 4, 5);
+  if (words.includes("weekends")) days.push(0, 6);
+
+  for (const [, first, last] of text.matchAll(DAY_RANGE)) {
+    if (!(first in DAY_WORDS && last in DAY_WORDS)) continue;
+    for (let d = DAY_WORDS[first]; d !== DAY_WORDS[last]; d = (d + 1) % 7) days.push(d);
+  }
+
+  for (const word of words) if (word in DAY_WORDS) days.push(DAY_WORDS[word]);
+  return sortDays(days);
+}
+
+function parseTimes(text) {
+  const match = text.match(TIME_RANGE) ?? text.match(SINGLE_TIME);
+  if (!match) return null;
+  const range = parseTimeRange(match[0].replace(/\s*(?:until|till)\s*/, "-"));
+  if (!range) return null;
+
+  let { start, end } = range;
+  if (!/[ap]/.test(match[0]) && start.hours >= 1 && start.hours < 8) {
+    start = { ...start, hours: start.hours + 12 };
+    if (end && end.hours < 12) end = { ...end, hours: end.hours + 12 };
+  }
+  return { start, end };
+}
+
+/** Free-text meeting_time -> schedule, or null (schedule.parseMeetingTime, frozen) */
+export function parseMeetingTime(text) {
+  const raw = (text ?? "").toString().toLowerCase().replace(/\s+/g, " ").trim();
+  if (!raw) return null;
+
+  const days = parseDays(raw);
+  const times = parseTimes(raw);
+  if (!days.length || !times) return null;
+
+  const schedule = {
+    days,
+    start: timeInputValue(times.start),
+    frequency: "weekly",
+  };
+  if (times.end) schedule.end = timeInputValue(times.end);
+
+  const ordinal = [...raw.matchAll(/\b(first|1st|second|2nd|third|3rd|fourth|4th|last) ([a-z]+)/g)]
+    .find(([, , day]) => day in DAY_WORDS);
+  if (/bi-?weekly|every other|every (?:2|two) weeks|alternat/.test(raw)) {
+    schedule.frequency = "biweekly";
+  } else if (/monthly|of (?:the|each|every) month/.test(raw) || ordinal) {
+    schedule.frequency = "monthly";
+    schedule.week = ordinal ? ORDINAL_WORDS[ordinal[1]] : 1;
+  }
+  return schedule;
+}
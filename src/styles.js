@@ -0,0 +1,509 @@
+// styles.js
+// Shared inline styles for App and the components/ views.
+export const styles = {
+  page: {
+    width: "100%",
+    minHeight: "100vh",
+    margin: 0,
+    padding: 20,
+    boxSizing: "border-box",
+    color: "#111827",
+    fontFamily:
+      "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial",
+    background: "#ffffff",
+  },
+
+  header: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 16,
+    alignItems: "flex-end",
+    justifyContent: "space-between",
+    marginBottom: 10,
+  },
+
+  // ✅ branding
+  brandTitle: {
+    margin: 0,
+    fontSize: 32,
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+  },
+  brandLogo: { height: 60, width: "auto" },
+  subtitle: { margin: "8px 0 0 0", color: "#3d8cfb" },
+
+  topActions: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: 8,
+    marginBottom: 14,
+  },
+  smallBtn: {
+    padding: "6px 10px",
+    borderRadius: 999,
+    border: "1px solid #ddd",
+    background: "white",
+    color: "#111827",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+
+  searchWrap: {
+    display: "flex",
+    gap: 10,
+    alignItems: "center",
+    minWidth: 320,
+    flex: 1,
+    justifyContent: "flex-end",
+  },
+  search: {
+    width: "100%",
+    maxWidth: 520,
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid #ddd",
+    outline: "none",
+    background: "white",
+    color: "#111827",
+  },
+  clearBtn: {
+    padding: "10px 12px",
+    borderRadius: 12,
+    color: "#111827",
+    border: "1px solid #ddd",
+    background: "white",
+    cursor: "pointer",
+  },
+
+  errorBanner: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 10,
+    margin: "10px 0",
+    padding: "8px 12px",
+    borderRadius: 12,
+    border: "1px solid #f5c2c7",
+    background: "#fff5f5",
+    color: "#842029",
+    fontSize: 13,
+  },
+
+  grid: {
+    display: "grid",
+    gridTemplateColumns: "1fr 1.6fr",
+    gap: 16,
+    alignItems: "start",
+  },
+
+  panel: {
+    border: "1px solid #eee",
+    borderRadius: 16,
+    padding: 14,
+    background: "#fff",
+  },
+
+  panelHeader: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  h2: { margin: 0, fontSize: 18 },
+  countPill: {
+    fontSize: 12,
+    padding: "4px 8px",
+    borderRadius: 999,
+    border: "1px solid #eee",
+    background: "#fafafa",
+  },
+  muted: { margin: "10px 0 0 0", color: "#666" },
+
+  modeToggle: {
+    display: "flex",
+    gap: 8,
+    marginTop: 10,
+    flexWrap: "wrap",
+  },
+
+  chipsWrap: {
+    marginTop: 10,
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  chip: {
+    padding: "6px 10px",
+    borderRadius: 999,
+    border: "1px solid #ddd",
+    background: "white",
+    cursor: "pointer",
+    fontSize: 12,
+    color: "black",
+  },
+  filterLine: { margin: "10px 0 0 0", fontSize: 12, color: "#666" },
+  checkLine: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 10,
+    fontSize: 12,
+    color: "#444",
+  },
+  filterTags: { color: "#111827", fontWeight: 600 },
+  linkBtn: {
+    border: "none",
+    background: "none",
+    padding: 0,
+    color: "#3d8cfb",
+    cursor: "pointer",
+    fontSize: 12,
+    textDecoration: "underline",
+  },
+
+  list: { marginTop: 12, display: "grid", gap: 12 },
+
+  card: {
+    border: "1px solid #e7e7e7",
+    borderRadius: 16,
+    padding: 14,
+    background: "white",
+  },
+  cardTop: {
+    display: "flex",
+    gap: 12,
+    alignItems: "flex-start",
+    justifyContent: "space-between",
+  },
+  cardTitleRow: { display: "flex", alignItems: "center", gap: 8 },
+  cardTitle: { margin: 0, fontSize: 16 },
+  ownerPill: {
+    fontSize: 11,
+    padding: "2px 8px",
+    borderRadius: 999,
+    border: "1px solid #d1fadf",
+    background: "#ecfdf3",
+    color: "#027a48",
+  },
+  cardDesc: { margin: "6px 0 0 0", color: "#555", lineHeight: 1.35 },
+
+  cardTitleButton: {
+    border: "none",
+    padding: 0,
+    background: "transparent",
+    cursor: "pointer",
+    fontSize: 16,
+    fontWeight: 700,
+    color: "#111827",
+    textAlign: "left",
+  },
+
+  heartBtn: {
+    border: "1px solid #ddd",
+    borderRadius: 999,
+    padding: "8px 10px",
+    cursor: "pointer",
+    fontSize: 16,
+    lineHeight: 1,
+    outline: "none",
+  },
+
+  tagsArea: { marginTop: 12, display: "grid", gap: 8 },
+  tagRow: { display: "flex", gap: 10, alignItems: "flex-start" },
+  tagLabel: { fontSize: 12, color: "#666", width: 70 },
+  tagWrap: { display: "flex", flexWrap: "wrap", gap: 6 },
+  tag: {
+    fontSize: 12,
+    padding: "4px 8px",
+    borderRadius: 999,
+    border: "1px solid #eee",
+    background: "#fafafa",
+  },
+
+  mark: { background: "#fff3b0", color: "inherit", borderRadius: 4, padding: "0 2px" },
+
+  link: {
+    display: "inline-block",
+    marginTop: 12,
+    color: "#3d8cfb",
+    textDecoration: "none",
+    wordBreak: "break-word",
+  },
+  noLink: { display: "inline-block", marginTop: 12, color: "#999", fontSize: 12 },
+
+  // ✅ matchmaking
+  suggestBox: {
+    marginTop: 12,
+    padding: 10,
+    borderRadius: 12,
+    border: "1px dashed #cfe0fd",
+    background: "#f7faff",
+    display: "grid",
+    gap: 8,
+  },
+  suggestTitle: { fontSize: 12, fontWeight: 700, color: "#3d8cfb" },
+  suggestRow: { display: "grid", gap: 2 },
+  suggestWhy: { fontSize: 12, color: "#666", marginTop: 4 },
+  statusPill: {
+    fontSize: 11,
+    padding: "2px 8px",
+    borderRadius: 999,
+    border: "1px solid #ddd",
+    whiteSpace: "nowrap",
+  },
+  statusColors: {
+    open: { background: "#ecfdf3", borderColor: "#d1fadf", color: "#027a48" },
+    in_talks: { background: "#fffaeb", borderColor: "#fedf89", color: "#b54708" },
+    fulfilled: { background: "#eaf2ff", borderColor: "#cfe0fd", color: "#1d4ed8" },
+    expired: { background: "#f2f4f7", borderColor: "#e4e7ec", color: "#667085" },
+  },
+  responseRow: {
+    padding: "8px 0",
+    borderTop: "1px solid #eee",
+    fontSize: 13,
+  },
+  acceptedRow: {
+    padding: "8px 10px",
+    margin: "4px -10px 0",
+    borderRadius: 10,
+    background: "#ecfdf3",
+    fontSize: 13,
+  },
+  matchPill: {
+    fontSize: 11,
+    padding: "2px 8px",
+    borderRadius: 999,
+    border: "1px solid #cfe0fd",
+    background: "#eaf2ff",
+    color: "#1d4ed8",
+    whiteSpace: "nowrap",
+  },
+
+  // ✅ icon-link styles
+  iconLinksRow: { display: "flex", gap: 10, marginTop: 12, alignItems: "center" },
+  iconLinkImg: { height: 20, width: "auto", cursor: "pointer" },
+
+  overlay: {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(0,0,0,0.35)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 16,
+    zIndex: 10001, // above fullOverlay so edit forms can open over a profile
+  },
+  modal: {
+    width: "100%",
+    maxWidth: 680,
+    background: "white",
+    borderRadius: 16,
+    border: "1px solid #eee",
+    padding: 14,
+  },
+  modalWide: { maxWidth: 1040, maxHeight: "90vh", overflowY: "auto" },
+  modalHeader: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 10,
+  },
+  xBtn: {
+    border: "1px solid #ddd",
+    background: "white",
+    color: "#111827",
+    borderRadius: 10,
+    padding: "6px 10px",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+  modalSubtext: { margin: "10px 0 0 0", color: "#666" },
+
+  formGrid: { marginTop: 12, display: "grid", gap: 10 },
+  twoCol: {
+    display: "grid",
+    gridTemplateColumns: "1fr 1fr",
+    gap: 10,
+  },
+  input: {
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid #ddd",
+    background: "white",
+    color: "#111827",
+    outline: "none",
+  },
+  textarea: {
+    padding: "10px 12px",
+    borderRadius: 12,
+    border: "1px solid #ddd",
+    background: "white",
+    color: "#111827",
+    outline: "none",
+    resize: "vertical",
+  },
+  modalActions: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: 10,
+    marginTop: 6,
+  },
+  primaryBtn: {
+    padding: "9px 12px",
+    borderRadius: 12,
+    border: "1px solid #3d8cfb",
+    background: "#3d8cfb",
+    color: "white",
+    cursor: "pointer",
+    fontWeight: 600,
+  },
+  secondaryBtn: {
+    padding: "9px 12px",
+    borderRadius: 12,
+    border: "1px solid #ddd",
+    background: "white",
+    color: "#111827",
+    cursor: "pointer",
+    fontWeight: 600,
+  },
+
+  formHint: { margin: 0, fontSize: 12, color: "#666" },
+  field: { display: "grid", gap: 4 },
+  fieldLabel: { fontSize: 12, fontWeight: 700, color: "#444" },
+  fieldError: { fontSize: 12, color: "#b42318" },
+  inputInvalid: { borderColor: "#fda29b", background: "#fffbfa" },
+  checkGroup: { display: "flex", gap: 14, flexWrap: "wrap", fontSize: 13 },
+
+  footer: { marginTop: 18, paddingTop: 10, borderTop: "1px solid #eee" },
+  footerText: { color: "#888", fontSize: 12 },
+
+  fullOverlay: {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(0,0,0,0.45)",
+    zIndex: 10000,
+    display: "flex",
+    justifyContent: "center",
+    alignItems: "stretch",
+    padding: 0,
+  },
+
+  fullModal: {
+    width: "100%",
+    height: "100%",
+    background: "white",
+    borderRadius: 0,
+    border: "none",
+    overflow: "hidden",
+    display: "flex",
+    flexDirection: "column",
+  },
+
+  bannerWrap: {
+    width: "100%",
+    height: 180,
+    borderBottom: "1px solid #eee",
+    background: "#f3f4f6",
+  },
+  bannerImg: {
+    width: "100%",
+    height: "100%",
+    objectFit: "cover",
+    display: "block",
+  },
+
+  fullTopBar: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 12,
+    padding: 16,
+    borderBottom: "1px solid #eee",
+  },
+
+  fullCloseBtn: {
+    border: "1px solid #ddd",
+    background: "white",
+    color: "#111827",
+    borderRadius: 12,
+    padding: "8px 12px",
+    cursor: "pointer",
+    fontSize: 14,
+  },
+
+  clubLogo: {
+    width: 56,
+    height: 56,
+    objectFit: "cover",
+    borderRadius: 14,
+    border: "1px solid #eee",
+    background: "#fff",
+  },
+  clubLogoFallback: {
+    width: 56,
+    height: 56,
+    borderRadius: 14,
+    border: "1px solid #eee",
+    display: "grid",
+    placeItems: "center",
+    color: "#777",
+    fontSize: 12,
+    background: "#fafafa",
+  },
+
+  metaLine: {
+    marginTop: 8,
+    display: "flex",
+    gap: 8,
+    flexWrap: "wrap",
+  },
+  metaPill: {
+    fontSize: 12,
+    padding: "4px 8px",
+    borderRadius: 999,
+    border: "1px solid #eee",
+    background: "#fafafa",
+    color: "#444",
+  },
+
+  fullContent: {
+    padding: 16,
+    overflowY: "auto",
+    maxWidth: 1000,
+    width: "100%",
+    margin: "0 auto",
+  },
+
+  fullSection: { marginTop: 18 },
+  sectionHeader: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 10,
+    flexWrap: "wrap",
+    marginBottom: 8,
+  },
+  fullH3: { margin: "0 0 8px 0", fontSize: 16 },
+
+  eventsList: { display: "grid", gap: 10 },
+  eventCard: {
+    border: "1px solid #eee",
+    borderRadius: 14,
+    padding: 12,
+    background: "#fff",
+  },
+
+  mediaGrid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))",
+    gap: 12,
+  },
+
+  mediaImg: {
+    width: "100%",
+    height: 240,
+    objectFit: "cover",
+    borderRadius: 16,
+    border: "1px solid #eee",
+  },
+};
@@ -0,0 +1,136 @@
+// taxonomy.js
+// Canonical tags, their synonyms and parents, so "cs" finds "computer science"
+// and picking "technology" also finds cybersecurity clubs. Tags not listed
+// here still work; they just have no synonyms or parents.
+
+/** canonical tag -> { synonyms?, parent? } (all lowercase) */
+export const TAXONOMY = {
+  // club interests
+  technology: { synonyms: ["tech"] },
+  "computer science": {
+    synonyms: ["cs", "compsci", "comp sci", "computer-science"],
+    parent: "technology",
+  },
+  cybersecurity: { synonyms: ["cyber", "infosec", "cyber security"], parent: "technology" },
+  "open-source": { synonyms: ["open source", "oss"], parent: "technology" },
+  engineering: { synonyms: ["eng", "engineer"] },
+  math: { synonyms: ["maths", "mathematics"] },
+  logic: { parent: "math" },
+  "problem-solving": { synonyms: ["problem solving"] },
+  career: { synonyms: ["careers", "professional development"] },
+  networking: { parent: "career" },
+  business: { synonyms: ["biz"] },
+  entrepreneurship: { synonyms: ["startups", "startup", "founders"], parent: "business" },
+  women: { synonyms: ["womens", "women in stem"] },
+  service: { synonyms: ["volunteering", "volunteer", "community service"] },
+  "social justice": { synonyms: ["activism", "advocacy"], parent: "service" },
+  creative: { synonyms: ["creativity"] },
+  art: { synonyms: ["arts"], parent: "creative" },
+  stitch: { synonyms: ["sewing", "knitting", "crochet"], parent: "creative" },
+  culture: { synonyms: ["cultural clubs"] },
+  islam: { synonyms: ["muslim", "muslims"], parent: "culture" },
+  health: { synonyms: ["wellness"] },
+  premed: { synonyms: ["pre-med", "pre med", "medicine"], parent: "health" },
+  sports: { synonyms: ["sport", "athletics"] },
+  cricket: { parent: "sports" },
+
+  // club collab needs
+  cohost: { synonyms: ["co-host", "cohosts", "co-hosting"] },
+  speaker: { synonyms: ["speakers", "guest speaker"] },
+  sponsor: { synonyms: ["sponsors", "sponsorship"] },
+
+  // vendor services / request needs
+  food: { synonyms: ["catered food"] },
+  catering: { synonyms: ["caterer"], parent: "food" },
+  snacks: { synonyms: ["snack"], parent: "food" },
+  pizza: { parent: "food" },
+  desserts: { synonyms: ["dessert", "sweets"], parent: "food" },
+  "baked-goods": { synonyms: ["baked goods", "bakery", "pastries"], parent: "desserts" },
+  beverages: { synonyms: ["drinks", "beverage"] },
+  chai: { synonyms: ["karak"], parent: "beverages" },
+  boba: { synonyms: ["bubble tea", "milk tea"], parent: "beverages" },
+  photography: { synonyms: ["photo", "photos", "photographer"] },
+  "event-coverage": { synonyms: ["event coverage"], parent: "photography" },
+  portraits: { synonyms: ["headshots"], parent: "photography" },
+};
+
+export function normalizeTag(tag) {
+  return (tag ?? "").toString().trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// every known spelling -> canonical tag
+const LOOKUP = new Map(
+  Object.entries(TAXONOMY).flatMap(([tag, { synonyms = [] }]) => [
+    [tag, tag],
+    ...synonyms.map((s) => [normalizeTag(s), tag]),
+  ])
+);
+
+/** "CS" -> "computer science"; unknown tags come back normalized */
+export function canonicalTag(tag) {
+  const key = normalizeTag(tag);
+  return LOOKUP.get(key) ?? key;
+}
+
+/** Parents of a tag, nearest first: "cybersecurity" -> ["technology"] */
+export function ancestors(tag) {
+  const out = [];
+  let parent = TAXONOMY[canonicalTag(tag)]?.parent;
+  while (parent && !out.includes(parent)) {
+    out.push(parent);
+    parent = TAXONOMY[parent]?.parent;
+  }
+  return out;
+}
+
+/** Canonical tags plus all their parents, deduped */
+export function expandTags(tags) {
+  const out = new Set();
+  for (const tag of tags ?? []) {
+    const canonical = canonicalTag(tag);
+    if (!canonical) continue;
+    out.add(canonical);
+    ancestors(canonical).forEach((a) => out.add(a));
+  }
+  return [...out];
+}
+
+/** True when any of `itemTags` is `wanted`, a synonym of it, or a child of it */
+export function tagMatches(itemTags, wanted) {
+  const target = canonicalTag(wanted);
+  return expandTags(itemTags).includes(target);
+}
+
+/** Canonical, deduped tags as a form should save them (order kept) */
+export function canonicalizeTags(tags) {
+  return [...new Set((tags ?? []).map(canonicalTag).filter(Boolean))];
+}
+
+/**
+ * Extra words search should treat as part of a tag: its canonical name,
+ * synonyms, and parents ("computer science" also answers "cs" and "tech").
+ */
+export function tagAliases(tag) {
+  const canonical = canonicalTag(tag);
+  const words = [tag, canonical];
+  for (const t of [canonical, ...ancestors(canonical)]) {
+    words.push(t, ...(TAXONOMY[t]?.synonyms ?? []));
+  }
+  return [...new Set(words.filter(Boolean))];
+}
+
+/**
+ * Tags actually used by `items`, most common first: [{ tag, count }].
+ * A child tag also counts toward its parents.
+ */
+export function countTags(items, getTags) {
+  const counts = new Map();
+  for (const item of items) {
+    for (const tag of expandTags(getTags(item))) {
+      counts.set(tag, (counts.get(tag) ?? 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
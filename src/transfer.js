@@ -0,0 +1,398 @@
+// transfer.js
+// Export what this browser added (clubs, requests, hearts) as JSON or CSV, and
+// plan an import: parse, validate row by row, de-duplicate against what's
+// already here, and report what would change before anything is saved.
+
+import { describeErrors, validateRecord } from "./schema.js";
+import { isGeneratedId, newId } from "./ids.js";
+
+export const EXPORT_VERSION = 1;
+
+const LIST_SEPARATOR = ";";
+
+/**
+ * CSV columns per collection; list columns hold "a; b; c", events and the
+ * meeting schedule hold JSON
+ */
+export const CSV_COLUMNS = {
+  clubs: [
+    "id",
+    "name",
+    "description",
+    "mission",
+    "location",
+    "meeting_time",
+    "meeting_schedule",
+    "interests",
+    "vibes",
+    "collab_needs",
+    "contact",
+    "discord",
+    "logo_url",
+    "banner_url",
+    "flyers",
+    "photos",
+    "upcoming_events",
+  ],
+  requests: [
+    "id",
+    "club_name",
+    "title",
+    "description",
+    "needs",
+    "budget",
+    "date",
+    "time_window",
+    "contact",
+    "status",
+  ],
+  hearts: ["club_id"],
+};
+
+const LIST_FIELDS = ["interests", "vibes", "collab_needs", "flyers", "photos", "needs"];
+const JSON_FIELDS = ["upcoming_events", "meeting_schedule"];
+const ID_FIELDS = ["id", "club_id"];
+
+// ---------- CSV ----------
+
+// spreadsheets run cells starting with these as formulas; a leading ' makes
+// them plain text there, and import takes it off again
+const FORMULA_START = /^[=+\-@]/;
+
+function csvCell(value) {
+  let text = value == null ? "" : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function unguardCell(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/** Rows of objects -> CSV text with a header row */
+export function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(
+      columns
+        .map((col) => {
+          const value = row[col];
+          if (JSON_FIELDS.includes(col)) {
+            const empty = !value || !Object.keys(value).length; // [] or {}
+            return csvCell(empty ? "" : JSON.stringify(value));
+          }
+          if (Array.isArray(value)) return csvCell(value.join(`${LIST_SEPARATOR} `));
+          return csvCell(value);
+        })
+        .join(",")
+    );
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+/** CSV text -> array of rows (arrays of strings); handles quotes and CRLF */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// which collection a CSV holds, from its header
+function detectCsvCollection(header) {
+  if (header.includes("title") && header.includes("club_name")) return "requests";
+  if (header.includes("name")) return "clubs";
+  if (header.includes("club_id")) return "hearts";
+  return null;
+}
+
+function parseJsonCell(col, raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error(`${col} isn't valid JSON.`);
+  }
+}
+
+function csvRecord(header, cells) {
+  const record = {};
+  header.forEach((col, idx) => {
+    const raw = unguardCell((cells[idx] ?? "").trim());
+    if (LIST_FIELDS.includes(col)) {
+      record[col] = raw
+        .split(/[;\n]/)
+        .map((s) => s.trim())
+        .filter(Boolean);
+    } else if (JSON_FIELDS.includes(col)) {
+      if (raw) record[col] = parseJsonCell(col, raw);
+      else if (col === "upcoming_events") record[col] = [];
+    } else if (raw) {
+      // numeric ids stay numbers, like the seed data's
+      record[col] = ID_FIELDS.includes(col) && /^\d+$/.test(raw) ? Number(raw) : raw;
+    }
+  });
+  return record;
+}
+
+// ---------- export ----------
+
+/** Everything this browser added, as a JSON backup */
+export function exportJson({ clubs, requests, heartedIds }, now = new Date()) {
+  return JSON.stringify(
+    {
+      version: EXPORT_VERSION,
+      exported_at: now.toISOString(),
+      clubs,
+      requests,
+      hearted_club_ids: heartedIds,
+    },
+    null,
+    2
+  );
+}
+
+/** One collection as CSV ("hearts" exports the hearted club ids) */
+export function exportCsv(collection, items) {
+  const rows = collection === "hearts" ? items.map((id) => ({ club_id: id })) : items;
+  return toCsv(rows, CSV_COLUMNS[collection]);
+}
+
+/** Browser download of a text file */
+export function downloadText(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ---------- import ----------
+
+/**
+ * Parse an export file (JSON or CSV) into
+ *   { clubs: [{ row, record }], requests: [...], hearts: [...],
+ *     errors: [{ collection, row, message }] }
+ * `row` is what the user sees: "row 4" for CSV (the header is row 1), "clubs[2]" for JSON.
+ */
+export function parseImport(text, filename = "") {
+  const out = { clubs: [], requests: [], hearts: [], errors: [] };
+  const trimmed = text.trim();
+  if (!trimmed) {
+    out.errors.push({ collection: null, row: null, message: "The file is empty." });
+    return out;
+  }
+
+  const looksJson = /\.json$/i.test(filename) || /^[[{]/.test(trimmed);
+  return looksJson ? parseJsonImport(trimmed, out) : parseCsvImport(trimmed, out);
+}
+
+function parseJsonImport(text, out) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    out.errors.push({ collection: null, row: null, message: `Not valid JSON (${err.message}).` });
+    return out;
+  }
+
+  // a bare array is a list of clubs
+  const doc = Array.isArray(parsed) ? { clubs: parsed } : parsed ?? {};
+  for (const collection of ["clubs", "requests"]) {
+    const list = doc[collection] ?? [];
+    if (!Array.isArray(list)) {
+      out.errors.push({ collection, row: null, message: `"${collection}" should be a list.` });
+      continue;
+    }
+    list.forEach((record, idx) => {
+      const row = `${collection}[${idx}]`;
+      if (!record || typeof record !== "object" || Array.isArray(record)) {
+        out.errors.push({ collection, row, message: "Not an object." });
+      } else {
+        out[collection].push({ row, record });
+      }
+    });
+  }
+
+  const hearts = doc.hearted_club_ids ?? doc.heartedClubIds ?? [];
+  if (Array.isArray(hearts)) {
+    hearts.forEach((id, idx) =>
+      out.hearts.push({ row: `hearted_club_ids[${idx}]`, record: { club_id: id } })
+    );
+  } else {
+    const message = '"hearted_club_ids" should be a list.';
+    out.errors.push({ collection: "hearts", row: null, message });
+  }
+  return out;
+}
+
+function parseCsvImport(text, out) {
+  const [header, ...rows] = parseCsvRows(text);
+  const columns = (header ?? []).map((h) => h.trim().toLowerCase());
+  const collection = detectCsvCollection(columns);
+  if (!collection) {
+    out.errors.push({
+      collection: null,
+      row: "row 1",
+      message: "Unrecognized CSV header. Export a file first to see the expected columns.",
+    });
+    return out;
+  }
+
+  rows.forEach((cells, idx) => {
+    const row = `row ${idx + 2}`;
+    try {
+      out[collection].push({ row, record: csvRecord(columns, cells) });
+    } catch (err) {
+      out.errors.push({ collection, row, message: err.message });
+    }
+  });
+  return out;
+}
+
+// same rules as the forms (schema.js)
+function importProblems(collection, record) {
+  const errors = validateRecord(collection, record);
+  return Object.keys(errors).length ? [describeErrors(errors)] : [];
+}
+
+function normalizeName(s) {
+  return (s ?? "").toString().trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// records are the same when ids match, or names match (clubs) / club + title match (requests)
+const DEDUPE_KEY = {
+  clubs: (r) => normalizeName(r.name),
+  requests: (r) => `${normalizeName(r.club_name)}|${normalizeName(r.title)}`,
+};
+
+/**
+ * What importing `parsed` would do against `existing` ({ clubs, requests, heartedIds }):
+ * {
+ *   clubs / requests: { create: [record], update: [record], skip: [{ row, record, reason }] },
+ *   hearts: { add: [id], skip: [{ row, reason }] },
+ *   errors: [{ collection, row, message }]
+ * }
+ * Only records this browser owns are updated; others that already exist are skipped.
+ * New records keep their id only if it's a free prefixed id (ids.js); numeric
+ * ids from older exports are replaced. Hearts follow club ids that changed.
+ */
+export function planImport(parsed, existing) {
+  const plan = {
+    clubs: { create: [], update: [], skip: [] },
+    requests: { create: [], update: [], skip: [] },
+    hearts: { add: [], skip: [] },
+    errors: [...parsed.errors],
+  };
+  const clubIdMap = new Map(); // id in the file -> id it will have here
+
+  for (const collection of ["clubs", "requests"]) {
+    const current = existing[collection] ?? [];
+    const byId = new Map(current.map((r) => [String(r.id), r]));
+    const byKey = new Map(current.map((r) => [DEDUPE_KEY[collection](r), r]));
+    const taken = new Set(current.map((r) => String(r.id)));
+    const seenInFile = new Map(); // dedupe key -> row
+
+    for (const { row, record } of parsed[collection]) {
+      const problems = importProblems(collection, record);
+      if (problems.length) {
+        plan.errors.push({ collection, row, message: problems.join("; ") });
+        continue;
+      }
+
+      const key = DEDUPE_KEY[collection](record);
+      if (seenInFile.has(key)) {
+        plan[collection].skip.push({ row, record, reason: `duplicate of ${seenInFile.get(key)}` });
+        continue;
+      }
+      seenInFile.set(key, row);
+
+      const { owned: _owned, owner_token: _token, ...clean } = record;
+      // an id only identifies the same record if it's ours or the names agree;
+      // otherwise it's a collision with an unrelated record and gets a new id
+      const sameId = record.id != null ? byId.get(String(record.id)) : null;
+      const idMatch =
+        sameId && (sameId.owned || DEDUPE_KEY[collection](sameId) === key) ? sameId : null;
+      const match = idMatch || byKey.get(key);
+
+      if (match) {
+        if (collection === "clubs" && record.id != null) clubIdMap.set(String(record.id), match.id);
+        if (match.owned) plan[collection].update.push({ ...clean, id: match.id });
+        else plan[collection].skip.push({ row, record, reason: "already in the directory" });
+        continue;
+      }
+
+      const keepId = isGeneratedId(record.id, collection) && !taken.has(record.id);
+      const id = keepId ? record.id : newId(collection);
+      taken.add(String(id));
+      if (collection === "clubs" && record.id != null) clubIdMap.set(String(record.id), id);
+      plan[collection].create.push({ ...clean, id });
+    }
+  }
+
+  const allClubs = [...(existing.clubs ?? []), ...plan.clubs.create];
+  const hearted = new Set((existing.heartedIds ?? []).map(String));
+
+  for (const { row, record } of parsed.hearts) {
+    const raw = String(record.club_id ?? "").trim();
+    const mapped = clubIdMap.get(raw);
+    const club = allClubs.find((c) => String(c.id) === String(mapped ?? raw));
+
+    if (!raw) plan.errors.push({ collection: "hearts", row, message: "club_id is required" });
+    else if (!club) plan.hearts.skip.push({ row, reason: `no club with id ${raw}` });
+    else if (hearted.has(String(club.id))) {
+      plan.hearts.skip.push({ row, reason: "already hearted" });
+    } else {
+      hearted.add(String(club.id));
+      plan.hearts.add.push(club.id);
+    }
+  }
+
+  return plan;
+}
+
+/** Number of records/hearts the plan would write */
+export function planSize(plan) {
+  return (
+    plan.clubs.create.length +
+    plan.clubs.update.length +
+    plan.requests.create.length +
+    plan.requests.update.length +
+    plan.hearts.add.length
+  );
+}
@@ -0,0 +1,102 @@
+// useData.js
+// React state on top of a data source (see dataSource.js): loads every
+// collection once, exposes loading/error state, and re-reads a collection
+// after each change so local and API modes order records the same way. In demo
+// mode, changes made in another tab are picked up as they happen.
+import { useCallback, useEffect, useState } from "react";
+import { COLLECTIONS, dataSource } from "./dataSource.js";
+
+const EMPTY = { clubs: [], vendors: [], requests: [], rsvps: [] };
+
+export function useData(source = dataSource) {
+  const [data, setData] = useState(EMPTY);
+  const [status, setStatus] = useState("loading"); // loading | ready | error
+  const [error, setError] = useState(null);
+  const [loadCount, setLoadCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all(COLLECTIONS.map((name) => source.list(name)))
+      .then((lists) => {
+        if (cancelled) return;
+        setData(Object.fromEntries(COLLECTIONS.map((name, i) => [name, lists[i]])));
+        setStatus("ready");
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setStatus("error");
+        setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source, loadCount]);
+
+  // demo mode: pick up records added or changed in another tab
+  useEffect(() => {
+    if (!source.subscribe) return;
+    return source.subscribe((name) => {
+      source
+        .list(name)
+        .then((list) => setData((prev) => ({ ...prev, [name]: list })))
+        .catch((err) => setError(err.message));
+    });
+  }, [source]);
+
+  const reload = useCallback(() => {
+    setStatus("loading");
+    setLoadCount((n) => n + 1);
+  }, []);
+
+  // run a change, then refresh that collection; errors are kept for the UI and rethrown
+  const mutate = useCallback(
+    async (name, change) => {
+      try {
+        const result = await change();
+        const list = await source.list(name);
+        setData((prev) => ({ ...prev, [name]: list }));
+        setError(null);
+        return result;
+      } catch (err) {
+        setError(err.message);
+        throw err;
+      }
+    },
+    [source]
+  );
+
+  const create = useCallback(
+    (name, item) => mutate(name, () => source.create(name, item)),
+    [mutate, source]
+  );
+  const update = useCallback(
+    (name, id, patch) => mutate(name, () => source.update(name, id, patch)),
+    [mutate, source]
+  );
+  const remove = useCallback(
+    (name, id) => mutate(name, () => source.remove(name, id)),
+    [mutate, source]
+  );
+
+  const addResponse = useCallback(
+    (requestId, response) =>
+      mutate("requests", () => source.addResponse(requestId, response)),
+    [mutate, source]
+  );
+
+  return {
+    ...data,
+    status,
+    error,
+    kind: source.kind,
+    clearError: () => setError(null),
+    reload,
+    create,
+    update,
+    remove,
+    addResponse,
+  };
+}
@@ -1,7 +1,54 @@
-import { defineConfig } from 'vite'
+import { readFileSync } from 'node:fs'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { clubsToIcs, clubToIcs, clubFeedPath, FEED_PATH } from './src/ics.js'
+
+const CLUBS_FILE = new URL('./src/clubs.json', import.meta.url)
+
+// .ics subscription feeds for the seed clubs: /calendar.ics (all clubs) and
+// /calendar/club-<id>.ics. Served live in dev, written to dist/ on build.
+// With VITE_DATA_SOURCE=api the API server serves live feeds instead.
+function icsFeeds({ serveInDev }) {
+  function feeds() {
+    const clubs = JSON.parse(readFileSync(CLUBS_FILE, 'utf8'))
+    const files = { [FEED_PATH]: clubsToIcs(clubs, 'UIC campus events') }
+    for (const club of clubs) files[clubFeedPath(club)] = clubToIcs(club)
+    return files
+  }
+
+  return {
+    name: 'loopedin-ics-feeds',
+    configureServer(server) {
+      if (!serveInDev) return
+      server.middlewares.use((req, res, next) => {
+        const body = feeds()[req.url?.split('?')[0]]
+        if (!body) return next()
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8')
+        res.end(body)
+      })
+    },
+    generateBundle() {
+      for (const [path, source] of Object.entries(feeds())) {
+        this.emitFile({ type: 'asset', fileName: path.slice(1), source })
+      }
+    },
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), '')
+  const useApi = env.VITE_DATA_SOURCE === 'api'
+  const apiTarget = env.API_PROXY_TARGET || 'http://localhost:8787'
+
+  return {
+    plugins: [react(), icsFeeds({ serveInDev: !useApi })],
+    server: {
+      // `npm run server` (see server/index.js)
+      proxy: {
+        '/api': apiTarget,
+        ...(useApi ? { '/calendar': apiTarget } : {}),
+      },
+    },
+  }
 })